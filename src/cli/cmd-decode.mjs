@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+// ============================================================================
+// DJI Osmo CLI — Decode Command (offline DUML decoder + CRC verifier)
+// ============================================================================
+// Usage:
+//   dji-osmo decode <hex> [<hex> ...]       Hex on the command line
+//   dji-osmo decode --file <path>           One hex string per line (# comments)
+//   <bytes> | dji-osmo decode               Raw bytes or hex text on stdin
+//
+//   Options:
+//     --json      One JSON object per frame
+//     --binary    Treat stdin as raw bytes even if it looks like hex
+//
+//   Concatenated frames are split and decoded one by one. Exits with status 1
+//   if any frame fails its CRC check or no frame was found.
+
+import fs from 'fs';
+import { parseMessage, splitFrames, verifyFrame } from '../protocol/duml.mjs';
+import { ADDR } from '../protocol/constants.mjs';
+import { decode, formatFields } from '../protocol/registry.mjs';
+import { getOption } from './options.mjs';
+
+const ADDR_NAMES = Object.fromEntries(Object.entries(ADDR).map(([name, n]) => [n, name]));
+
+export async function runDecode(args) {
+  const json = args.includes('--json');
+  const file = getOption(args, '--file');
+  const hexArgs = args.filter((a, i) => !a.startsWith('--') && args[i - 1] !== '--file');
+
+  let inputs;
+  if (file) {
+    inputs = readHexLines(fs.readFileSync(file, 'utf8'));
+  } else if (hexArgs.length > 0) {
+    inputs = hexArgs.map((a, i) => ({ label: `arg ${i + 1}`, data: parseHex(a) }));
+  } else if (!process.stdin.isTTY) {
+    const data = await readStdin();
+    const text = data.toString('latin1');
+    inputs = !args.includes('--binary') && /^[\s0-9a-fA-F:,x#\-]*$/.test(text)
+      ? readHexLines(text)
+      : [{ label: 'stdin', data }];
+  } else {
+    printUsage();
+    process.exit(1);
+  }
+
+  let frameCount = 0;
+  let invalid = 0;
+
+  for (const { label, data } of inputs) {
+    const { frames, skipped, trailing } = splitFrames(data);
+    if (!json && (skipped || trailing)) {
+      const parts = [];
+      if (skipped) parts.push(`${skipped} stray byte(s) skipped`);
+      if (trailing) parts.push(`${trailing.length} trailing byte(s) of an incomplete frame`);
+      console.error(`⚠️  ${label}: ${parts.join(', ')}`);
+    }
+
+    for (const { offset, data: frame } of frames) {
+      const check = verifyFrame(frame);
+      const msg = parseMessage(frame);
+      const decoded = decode(msg);
+      frameCount++;
+      if (!check.ok) invalid++;
+
+      if (json) {
+        console.log(JSON.stringify(toJson(label, offset, frame, msg, check, decoded)));
+      } else {
+        printFrame(label, offset, frame, msg, check, decoded);
+      }
+    }
+  }
+
+  if (!json) {
+    console.log(`${frameCount} frame(s), ${invalid} with CRC errors`);
+  }
+  if (frameCount === 0 || invalid > 0) process.exit(1);
+}
+
+function printUsage() {
+  console.error('Usage: dji-osmo decode <hex> [<hex> ...] [--json]');
+  console.error('       dji-osmo decode --file <hex-lines.txt> [--json]');
+  console.error('       <bytes> | dji-osmo decode [--binary] [--json]');
+  console.error('Example: dji-osmo decode 552204ea020780924007450f30303137343933313932383631303204353136302e42');
+}
+
+// ─── Input ───────────────────────────────────────────────────────────────────
+// Accepts "55 22 04", "55:22:04", "0x55,0x22" and plain "552204"
+function parseHex(text) {
+  const clean = text.replace(/0x/gi, '').replace(/[\s:,\-]/g, '');
+  if (!/^[0-9a-fA-F]*$/.test(clean) || clean.length % 2) {
+    throw new Error(`Not a hex string: ${text.length > 40 ? text.slice(0, 40) + '…' : text}`);
+  }
+  return Buffer.from(clean, 'hex');
+}
+
+function readHexLines(text) {
+  return text.split('\n')
+    .map((line, i) => ({ label: `line ${i + 1}`, line: line.replace(/#.*/, '').trim() }))
+    .filter(({ line }) => line)
+    .map(({ label, line }) => ({ label, data: parseHex(line) }));
+}
+
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+// ─── Output ──────────────────────────────────────────────────────────────────
+function printFrame(label, offset, frame, msg, check, decoded) {
+  const mark = (ok) => ok ? '✅' : '❌';
+  const kind = msg.flags & 0x80 ? 'response' : msg.flags & 0x40 ? 'request' : 'push';
+
+  console.log(`=== ${label} @${offset}: ${decoded.name} ${mark(check.ok)} ===`);
+  console.log(`  Length:   ${msg.length} (frame ${frame.length} bytes), version ${msg.version}`);
+  console.log(`  CRC8:     stored=0x${hex(check.crc8.stored)} computed=0x${hex(check.crc8.computed)} ${mark(check.crc8.ok)}`);
+  console.log(`  Route:    0x${hex(msg.sender)} ${addrName(msg.sender)} → 0x${hex(msg.receiver)} ${addrName(msg.receiver)}`);
+  console.log(`  MsgId:    0x${hex(msg.msgId, 4)}`);
+  console.log(`  Type:     0x${decoded.type} (${kind}, cmdSet 0x${hex(msg.cmdSet)}, cmdId 0x${hex(msg.cmdId)})`);
+  console.log(`  Payload:  ${msg.payload.length} bytes ${msg.payload.toString('hex') || '-'}`);
+  for (const [name, value] of Object.entries(formatFields(decoded.fields))) {
+    console.log(`    ${name}: ${JSON.stringify(value)}`);
+  }
+  console.log(`  CRC16:    stored=0x${hex(check.crc16.stored, 4)} computed=0x${hex(check.crc16.computed, 4)} ${mark(check.crc16.ok)}`);
+  console.log();
+}
+
+function toJson(label, offset, frame, msg, check, decoded) {
+  return {
+    input: label, offset,
+    valid: check.ok, crc8: check.crc8, crc16: check.crc16,
+    length: msg.length, version: msg.version,
+    sender: msg.sender, receiver: msg.receiver, msgId: msg.msgId,
+    flags: msg.flags, cmdSet: msg.cmdSet, cmdId: msg.cmdId,
+    type: decoded.type, name: decoded.name, known: decoded.known,
+    fields: formatFields(decoded.fields),
+    payload: msg.payload.toString('hex'),
+    raw: frame.toString('hex'),
+  };
+}
+
+function addrName(n) {
+  return ADDR_NAMES[n] ? `(${ADDR_NAMES[n]})` : '';
+}
+
+function hex(n, w = 2) {
+  return n === null ? '-'.repeat(w) : n.toString(16).padStart(w, '0');
+}
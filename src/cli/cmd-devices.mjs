@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+// ============================================================================
+// DJI Osmo CLI — Devices Command (paired-device credential store)
+// ============================================================================
+// Usage:
+//   dji-osmo devices [list] [--json]          Known devices, newest first
+//   dji-osmo devices forget <id|name>         Drop stored credentials
+//   dji-osmo devices rename <id|name> <name>  Set the friendly name
+//
+//   The store lives at $DJI_OSMO_STORE or ~/.config/dji-osmo/devices.json.
+//   Friendly names work anywhere a device id does (gimbal, sniff).
+
+import { CredentialStore } from '../credentials.mjs';
+
+export async function runDevices(args) {
+  const [sub = 'list', ...rest] = args[0]?.startsWith('--') ? ['list', ...args] : args;
+  const store = new CredentialStore();
+
+  switch (sub) {
+    case 'list':
+      return listDevices(store, rest.includes('--json'));
+
+    case 'forget': {
+      if (!rest[0]) throw new Error('Usage: dji-osmo devices forget <id|name>');
+      const entry = await store.forget(rest[0]);
+      if (!entry) throw new Error(`Unknown device: ${rest[0]}`);
+      console.log(`🗑️  Forgot ${entry.name} (${entry.id})`);
+      console.log('   The camera may still list this host — remove it there to re-pair from scratch.');
+      return;
+    }
+
+    case 'rename': {
+      if (!rest[0] || !rest[1]) throw new Error('Usage: dji-osmo devices rename <id|name> <new-name>');
+      const entry = await store.rename(rest[0], rest.slice(1).join(' '));
+      console.log(`✏️  ${entry.id} is now "${entry.name}"`);
+      return;
+    }
+
+    default:
+      throw new Error(`Unknown devices subcommand: ${sub} (list, forget, rename)`);
+  }
+}
+
+async function listDevices(store, json) {
+  const devices = await store.list();
+  if (json) {
+    // PINs stay out of JSON output that may end up in logs
+    console.log(JSON.stringify(devices.map(({ pin, ...d }) => d), null, 2));
+    return;
+  }
+
+  console.log(`\nStore: ${store.path}`);
+  // Listing must not create the store, so the identifier is only read
+  const identifier = await store.hostIdentifier({ create: false });
+  console.log(`Host identifier: ${identifier ?? '(none yet — created on first connect)'}\n`);
+  if (devices.length === 0) {
+    console.log('No paired devices yet — pair one with: dji-osmo gimbal <device-id>');
+    return;
+  }
+  console.log(`  ${'NAME'.padEnd(24)} ${'ID'.padEnd(38)} ${'MODEL'.padEnd(16)} LAST PAIRED`);
+  for (const d of devices) {
+    const when = d.lastPaired ? new Date(d.lastPaired).toLocaleString() : '-';
+    console.log(`  ${d.name.padEnd(24)} ${d.id.padEnd(38)} ${(d.model || '-').padEnd(16)} ${when}`);
+  }
+}
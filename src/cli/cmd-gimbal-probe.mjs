@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+// ============================================================================
+// DJI Osmo CLI — Gimbal Probe Command (which control variants does it honour?)
+// ============================================================================
+// Usage:
+//   dji-osmo gimbal-probe <device-id|name> [options]
+//
+//   Options:
+//     --pin <pin>           Pairing PIN (default: stored)
+//     --matrix <file.json>  Variant matrix (default: built-in, see gimbal-probe.mjs)
+//     --only <text[,text]>  Only variants whose id contains one of these
+//     --list                Print the variants and exit without connecting
+//     --settle <ms>         Watch time after each variant (default: 1500)
+//     --json                JSON report on stdout (progress goes to stderr)
+//     --out <file.json>     Also save the JSON report
+//
+//   Ctrl-C stops after the current variant and still prints the report.
+//   Leave the camera on a stable surface: movement is judged against the
+//   telemetry noise measured right before each variant.
+
+import fs from 'fs';
+import { OsmoConnection } from '../connection.mjs';
+import { GimbalProbe, GIMBAL_PROBE_MATRIX, expandMatrix, formatProbeTable } from '../gimbal-probe.mjs';
+import { getOption } from './options.mjs';
+
+export async function runGimbalProbe(args) {
+  const deviceId = args[0];
+  const listOnly = args.includes('--list');
+  if ((!deviceId || deviceId.startsWith('--')) && !listOnly) {
+    console.error('Usage: dji-osmo gimbal-probe <device-id> [options]');
+    console.error('  --pin <pin>           Pairing PIN (default: stored)');
+    console.error('  --matrix <file.json>  Variant matrix (default: built-in)');
+    console.error('  --only <text[,text]>  Only variants whose id contains one of these');
+    console.error('  --list                List the variants without connecting');
+    console.error('  --settle <ms>         Watch time after each variant (default: 1500)');
+    console.error('  --json                JSON report on stdout');
+    console.error('  --out <file.json>     Also save the JSON report');
+    process.exit(1);
+  }
+
+  const pin = getOption(args, '--pin');
+  const matrixOpt = getOption(args, '--matrix');
+  const onlyOpt = getOption(args, '--only');
+  const settleOpt = getOption(args, '--settle');
+  const json = args.includes('--json');
+  const outOpt = getOption(args, '--out');
+
+  // Validate before connecting
+  const matrix = matrixOpt ? JSON.parse(fs.readFileSync(matrixOpt, 'utf8')) : GIMBAL_PROBE_MATRIX;
+  let variants = expandMatrix(Array.isArray(matrix) ? matrix : matrix.variants);
+  if (onlyOpt) {
+    const needles = onlyOpt.split(',');
+    variants = variants.filter((v) => needles.some((n) => v.id.includes(n)));
+  }
+  if (variants.length === 0) throw new Error('No variants to probe');
+  const settle = settleOpt === null ? undefined : Number(settleOpt);
+  if (settle !== undefined && !(settle >= 0)) throw new Error(`Invalid --settle: ${settleOpt}`);
+
+  if (listOnly) {
+    for (const v of variants) console.log(`${v.id.padEnd(56)} ${v.payload.toString('hex') || '(empty)'}`);
+    console.log(`\n${variants.length} variant(s)`);
+    return;
+  }
+
+  // Status goes to stderr so --json output stays machine-readable
+  const log = (...a) => console.error(...a);
+  const osmo = new OsmoConnection({ deviceId, pin });
+  osmo.on('found', (info) => log(`📱 Found: ${info.name || 'DJI Device'} (RSSI: ${info.rssi})`));
+  osmo.on('pairingRequired', () => log('  ⏳ Approve pairing on device screen'));
+  osmo.on('error', (err) => log(`❌ ${err.message}`));
+
+  log(`\n🔍 Scanning for device ${deviceId}...\n`);
+  await osmo.connect();
+  log(`📡 Ready — probing ${variants.length} variant(s)\n`);
+
+  const probe = new GimbalProbe(osmo, { settle });
+  probe.on('variant', ({ index, total, variant }) => {
+    log(`  [${String(index + 1).padStart(String(total).length)}/${total}] ${variant.id}`);
+  });
+  probe.on('result', (r) => {
+    if (r.acked) log(`      ↩ response from 0x${r.responses[0].sender.toString(16).padStart(2, '0')}`);
+    if (r.moved.length) log(`      ↻ moved: ${r.moved.join(', ')}`);
+  });
+  process.once('SIGINT', () => {
+    log('\n  Stopping after this variant...');
+    probe.abort();
+  });
+
+  const startedAt = new Date().toISOString();
+  const results = await probe.run(variants);
+  await osmo.disconnect();
+
+  const report = {
+    deviceId,
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    variants: variants.length,
+    completed: results.length,
+    honoured: results.filter((r) => r.acked || r.moved.length).map((r) => r.id),
+    results,
+  };
+  if (outOpt) fs.writeFileSync(outOpt, JSON.stringify(report, null, 2) + '\n');
+
+  if (json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    console.log(`\n${formatProbeTable(results)}\n`);
+    console.log(report.honoured.length
+      ? `✅ ${report.honoured.length} variant(s) got a response or moved the gimbal`
+      : '⚠️  No variant got a response or moved the gimbal');
+  }
+  if (outOpt) log(`💾 Report saved to ${outOpt}`);
+  process.exit(0);
+}
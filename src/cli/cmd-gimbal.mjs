@@ -3,45 +3,75 @@
 // DJI Osmo CLI — Interactive Gimbal Control Command
 // ============================================================================
 // Usage:
-//   dji-osmo gimbal <device-id> [options]
+//   dji-osmo gimbal <device-id|name> [options]
 //
 //   Options:
-//     --pin <pin>           Pairing PIN (default: 'love')
+//     --pin <pin>           Pairing PIN (default: stored, else 'love')
 //     --angle <pitch> <yaw> Set angle and exit
 //     --recenter            Recenter gimbal and exit
 //     --mode <mode>         Set mode (follow|lock|fpv) and exit
+//     --pan <yaw> <s>       Closed-loop pan at <yaw> °/s for <s> seconds
+//     --path <file.json>    Follow keyframes ([{ at, pitch, yaw, easing }], ms)
+//     --record <start|stop> Start or stop recording and exit
+//     --photo               Take a photo and exit
 //
 //   Interactive mode (no options): keyboard control with live telemetry
 
+import fs from 'fs';
 import { OsmoConnection } from '../connection.mjs';
+import { getOption, delay, describeDevice } from './options.mjs';
 import readline from 'readline';
 
 export async function runGimbal(args) {
   const deviceId = args[0];
   if (!deviceId) {
     console.error('Usage: dji-osmo gimbal <device-id> [options]');
-    console.error('  --pin <pin>           Pairing PIN (default: love)');
+    console.error('  --pin <pin>           Pairing PIN (default: stored, else love)');
     console.error('  --angle <pitch> <yaw> Set absolute angle');
     console.error('  --recenter            Recenter gimbal');
     console.error('  --mode <mode>         Set mode: follow, lock, fpv');
+    console.error('  --pan <yaw> <s>       Pan at <yaw> °/s for <s> seconds');
+    console.error('  --path <file.json>    Follow a keyframe path');
+    console.error('  --record <start|stop> Start or stop recording');
+    console.error('  --photo               Take a photo');
     process.exit(1);
   }
 
   // Parse options
-  const pin = getOption(args, '--pin') || 'love';
+  const pin = getOption(args, '--pin');
   const angleOpt = getOption(args, '--angle', 2);
   const recenterOpt = args.includes('--recenter');
   const modeOpt = getOption(args, '--mode');
+  const panOpt = getOption(args, '--pan', 2);
+  const pathOpt = getOption(args, '--path');
+  const recordOpt = getOption(args, '--record');
+  const photoOpt = args.includes('--photo');
+
+  // Validate before connecting
+  let keyframes = null;
+  if (pathOpt) {
+    const data = JSON.parse(fs.readFileSync(pathOpt, 'utf8'));
+    keyframes = Array.isArray(data) ? data : data.keyframes;
+    if (!Array.isArray(keyframes)) throw new Error(`${pathOpt}: expected an array of keyframes`);
+  }
+  if (recordOpt && !['start', 'stop'].includes(recordOpt)) {
+    throw new Error(`Invalid --record: ${recordOpt} (expected start or stop)`);
+  }
+  const [panRate, panSeconds] = panOpt ? panOpt.map(Number) : [];
+  if (panOpt && !(Number.isFinite(panRate) && panSeconds > 0)) {
+    throw new Error(`Invalid --pan: ${panOpt.join(' ')} (expected <deg/s> <seconds>)`);
+  }
 
   const osmo = new OsmoConnection({ deviceId, pin });
 
   // Event handlers
   osmo.on('found', (info) => console.log(`📱 Found: ${info.name || 'DJI Device'} (RSSI: ${info.rssi})`));
-  osmo.on('connected', () => console.log('🔗 Connected'));
+  osmo.on('connected', ({ device }) => console.log(`🔗 Connected${describeDevice(device)}`));
   osmo.on('pairing', () => console.log('🔐 Pairing...'));
   osmo.on('paired', (info) => console.log(`  ✅ ${info.alreadyPaired ? 'Already paired' : 'Paired!'}`));
   osmo.on('pairingRequired', () => console.log('  ⏳ Approve pairing on device screen'));
-  osmo.on('pairingTimeout', () => console.log('  ⚠️  Pairing timeout — continuing'));
+  osmo.on('pairingTimeout', () => console.log('  ⚠️  Pairing not approved in time'));
+  osmo.on('pairingRejected', () => console.log('  ⛔ Pairing rejected'));
   osmo.on('error', (err) => console.error(`❌ ${err.message}`));
 
   try {
@@ -54,35 +84,74 @@ export async function runGimbal(args) {
   }
 
   // ── One-shot commands ────────────────────────────────────────────────────
-  if (recenterOpt) {
-    console.log('↺ Recentering gimbal...');
-    await osmo.gimbal.recenter();
-    await delay(1000);
+  async function oneShot(label, fn, settleMs) {
+    console.log(label);
+    try {
+      await fn();
+      console.log('  ✅ ACK received');
+      await delay(settleMs);
+    } catch (err) {
+      console.error(`  ⚠️  ${err.message}`);
+    }
     await osmo.disconnect();
-    return;
   }
 
-  if (modeOpt) {
-    console.log(`🔧 Setting mode: ${modeOpt}`);
-    await osmo.gimbal.setMode(modeOpt);
-    await delay(500);
+  // ── Closed-loop moves: live progress, Ctrl-C aborts ───────────────────────
+  async function runMotion(label, fn) {
+    console.log(label);
+    osmo.motion.on('progress', ({ state, progress, position }) => {
+      const pos = position ? `pitch=${position.pitch.toFixed(1)}° yaw=${position.yaw.toFixed(1)}°` : 'no telemetry';
+      process.stdout.write(`\r  ${state.padEnd(8)} ${String(Math.round(progress * 100)).padStart(3)}%  ${pos}   `);
+    });
+    process.once('SIGINT', () => osmo.motion.abort('Interrupted'));
+    try {
+      const { settled, error } = await fn();
+      console.log(settled ? '\n  ✅ Done' : `\n  ⚠️  Ended outside tolerance: ${JSON.stringify(error)}`);
+    } catch (err) {
+      console.error(`\n  ⚠️  ${err.message}`);
+    }
     await osmo.disconnect();
-    return;
+  }
+
+  if (keyframes) {
+    return runMotion(`🎬 Following ${keyframes.length} keyframe(s) from ${pathOpt}`, () => osmo.motion.path(keyframes));
+  }
+
+  if (panOpt) {
+    return runMotion(`↔ Panning at ${panRate}°/s for ${panSeconds}s`,
+      () => osmo.motion.pan({ yaw: panRate }, panSeconds * 1000));
+  }
+
+  if (recordOpt === 'start') {
+    return oneShot('⏺ Starting recording...', () => osmo.camera.startRecording(), 500);
+  }
+
+  if (recordOpt === 'stop') {
+    return oneShot('⏹ Stopping recording...', () => osmo.camera.stopRecording(), 500);
+  }
+
+  if (photoOpt) {
+    return oneShot('📷 Taking photo...', () => osmo.camera.takePhoto(), 500);
+  }
+
+  if (recenterOpt) {
+    return oneShot('↺ Recentering gimbal...', () => osmo.gimbal.recenter(), 1000);
+  }
+
+  if (modeOpt) {
+    return oneShot(`🔧 Setting mode: ${modeOpt}`, () => osmo.gimbal.setMode(modeOpt), 500);
   }
 
   if (angleOpt) {
     const [pitch, yaw] = angleOpt.map(Number);
-    console.log(`🎯 Setting angle: pitch=${pitch}° yaw=${yaw}°`);
-    await osmo.gimbal.setAngle(pitch, 0, yaw);
-    await delay(2000);
-    await osmo.disconnect();
-    return;
+    return oneShot(`🎯 Setting angle: pitch=${pitch}° yaw=${yaw}°`, () => osmo.gimbal.setAngle(pitch, 0, yaw), 2000);
   }
 
   // ── Interactive mode ─────────────────────────────────────────────────────
   let speed = 30;
   let commandMethod = 'speed';
   let sentCount = 0;
+  let ackCount = 0;
 
   const methodNames = {
     speed: 'Speed (0x0C)',
@@ -102,6 +171,8 @@ export async function runGimbal(args) {
 ║  E/C               : Roll left / right                       ║
 ║  R                 : Recenter gimbal to 0,0,0                ║
 ║  +/-               : Increase/decrease speed (current: ${String(speed).padStart(3)})   ║
+║  V                 : Start / stop recording                  ║
+║  P                 : Take photo                              ║
 ║  1-5               : Switch command method                   ║
 ║     1 = Speed Control (0x0C) — angular velocity              ║
 ║     2 = Angle Set (0x0A) — absolute target angle             ║
@@ -118,37 +189,78 @@ export async function runGimbal(args) {
   function printStatus() {
     const s = osmo.gimbal.state;
     process.stdout.write(
-      `\r  Gimbal: pitch=${s.pitch.toFixed(1)}° roll=${s.roll.toFixed(1)}° yaw=${s.yaw.toFixed(1)}°` +
-      `  |  Speed: ${speed}  |  Method: ${methodNames[commandMethod]}  |  Sent: ${sentCount}   `
+      `\r  Gimbal: pitch=${s.pitch.toFixed(1)}° roll=${s.roll.toFixed(1)}° yaw=${s.yawNormalized.toFixed(1)}°` +
+      ` ${s.mode ?? '?'}${limitMarks(s.limits)}${recordMark(osmo.camera.state)}${batteryMark(osmo.power)}` +
+      `  |  Speed: ${speed}  |  Method: ${methodNames[commandMethod]}  |  Sent: ${sentCount}  ACK: ${ackCount}   `
     );
   }
 
-  async function sendCmd(pitchD, rollD, yawD) {
+  // Commands are not awaited so keypresses stay responsive; the ACK counter
+  // shows how many the gimbal actually acknowledged.
+  function sendCmd(pitchD, rollD, yawD) {
     const s = osmo.gimbal.state;
+    let pending;
     sentCount++;
     switch (commandMethod) {
       case 'speed':
-        await osmo.gimbal.setSpeed(pitchD * speed, yawD * speed, rollD * speed);
+        pending = osmo.gimbal.setSpeed(pitchD * speed, yawD * speed, rollD * speed);
         break;
       case 'angle':
-        await osmo.gimbal.setAngle(s.pitch + pitchD * speed, s.roll + rollD * speed, s.yaw + yawD * speed, speed);
+        pending = osmo.gimbal.setAngle(s.pitch + pitchD * speed, s.roll + rollD * speed, s.yaw + yawD * speed, speed);
         break;
       case 'abs':
-        await osmo.gimbal.setAbsAngle(s.pitch + pitchD * speed, s.roll + rollD * speed, s.yaw + yawD * speed, 20);
+        pending = osmo.gimbal.setAbsAngle(s.pitch + pitchD * speed, s.roll + rollD * speed, s.yaw + yawD * speed, 20);
         break;
       case 'pwm': {
         const center = 1024;
         const d = speed * 10;
-        await osmo.gimbal.setPwm(center + pitchD * d, center + rollD * d, center + yawD * d);
+        pending = osmo.gimbal.setPwm(center + pitchD * d, center + rollD * d, center + yawD * d);
         break;
       }
       case 'move':
-        await osmo.gimbal.move(pitchD * speed, rollD * speed, yawD * speed);
+        pending = osmo.gimbal.move(pitchD * speed, rollD * speed, yawD * speed);
         break;
     }
+    pending.then(() => { ackCount++; printStatus(); }, () => {});
     printStatus();
   }
 
+  function recordMark(camera) {
+    if (!camera.recording) return '';
+    const t = camera.recordTime ?? 0;
+    return `  ● REC ${Math.floor(t / 60)}:${String(t % 60).padStart(2, '0')}`;
+  }
+
+  // Recording is toggled from the camera's reported state, so a recording
+  // started on the camera itself stops with V too
+  function toggleRecording() {
+    const recording = osmo.camera.isRecording;
+    console.log(recording ? '\n  ⏹ Stopping recording...' : '\n  ⏺ Starting recording...');
+    const pending = recording ? osmo.camera.stopRecording() : osmo.camera.startRecording();
+    pending.catch((err) => console.log(`\n  ⚠️  ${err.message}`));
+  }
+
+  function batteryMark(power) {
+    if (power.percent === null) return '';
+    return `  🔋 ${power.percent}%${power.isCharging ? '⚡' : ''}`;
+  }
+
+  function limitMarks(limits) {
+    const axes = Object.keys(limits).filter((axis) => limits[axis]);
+    return axes.length ? ` [limit: ${axes.join(',')}]` : '';
+  }
+
+  osmo.on('lowBattery', ({ percent }) => {
+    console.log(`\n  ⚠️  Battery low: ${percent}%`);
+    printStatus();
+  });
+
+  // Physical button on the camera
+  osmo.on('button', ({ click }) => {
+    console.log(`\n  🔘 ${click} click`);
+    printStatus();
+  });
+
   printHelp();
 
   const statusInterval = setInterval(printStatus, 500);
@@ -166,13 +278,13 @@ export async function runGimbal(args) {
       process.exit(0);
     }
 
-    if (key.name === 'up' || key.name === 'w') await sendCmd(1, 0, 0);
-    else if (key.name === 'down' || key.name === 's') await sendCmd(-1, 0, 0);
-    else if (key.name === 'left' || key.name === 'a') await sendCmd(0, 0, -1);
-    else if (key.name === 'right' || key.name === 'd') await sendCmd(0, 0, 1);
-    else if (str === 'e') await sendCmd(0, 1, 0);
-    else if (str === 'c') await sendCmd(0, -1, 0);
-    else if (str === 'r') { console.log('\n  → Recentering...'); await osmo.gimbal.recenter(); printStatus(); }
+    if (key.name === 'up' || key.name === 'w') sendCmd(1, 0, 0);
+    else if (key.name === 'down' || key.name === 's') sendCmd(-1, 0, 0);
+    else if (key.name === 'left' || key.name === 'a') sendCmd(0, 0, -1);
+    else if (key.name === 'right' || key.name === 'd') sendCmd(0, 0, 1);
+    else if (str === 'e') sendCmd(0, 1, 0);
+    else if (str === 'c') sendCmd(0, -1, 0);
+    else if (str === 'r') { console.log('\n  → Recentering...'); osmo.gimbal.recenter().catch(() => {}); printStatus(); }
     else if (str === '+' || str === '=') { speed = Math.min(180, speed + 5); printStatus(); }
     else if (str === '-') { speed = Math.max(1, speed - 5); printStatus(); }
     else if (str === '1') { commandMethod = 'speed'; printStatus(); }
@@ -180,18 +292,8 @@ export async function runGimbal(args) {
     else if (str === '3') { commandMethod = 'abs';   printStatus(); }
     else if (str === '4') { commandMethod = 'pwm';   printStatus(); }
     else if (str === '5') { commandMethod = 'move';  printStatus(); }
+    else if (str === 'v') toggleRecording();
+    else if (str === 'p') { console.log('\n  📷 Taking photo...'); osmo.camera.takePhoto().catch((err) => console.log(`\n  ⚠️  ${err.message}`)); }
     else if (str === 'h') printHelp();
   });
 }
-
-// ─── Helpers ─────────────────────────────────────────────────────────────────
-function getOption(args, flag, count = 1) {
-  const idx = args.indexOf(flag);
-  if (idx === -1) return null;
-  if (count === 1) return args[idx + 1];
-  return args.slice(idx + 1, idx + 1 + count);
-}
-
-function delay(ms) {
-  return new Promise((res) => setTimeout(res, ms));
-}
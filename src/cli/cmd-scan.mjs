@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+// ============================================================================
+// DJI Osmo CLI — Scan Command
+// ============================================================================
+// Usage:
+//   dji-osmo scan [timeout] [options]
+//
+//   Options:
+//     --timeout <s>   Scan duration in seconds (default: 15, --watch: until Ctrl-C)
+//     --name <text>   Only devices whose name contains <text> (case-insensitive)
+//     --json          Machine-readable output (JSON array, or JSON lines with --watch)
+//     --watch         Keep scanning and show a live table with updating RSSI
+
+import readline from 'readline';
+import { BleTransport } from '../transport/ble.mjs';
+import { DEFAULTS } from '../protocol/constants.mjs';
+import { getOption } from './options.mjs';
+
+const STALE_MS = 10000;
+
+// `scan [timeout] [options]` → { timeout (ms, 0 = until Ctrl-C), name, json,
+// watch }. Only a number right after `scan` is the positional timeout, so
+// `--name 3` filters instead of setting it.
+export function parseScanArgs(args) {
+  const positional = /^\d+(\.\d+)?$/.test(args[0]) ? args[0] : undefined;
+  const timeoutOpt = getOption(args, '--timeout') ?? positional;
+  const watch = args.includes('--watch');
+  const timeout = timeoutOpt !== undefined ? Number(timeoutOpt) * 1000 : (watch ? 0 : DEFAULTS.SCAN_TIMEOUT);
+  if (!(timeout >= 0)) throw new Error(`Invalid timeout: ${timeoutOpt}`);
+  return { timeout, name: getOption(args, '--name'), json: args.includes('--json'), watch };
+}
+
+// options.filter: (name, peripheral) => boolean used without --name
+// (default: BleTransport's Osmo/DJI/Pocket match)
+export async function runScan(args, options = {}) {
+  const { timeout, name: nameOpt, json, watch } = parseScanArgs(args);
+
+  const filter = nameOpt
+    ? (name) => name.toLowerCase().includes(nameOpt.toLowerCase())
+    : options.filter;
+
+  const transport = new BleTransport();
+  let adapterState = null;
+  // Without an adapter noble cycles unsupported → poweredOff → unsupported;
+  // the definitive states win over whatever came last
+  transport.on('adapterState', (state) => {
+    if (adapterState !== 'unsupported' && adapterState !== 'unauthorized') adapterState = state;
+  });
+
+  if (!json) {
+    const what = nameOpt ? `devices matching "${nameOpt}"` : 'DJI devices';
+    const until = timeout ? `${timeout / 1000}s timeout` : 'Ctrl-C to stop';
+    console.log(`\n🔍 Scanning for ${what} (${until})...\n`);
+  }
+
+  // Ctrl-C ends the scan and still prints the summary
+  process.once('SIGINT', () => transport.stopScan());
+
+  let devices;
+  if (watch) {
+    devices = await watchScan(transport, filter, timeout, json);
+  } else {
+    if (!json) transport.on('discovered', printDevice);
+    devices = await transport.scan(filter, timeout);
+  }
+
+  if (json) {
+    if (!watch) console.log(JSON.stringify(devices.map(toJson), null, 2));
+  } else if (devices.length === 0) {
+    printHints(adapterState);
+  } else {
+    console.log(`\nFound ${devices.length} device(s).`);
+    console.log('\nTo connect:');
+    for (const { id } of devices) {
+      console.log(`  dji-osmo gimbal ${id}`);
+      console.log(`  dji-osmo gimbal ${id} --pin <pin> --recenter`);
+    }
+  }
+
+  // noble keeps the HCI socket open; nothing else is left to wait for
+  process.exit(0);
+}
+
+// ─── --watch: live table (or JSON lines) until timeout / Ctrl-C ─────────────
+async function watchScan(transport, filter, timeout, json) {
+  const devices = new Map();
+  const lastRssi = new Map();
+
+  const onDevice = (device) => {
+    devices.set(device.id, device);
+    if (json && lastRssi.get(device.id) !== device.rssi) {
+      console.log(JSON.stringify({ ts: device.lastSeen, ...toJson(device) }));
+    }
+    lastRssi.set(device.id, device.rssi);
+  };
+  transport.on('discovered', onDevice);
+  transport.on('updated', onDevice);
+
+  const render = () => printTable([...devices.values()]);
+  const interval = json ? null : setInterval(render, 1000);
+
+  try {
+    return await transport.scan(filter, timeout);
+  } finally {
+    clearInterval(interval);
+    if (!json) render();
+  }
+}
+
+function printTable(devices) {
+  if (process.stdout.isTTY) {
+    readline.cursorTo(process.stdout, 0, 0);
+    readline.clearScreenDown(process.stdout);
+  }
+  const now = Date.now();
+  console.log(`  ${'NAME'.padEnd(24)} ${'ID'.padEnd(38)} ${'RSSI'.padStart(5)}  LAST SEEN`);
+  for (const d of [...devices].sort((a, b) => b.rssi - a.rssi)) {
+    const age = now - d.lastSeen;
+    const seen = age < 1000 ? 'now' : `${Math.round(age / 1000)}s ago${age > STALE_MS ? ' (stale)' : ''}`;
+    console.log(`  ${(d.name || '?').padEnd(24)} ${d.id.padEnd(38)} ${String(d.rssi).padStart(5)}  ${seen}`);
+  }
+  if (devices.length === 0) console.log('  (no devices yet)');
+}
+
+// ─── Output helpers ──────────────────────────────────────────────────────────
+function printDevice(device) {
+  console.log(`✅ Found: ${device.name}`);
+  console.log(`   ID: ${device.id}`);
+  console.log(`   RSSI: ${device.rssi} dBm`);
+  console.log(`   Manufacturer Data: ${device.manufacturerData ? device.manufacturerData.toString('hex') : 'none'}`);
+  console.log(`   Service UUIDs: ${JSON.stringify(device.serviceUuids)}`);
+  console.log();
+}
+
+function toJson({ id, name, rssi, manufacturerData, serviceUuids }) {
+  return {
+    id, name, rssi,
+    manufacturerData: manufacturerData ? manufacturerData.toString('hex') : null,
+    serviceUuids,
+  };
+}
+
+const ADAPTER_HINTS = {
+  poweredOff:   'Bluetooth is turned off — switch it on and retry',
+  unauthorized: 'This terminal is not allowed to use Bluetooth (macOS: System Settings → Privacy & Security → Bluetooth)',
+  unsupported:  'No BLE-capable adapter found',
+};
+
+function printHints(adapterState) {
+  console.log('No DJI devices found.');
+  if (ADAPTER_HINTS[adapterState]) {
+    console.log(`\n⚠️  ${ADAPTER_HINTS[adapterState]}`);
+  }
+  console.log('\nTroubleshooting:');
+  console.log('  1. Make sure the camera is turned on');
+  console.log('  2. Check camera Bluetooth is enabled (Settings → Connection → Bluetooth)');
+  console.log('  3. If camera was recently disconnected uncleanly, restart it');
+  console.log('  4. Reset Mac Bluetooth: blueutil --power 0 && sleep 2 && blueutil --power 1');
+  console.log('  5. Linux: run with sudo or grant cap_net_raw to node (see @stoprocent/noble docs)');
+}
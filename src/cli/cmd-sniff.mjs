@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+// ============================================================================
+// DJI Osmo CLI — Sniff Command (live DUML monitor)
+// ============================================================================
+// Usage:
+//   dji-osmo sniff <device-id|name> [options]
+//
+//   Options:
+//     --pin <pin>           Pairing PIN (default: stored, else 'love')
+//     --cmdset <n[,n]>      Only these cmdSets (hex 0x04 or decimal)
+//     --cmdid <n[,n]>       Only these cmdIds
+//     --sender <n[,n]>      Only messages from these device addresses
+//     --exclude-telemetry   Hide periodic pushes (gimbal, keepalive, status)
+//     --hex                 Show raw payload hex instead of decoded fields
+//     --json                One JSON object per message on stdout
+//     --stats <s>           Rate table interval in seconds (default: 10, 0 = off)
+//
+//   Ctrl-C prints the final rate table and disconnects. Filters only affect
+//   what is printed; the rate table counts every message.
+
+import { OsmoConnection } from '../connection.mjs';
+import { decode, formatFields, lookup } from '../protocol/registry.mjs';
+import { getOption, describeDevice } from './options.mjs';
+
+export async function runSniff(args) {
+  const deviceId = args[0];
+  if (!deviceId || deviceId.startsWith('--')) {
+    console.error('Usage: dji-osmo sniff <device-id> [options]');
+    console.error('  --pin <pin>           Pairing PIN (default: stored, else love)');
+    console.error('  --cmdset <n[,n]>      Filter by cmdSet, e.g. 0x04');
+    console.error('  --cmdid <n[,n]>       Filter by cmdId, e.g. 0x05');
+    console.error('  --sender <n[,n]>      Filter by sender address, e.g. 0x04');
+    console.error('  --exclude-telemetry   Hide periodic telemetry pushes');
+    console.error('  --hex                 Raw payload hex instead of decoded fields');
+    console.error('  --json                JSON lines output');
+    console.error('  --stats <s>           Rate table interval (default: 10, 0 = off)');
+    process.exit(1);
+  }
+
+  const pin = getOption(args, '--pin');
+  const filter = {
+    cmdSet: parseList(getOption(args, '--cmdset'), '--cmdset'),
+    cmdId: parseList(getOption(args, '--cmdid'), '--cmdid'),
+    sender: parseList(getOption(args, '--sender'), '--sender'),
+    excludeTelemetry: args.includes('--exclude-telemetry'),
+  };
+  const hexOut = args.includes('--hex');
+  const json = args.includes('--json');
+  const statsSec = Number(getOption(args, '--stats') ?? 10);
+  if (!(statsSec >= 0)) throw new Error(`Invalid --stats interval: ${getOption(args, '--stats')}`);
+
+  // Status goes to stderr so --json output stays machine-readable
+  const log = (...a) => console.error(...a);
+  const stats = new RateTable();
+  const osmo = new OsmoConnection({ deviceId, pin });
+
+  osmo.on('found', (info) => log(`📱 Found: ${info.name || 'DJI Device'} (RSSI: ${info.rssi})`));
+  osmo.on('connected', ({ device }) => log(`🔗 Connected${describeDevice(device)}`));
+  osmo.on('pairing', () => log('🔐 Pairing...'));
+  osmo.on('paired', (info) => log(`  ✅ ${info.alreadyPaired ? 'Already paired' : 'Paired!'}`));
+  osmo.on('pairingRequired', () => log('  ⏳ Approve pairing on device screen'));
+  osmo.on('pairingTimeout', () => log('  ⚠️  Pairing timeout — continuing'));
+  osmo.on('pairingRejected', () => log('  ⛔ Pairing rejected — continuing'));
+  let timer = null;
+  const finish = () => {
+    clearInterval(timer);
+    stats.print(log, true);
+    printLinkStats(osmo.linkStats, log);
+    process.exit(0);
+  };
+  osmo.on('disconnected', () => {
+    log('\n🔌 Disconnected');
+    finish();
+  });
+  osmo.on('error', (err) => log(`❌ ${err.message}`));
+
+  osmo.on('message', (msg) => {
+    const decoded = decode(msg);
+    stats.count(msg, decoded);
+    if (!matches(msg, filter)) return;
+    console.log(json ? formatJson(msg, decoded) : formatLine(msg, decoded, hexOut));
+  });
+
+  log(`\n🔍 Scanning for device ${deviceId}...\n`);
+  // An unpaired link still carries pushes worth watching
+  await osmo.connect({ allowUnpaired: true });
+  log('📡 Sniffing — Ctrl-C to stop\n');
+
+  if (statsSec > 0) {
+    timer = setInterval(() => {
+      stats.print(log);
+      printLinkStats(osmo.linkStats, log);
+    }, statsSec * 1000);
+  }
+
+  process.once('SIGINT', async () => {
+    osmo.removeAllListeners('disconnected');
+    await osmo.disconnect().catch(() => {});
+    finish();
+  });
+}
+
+// ─── Filters ─────────────────────────────────────────────────────────────────
+function matches(msg, filter) {
+  if (filter.cmdSet && !filter.cmdSet.includes(msg.cmdSet)) return false;
+  if (filter.cmdId && !filter.cmdId.includes(msg.cmdId)) return false;
+  if (filter.sender && !filter.sender.includes(msg.sender)) return false;
+  if (filter.excludeTelemetry && lookup(msg)?.telemetry) return false;
+  return true;
+}
+
+// '0x04,5' → [4, 5]; null when the option is absent
+function parseList(value, flag) {
+  if (value === null || value === undefined) return null;
+  return value.split(',').map((part) => {
+    const n = Number(part.trim());
+    if (!Number.isInteger(n) || n < 0 || n > 0xFF) throw new Error(`Invalid ${flag} value: ${part}`);
+    return n;
+  });
+}
+
+// ─── Output ──────────────────────────────────────────────────────────────────
+function formatLine(msg, decoded, hexOut) {
+  const time = new Date().toISOString().slice(11, 23);
+  const body = hexOut
+    ? msg.payload.toString('hex') || '-'
+    : Object.entries(formatFields(decoded.fields)).map(([k, v]) => `${k}=${v}`).join(' ');
+  return `${time} ${hex(msg.sender)}→${hex(msg.receiver)} 0x${decoded.type} ` +
+    `${decoded.name.padEnd(28)} id=0x${hex(msg.msgId, 4)} ${body}`;
+}
+
+function formatJson(msg, decoded) {
+  return JSON.stringify({
+    ts: Date.now(),
+    sender: msg.sender, receiver: msg.receiver, msgId: msg.msgId,
+    flags: msg.flags, cmdSet: msg.cmdSet, cmdId: msg.cmdId,
+    name: decoded.name, fields: formatFields(decoded.fields),
+    payload: msg.payload.toString('hex'),
+  });
+}
+
+// ─── Per-type counters: total and rate since the last print ─────────────────
+class RateTable {
+  constructor() {
+    this._types = new Map(); // type ('000405') → { label, name, total, window }
+    this._start = Date.now();
+    this._since = this._start;
+  }
+
+  count(msg, decoded) {
+    let entry = this._types.get(decoded.type);
+    if (!entry) {
+      entry = { label: `0x${decoded.type}`, name: decoded.name, total: 0, window: 0 };
+      this._types.set(decoded.type, entry);
+    }
+    entry.total++;
+    entry.window++;
+  }
+
+  // final: rates over the whole session instead of since the last print
+  print(out, final = false) {
+    const since = final ? this._start : this._since;
+    const secs = Math.max(0.001, (Date.now() - since) / 1000);
+    const rows = [...this._types.values()].sort((a, b) => b.total - a.total);
+    out(`\n── message rates (${final ? 'session' : 'last'} ${secs.toFixed(0)}s) ${'─'.repeat(30)}`);
+    out(`  ${'type'.padEnd(9)} ${'name'.padEnd(28)} ${'rate'.padStart(8)} ${'total'.padStart(7)}`);
+    for (const e of rows) {
+      const rate = (final ? e.total : e.window) / secs;
+      out(`  ${e.label.padEnd(9)} ${e.name.padEnd(28)} ${rate.toFixed(1).padStart(6)}/s ${String(e.total).padStart(7)}`);
+      e.window = 0;
+    }
+    if (rows.length === 0) out('  (no messages yet)');
+    out('');
+    this._since = Date.now();
+  }
+}
+
+// Only worth a line when the parser actually rejected something
+function printLinkStats(link, out) {
+  if (!link || !link.bytesDiscarded) return;
+  out(`  link: ${link.frames} frames, ${link.crc8Errors} CRC8 / ${link.crc16Errors} CRC16 / ` +
+    `${link.lengthErrors} length errors, ${link.bytesDiscarded} bytes discarded\n`);
+}
+
+function hex(n, w = 2) {
+  return n.toString(16).padStart(w, '0');
+}
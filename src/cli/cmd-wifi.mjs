@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+// ============================================================================
+// DJI Osmo CLI — WiFi Command (scan for networks, join one)
+// ============================================================================
+// Usage:
+//   dji-osmo wifi scan <device-id|name> [options]
+//   dji-osmo wifi connect <device-id|name> <ssid> [options]
+//
+//   Options:
+//     --pin <pin>           Pairing PIN (default: stored)
+//     --timeout <s>         Scan time limit (default: 10)
+//     --json                JSON output (scan: the network list)
+//     --password <pw>       WiFi password (connect; asked for when omitted,
+//                           empty for an open network)
+
+import readline from 'readline/promises';
+import { Writable } from 'stream';
+import { OsmoConnection } from '../connection.mjs';
+import { getOption } from './options.mjs';
+
+export async function runWifi(args) {
+  const [sub, deviceId, ssid] = args;
+  if (!['scan', 'connect'].includes(sub) || !deviceId || deviceId.startsWith('--')
+    || (sub === 'connect' && (!ssid || ssid.startsWith('--')))) {
+    console.error('Usage: dji-osmo wifi scan <device-id> [--timeout <s>] [--json]');
+    console.error('       dji-osmo wifi connect <device-id> <ssid> [--password <pw>] [--json]');
+    console.error('  --pin <pin>           Pairing PIN (default: stored)');
+    console.error('  --timeout <s>         Scan time limit (default: 10)');
+    console.error('  --password <pw>       WiFi password (asked for when omitted)');
+    console.error('  --json                JSON output');
+    process.exit(1);
+  }
+
+  const pin = getOption(args, '--pin');
+  const json = args.includes('--json');
+  const timeoutOpt = getOption(args, '--timeout');
+  const timeout = timeoutOpt === null ? undefined : Number(timeoutOpt) * 1000;
+  if (timeout !== undefined && !(timeout > 0)) throw new Error(`Invalid --timeout: ${timeoutOpt}`);
+
+  // Ask before connecting, so pairing doesn't wait on the prompt
+  let password = getOption(args, '--password');
+  if (sub === 'connect' && password === null) {
+    password = await askSecret(`Password for "${ssid}" (empty for an open network): `);
+  }
+
+  // Status goes to stderr so --json output stays machine-readable
+  const log = (...a) => console.error(...a);
+  const osmo = new OsmoConnection({ deviceId, pin });
+  osmo.on('found', (info) => log(`📱 Found: ${info.name || 'DJI Device'} (RSSI: ${info.rssi})`));
+  osmo.on('pairingRequired', () => log('  ⏳ Approve pairing on device screen'));
+  osmo.on('error', (err) => log(`❌ ${err.message}`));
+
+  log(`\n🔍 Scanning for device ${deviceId}...\n`);
+  try {
+    await osmo.connect();
+    if (sub === 'scan') {
+      log('📶 Scanning for WiFi networks...');
+      const networks = await osmo.wifi.scan({ timeout });
+      if (json) {
+        console.log(JSON.stringify(networks, null, 2));
+      } else {
+        console.log(`\n  ${'SSID'.padEnd(32)} SIGNAL  FLAGS`);
+        for (const n of networks) console.log(`  ${n.ssid.padEnd(32)} ${String(n.signal).padEnd(7)} ${n.flags}`);
+        console.log(`\n${networks.length} network(s)`);
+      }
+    } else {
+      log(`📶 Joining "${ssid}"...`);
+      const result = await osmo.wifi.connect(ssid, password);
+      if (json) console.log(JSON.stringify(result));
+      else console.log(`✅ Connected to "${ssid}"`);
+    }
+  } finally {
+    await osmo.disconnect();
+  }
+  process.exit(0);
+}
+
+// Prompt on stderr and read a line without echoing what is typed
+async function askSecret(question) {
+  let muted = false;
+  const output = new Writable({
+    write(chunk, encoding, callback) {
+      if (!muted) process.stderr.write(chunk, encoding);
+      callback();
+    },
+  });
+  const rl = readline.createInterface({ input: process.stdin, output, terminal: Boolean(process.stdin.isTTY) });
+  const answer = rl.question(question);
+  muted = true; // the prompt is out, everything after it is typing
+  try {
+    return await answer;
+  } finally {
+    rl.close();
+    process.stderr.write('\n');
+  }
+}
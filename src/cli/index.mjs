@@ -4,11 +4,23 @@
 // ============================================================================
 
 import { runGimbal } from './cmd-gimbal.mjs';
+import { runGimbalProbe } from './cmd-gimbal-probe.mjs';
+import { runScan } from './cmd-scan.mjs';
+import { runSniff } from './cmd-sniff.mjs';
+import { runDecode } from './cmd-decode.mjs';
+import { runDevices } from './cmd-devices.mjs';
+import { runWifi } from './cmd-wifi.mjs';
 
 const [,, command, ...args] = process.argv;
 
 const COMMANDS = {
   gimbal: { fn: runGimbal, desc: 'Control gimbal (interactive or one-shot)' },
+  'gimbal-probe': { fn: runGimbalProbe, desc: 'Find which gimbal command variants the device honours' },
+  scan:   { fn: runScan, desc: 'Scan for DJI BLE devices' },
+  sniff:  { fn: runSniff, desc: 'Live DUML message monitor' },
+  decode: { fn: runDecode, desc: 'Decode DUML frames from hex / stdin' },
+  devices: { fn: runDevices, desc: 'List, forget or rename paired devices' },
+  wifi:   { fn: runWifi, desc: 'Scan for WiFi networks or join one' },
 };
 
 function printUsage() {
@@ -18,19 +30,72 @@ function printUsage() {
   Usage: dji-osmo <command> [options]
 
   Commands:
-    gimbal <device-id>   Interactive gimbal control
-      --pin <pin>          Pairing PIN (default: love)
+    gimbal <device-id>   Interactive gimbal control (id or stored name)
+      --pin <pin>          Pairing PIN (default: stored, else love)
       --angle <p> <y>      Set angle and exit
       --recenter           Recenter gimbal and exit
       --mode <mode>        Set mode (follow|lock|fpv) and exit
+      --pan <yaw> <s>      Closed-loop pan at <yaw> °/s for <s> seconds
+      --path <file.json>   Follow keyframes [{ at, pitch, yaw, easing }]
+      --record <start|stop> Start or stop recording and exit
+      --photo              Take a photo and exit
+
+    gimbal-probe <device-id>  Send a matrix of gimbal command variants, report
+                         responses and movement
+      --matrix <file.json> Variant matrix (default: built-in)
+      --only <text[,text]> Only variants whose id contains one of these
+      --list               List the variants without connecting
+      --settle <ms>        Watch time after each variant (default: 1500)
+      --json               JSON report on stdout
+      --out <file.json>    Also save the JSON report
 
     scan [timeout]       Scan for DJI BLE devices
+      --timeout <s>        Scan duration (default: 15, --watch: until Ctrl-C)
+      --name <text>        Only devices whose name contains <text>
+      --json               JSON output (JSON lines with --watch)
+      --watch              Live table with updating RSSI
+
+    sniff <device-id>    Print every decoded DUML message live
+      --cmdset <n[,n]>     Only these cmdSets (e.g. 0x04)
+      --cmdid <n[,n]>      Only these cmdIds (e.g. 0x05)
+      --sender <n[,n]>     Only these sender addresses
+      --exclude-telemetry  Hide periodic telemetry pushes
+      --hex | --json       Raw payload hex / JSON lines
+      --stats <s>          Rate table interval (default: 10, 0 = off)
+
+    decode [hex...]      Decode DUML frames, verify CRC8/CRC16
+      --file <path>        One hex frame (or stream) per line
+      --json               One JSON object per frame
+      --binary             Read stdin as raw bytes
+
+    devices [list]       Paired devices in the credential store
+      --json               JSON output (PINs omitted)
+    devices forget <id|name>
+    devices rename <id|name> <new-name>
+
+    wifi scan <device-id>  Networks the camera can see
+      --timeout <s>        Scan time limit (default: 10)
+      --json               JSON array
+    wifi connect <device-id> <ssid>  Join a network
+      --password <pw>      WiFi password (asked for when omitted)
 
   Examples:
+    dji-osmo scan                                 Find nearby cameras
+    dji-osmo scan --watch --name pocket           Live RSSI for Pocket devices
+    dji-osmo sniff abc123 --exclude-telemetry     Watch for non-telemetry traffic
+    dji-osmo decode 552204ea0207...               Decode one frame
     dji-osmo gimbal abc123                        Interactive control
     dji-osmo gimbal abc123 --angle -30 90         Point pitch=-30° yaw=90°
     dji-osmo gimbal abc123 --recenter             Reset to center
     dji-osmo gimbal abc123 --mode lock            Lock mode
+    dji-osmo gimbal abc123 --pan 2 60             Slow 2°/s pan for a minute
+    dji-osmo gimbal abc123 --record start         Start recording
+    dji-osmo gimbal-probe abc123 --only speed --out probe.json
+                                                  Try every speed-control variant
+    dji-osmo devices rename abc123 desk-cam       Name a paired camera
+    dji-osmo gimbal desk-cam --recenter           Use the stored name
+    dji-osmo wifi scan desk-cam                   List the venue networks
+    dji-osmo wifi connect desk-cam venue-wifi     Join one (asks for the password)
 `);
 }
 
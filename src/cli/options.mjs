@@ -0,0 +1,24 @@
+// ============================================================================
+// DJI Osmo CLI — Shared argument helpers
+// ============================================================================
+
+// Value(s) following a flag: getOption(args, '--pin') → 'love',
+// getOption(args, '--angle', 2) → ['-30', '90']; null when absent
+export function getOption(args, flag, count = 1) {
+  const idx = args.indexOf(flag);
+  if (idx === -1) return null;
+  if (count === 1) return args[idx + 1];
+  return args.slice(idx + 1, idx + 1 + count);
+}
+
+export function delay(ms) {
+  return new Promise((res) => setTimeout(res, ms));
+}
+
+// ' — Osmo Pocket 3 (hg212), firmware 01.02.03.00' from the 'connected'
+// event's device info; empty when nothing is known
+export function describeDevice(device) {
+  if (!device?.model) return '';
+  const name = device.modelName ? `${device.modelName} (${device.model})` : device.model;
+  return ` — ${name}${device.firmware ? `, firmware ${device.firmware}` : ''}`;
+}
@@ -4,27 +4,140 @@
 
 import { EventEmitter } from 'events';
 import { BleTransport } from './transport/ble.mjs';
+import { assertTransport } from './transport/interface.mjs';
 import { GimbalController } from './controllers/gimbal.mjs';
-import { buildMessage, packString } from './protocol/duml.mjs';
-import { TARGET, FLAG, CMD_SET, WIFI_CMD, DEFAULTS } from './protocol/constants.mjs';
+import { StreamController } from './controllers/stream.mjs';
+import { CameraController } from './controllers/camera.mjs';
+import { PowerController } from './controllers/power.mjs';
+import { DeviceController } from './controllers/device.mjs';
+import { WifiController } from './controllers/wifi.mjs';
+import { MotionPlanner } from './controllers/motion.mjs';
+import { CredentialStore } from './credentials.mjs';
+import { HealthMonitor } from './health.mjs';
+import { Responder } from './responder.mjs';
+import { DumlCodec } from './protocol/duml.mjs';
+import { encode, decode } from './protocol/registry.mjs';
+import { FLAG, CMD_SET, WIFI_CMD, DEFAULTS } from './protocol/constants.mjs';
+
+// Connection / pairing states (PROTOCOL.md "Verified State Machine"). Scanning
+// and connecting are one step because the transport does both.
+export const CONNECTION_STATES = [
+  'idle', 'connecting', 'waitingForDevice', 'checkingIfPaired', 'pairing',
+  'paired', 'rejected', 'timedOut',
+];
+
+// Reconnect policy used when `reconnect: true`; pass an object to override.
+// Attempt n waits initialDelay * factor^(n-1), capped at maxDelay, ± jitter.
+const RECONNECT_DEFAULTS = {
+  maxAttempts: 5,
+  initialDelay: 1000,
+  maxDelay: 30000,
+  factor: 2,
+  jitter: 0.3,              // ± fraction of each delay
+  restoreGimbalMode: true,  // re-apply the last gimbal.setMode()
+  restoreStream: false,     // restart a livestream that was running
+};
 
 export class OsmoConnection extends EventEmitter {
   constructor(options = {}) {
     super();
+    // options.deviceId: device id, or a friendly name from the credential store
     this._deviceId = options.deviceId;
+    // options.pin / options.identifier override stored credentials; resolved
+    // on connect() (see _loadCredentials)
+    this._options = { pin: options.pin, identifier: options.identifier };
     this._pin = options.pin || DEFAULTS.PIN;
     this._identifier = options.identifier || DEFAULTS.IDENTIFIER;
-    this._transport = new BleTransport();
-    this._battery = null;
-    this._paired = false;
+    // options.store: CredentialStore, store file path, or false to disable
+    this._store = options.store === false ? null
+      : options.store instanceof CredentialStore ? options.store
+        : new CredentialStore(options.store);
+    this._deviceName = null;
+    // options.codec: a DumlCodec instance or DumlCodec constructor options
+    this._codec = options.codec instanceof DumlCodec ? options.codec : new DumlCodec(options.codec);
+    // options.transport: any object implementing src/transport/interface.mjs
+    // options.record:    JSONL capture path for the default BleTransport
+    this._transport = assertTransport(options.transport || new BleTransport({ record: options.record }));
+    // options.approvalTimeout: ms to wait for the user to accept the PIN
+    // options.allowUnpaired:   connect() resolves even if pairing fails
+    this._approvalTimeout = options.approvalTimeout ?? DEFAULTS.APPROVAL_TIMEOUT;
+    this._allowUnpaired = options.allowUnpaired ?? false;
+    // options.deviceInfo: false skips the device info query after pairing
+    // ('connected' then carries only what was pushed)
+    this._queryDeviceInfo = options.deviceInfo ?? true;
+    // options.reconnect: true or { ...RECONNECT_DEFAULTS } to reconnect after
+    // an unexpected disconnect of a paired link
+    this._reconnect = options.reconnect
+      ? { ...RECONNECT_DEFAULTS, ...(options.reconnect === true ? {} : options.reconnect) }
+      : null;
+    this._reconnecting = null; // AbortController of the running reconnect loop
+    this._closing = false;     // disconnect() was called since the last connect()
+    this._state = 'idle';
+    this._link = null;  // { id, name } from the transport
+    this._received = 0; // messages since the last connect()
+    this._pending = new Map(); // msgId → { cmdSet, cmdId, resolve, reject, timer }
+
+    const request = (...args) => this.request(...args);
+    const send = (...args) => this.send(...args);
+
+    // Create gimbal controller wired to request/response layer
+    this.gimbal = new GimbalController(request, send);
 
-    // Create gimbal controller wired to transport
-    this.gimbal = new GimbalController((data) => this._transport.write(data));
+    // Closed-loop moves on top of the gimbal's speed control + telemetry
+    // options.motion: MotionPlanner options (rate, PID gains, tolerance, ...)
+    this.motion = new MotionPlanner(this.gimbal, options.motion);
+
+    // Create livestream controller wired to request/response layer
+    this.stream = new StreamController(request, send);
+
+    // Camera status telemetry + record/photo commands
+    this.camera = new CameraController(request, send);
+
+    // Battery telemetry
+    // options.power: PowerController options ({ lowBattery: percent | false })
+    this.power = new PowerController(options.power);
 
-    // Forward transport events
-    this._transport.on('connected', (info) => this.emit('connected', info));
-    this._transport.on('disconnected', () => this.emit('disconnected'));
-    this._transport.on('found', (info) => this.emit('found', info));
+    // Model and firmware versions
+    this.device = new DeviceController(request);
+
+    // WiFi scan and join
+    this.wifi = new WifiController(request);
+
+    // Replies to requests the device sends us (pairing approval, ...)
+    // options.responder: Responder options ({ builtins: false } to start empty)
+    this.responder = new Responder(send, options.responder);
+
+    // Push cadence watchdog, see get health()
+    // options.health: HealthMonitor options, or false to disable. With
+    // silentAfter set, a link whose pushes all stopped is dropped, so
+    // `reconnect` can bring it back.
+    this._health = options.health === false ? null : new HealthMonitor(options.health);
+
+    // Forward transport events ('connected' waits for connect(), see there)
+    this._transport.on('connected', (info) => {
+      this._link = info;
+      this._health?.start();
+    });
+    this._transport.on('disconnected', () => {
+      const wasPaired = this._state === 'paired';
+      this._health?.stop();
+      this._rejectPending(new Error('Disconnected'));
+      this.motion.abort(new Error('Disconnected'));
+      this.stream.handleDisconnect();
+      this._setState('idle');
+      this.emit('disconnected');
+      if (wasPaired && this._reconnect && !this._closing && !this._reconnecting) {
+        this._reconnectLoop();
+      }
+    });
+    this._transport.on('found', (info) => {
+      this._deviceName = info.name || null;
+      this.emit('found', info);
+    });
+    this._transport.on('frameError', (err) => {
+      this._health?.handleFrameError(err);
+      this.emit('frameError', err);
+    });
     this._transport.on('error', (err) => this.emit('error', err));
 
     // Route incoming messages
@@ -32,8 +145,29 @@ export class OsmoConnection extends EventEmitter {
       this._handleMessage(msg);
     });
 
-    // Forward gimbal state
+    // Forward gimbal state and the camera's physical controls
     this.gimbal.on('state', (state) => this.emit('gimbalState', state));
+    this.gimbal.on('button', (event) => this.emit('button', event));
+    this.gimbal.on('limit', (event) => this.emit('limit', event));
+
+    // Forward stream progress
+    this.stream.on('progress', (progress) => this.emit('streamProgress', progress));
+
+    // Forward camera status changes (recording, mode, storage)
+    this.camera.on('state', (state) => this.emit('cameraState', state));
+
+    // Forward battery changes: (percent, { percent, charging, voltage, ... })
+    this.power.on('battery', (state) => this.emit('battery', state.percent, state));
+    this.power.on('lowBattery', (event) => this.emit('lowBattery', event));
+
+    // Forward link health: 'stale' / 'recovered' ({ stream, gap }) per push
+    // stream; 'silent' ({ gap }) drops the link
+    this._health?.on('stale', (event) => this.emit('stale', event));
+    this._health?.on('recovered', (event) => this.emit('recovered', event));
+    this._health?.on('silent', (event) => {
+      this.emit('silent', event);
+      if (this._transport.isConnected) this._transport.disconnect().catch(() => {});
+    });
   }
 
   get isConnected() {
@@ -41,101 +175,477 @@ export class OsmoConnection extends EventEmitter {
   }
 
   get isPaired() {
-    return this._paired;
+    return this._state === 'paired';
   }
 
+  // One of CONNECTION_STATES
+  get state() {
+    return this._state;
+  }
+
+  // Battery percentage, or null before the first battery push
   get battery() {
-    return this._battery;
+    return this.power.percent;
+  }
+
+  // Link health, or null with `health: false`:
+  // { since, silent, messages: { total, rate },
+  //   streams: { telemetry, keepalive, status: { rate, expectedRate, count,
+  //              lastSeen, age, maxGap, stale } },
+  //   frameErrors: { crc8, crc16, length, discarded } }
+  get health() {
+    return this._health?.snapshot() ?? null;
+  }
+
+  // Device info known so far (DeviceController.info), null before any
+  get deviceInfo() {
+    return this.device.info;
   }
 
   get transport() {
     return this._transport;
   }
 
+  get codec() {
+    return this._codec;
+  }
+
+  // CredentialStore in use, or null when disabled
+  get store() {
+    return this._store;
+  }
+
+  // Receive-side frame counters, or null if the transport has none:
+  // { frames, crc8Errors, crc16Errors, lengthErrors, bytesDiscarded, buffered }
+  get linkStats() {
+    return this._transport.linkStats ?? null;
+  }
+
   // ─── Connect and pair ──────────────────────────────────────────────────────
-  async connect(timeout) {
-    await this._transport.connect(this._deviceId, timeout);
+  // options (a number is taken as the scan timeout):
+  //   timeout          Scan/connect timeout in ms
+  //   approvalTimeout  Overrides the constructor option
+  //   allowUnpaired    Overrides the constructor option
+  //   signal           AbortSignal — cancels scanning or pairing and disconnects
+  // Resolves with the final state: 'paired', or with allowUnpaired also
+  // 'rejected' / 'timedOut'. Otherwise rejects (err.state holds the state).
+  // Once paired the device info is queried (first connect only, then cached),
+  // and 'connected' fires with { id, name, device }.
+  async connect(options = {}) {
+    if (typeof options === 'number') options = { timeout: options };
+    const { timeout, signal } = options;
+    const approvalTimeout = options.approvalTimeout ?? this._approvalTimeout;
+    const allowUnpaired = options.allowUnpaired ?? this._allowUnpaired;
+    signal?.throwIfAborted();
+    // A link opened again after disconnect() is reconnected again
+    this._closing = false;
+
+    await this._loadCredentials();
+
+    let failure;
+    try {
+      this._received = 0;
+      this._setState('connecting');
+      await abortable(this._transport.connect(this._deviceId, timeout, signal), signal);
+
+      // The device is ready once it sends its first DUML message on fff4;
+      // some firmware stays quiet until paired, so carry on after a while
+      this._setState('waitingForDevice');
+      if (this._received === 0) {
+        await this._waitForMessage(() => true, DEFAULTS.DEVICE_READY_TIMEOUT, signal);
+      }
+
+      failure = await this._pair(approvalTimeout, signal);
+    } catch (err) {
+      if (err instanceof Error) err.state ??= this._state;
+      await this._transport.disconnect().catch(() => {});
+      this._setState('idle');
+      throw err;
+    }
+
+    if (failure && !allowUnpaired) {
+      failure.state = this._state;
+      await this._transport.disconnect().catch(() => {});
+      throw failure;
+    }
+    const query = !failure && this._queryDeviceInfo;
+    const device = query
+      ? await this.device.getInfo({ timeout: DEFAULTS.DEVICE_INFO_TIMEOUT })
+      : this.device.info;
+    if (!failure) await this._saveCredentials();
+    this.emit('connected', { ...this._link, device });
+    return this._state;
+  }
 
-    // Wait for device to be ready
-    await new Promise((res) => setTimeout(res, 1000));
+  // ─── Device info ──────────────────────────────────────────────────────────
+  // Model, serial and firmware/hardware versions (DeviceController.getInfo).
+  // Queried on connect() or the first call, then cached; { refresh: true }
+  // asks again.
+  // options: { refresh=false, timeout=DEFAULTS.DEVICE_INFO_TIMEOUT }
+  async getDeviceInfo(options = {}) {
+    return this.device.getInfo(options);
+  }
 
-    // Initiate pairing
-    await this._pair();
+  // ─── Credentials ───────────────────────────────────────────────────────────
+  // Explicit options win, then what the store knows about this device, then
+  // the host identifier and default PIN. A store that cannot be read emits
+  // 'storeError' and is passed over, like store: false.
+  async _loadCredentials() {
+    let known = null;
+    let hostIdentifier = null;
+    try {
+      known = this._store ? await this._store.get(this._deviceId) : null;
+      if (this._store && !this._options.identifier && !known?.identifier) {
+        hostIdentifier = await this._store.hostIdentifier();
+      }
+    } catch (err) {
+      this.emit('storeError', err);
+    }
+    if (known) this._deviceId = known.id;
+    this._pin = this._options.pin || known?.pin || DEFAULTS.PIN;
+    this._identifier = this._options.identifier || known?.identifier || hostIdentifier || DEFAULTS.IDENTIFIER;
+  }
+
+  // A store that cannot be written must not fail an established link
+  async _saveCredentials() {
+    if (!this._store || !this._deviceId) return;
+    try {
+      const known = await this._store.get(this._deviceId);
+      await this._store.remember(this._deviceId, {
+        name: known?.name || this._deviceName || undefined,
+        identifier: this._identifier,
+        pin: this._pin,
+        model: this.device.model || undefined,
+        lastPaired: new Date().toISOString(),
+      });
+    } catch (err) {
+      this.emit('storeError', err);
+    }
   }
 
   // ─── Disconnect ────────────────────────────────────────────────────────────
+  // Also cancels a reconnect in progress. Closes the transport (ending a
+  // `record` capture); internal teardowns only disconnect it.
   async disconnect() {
+    this._closing = true;
+    this._reconnecting?.abort();
+    if (typeof this._transport.close === 'function') return this._transport.close();
     return this._transport.disconnect();
   }
 
+  get isReconnecting() {
+    return this._reconnecting !== null;
+  }
+
+  // ─── Reconnect after link loss ────────────────────────────────────────────
+  // Re-runs connect() (scan, subscribe, pairing — a known device takes the
+  // already-paired path) with exponential backoff, then restores the session.
+  async _reconnectLoop() {
+    const policy = this._reconnect;
+    const abort = new AbortController();
+    this._reconnecting = abort;
+    const session = {
+      gimbalMode: policy.restoreGimbalMode ? this.gimbal.lastMode : null,
+      stream: policy.restoreStream && this.stream.state === 'interrupted' ? this.stream.config : null,
+    };
+
+    let error = null;
+    try {
+      for (let attempt = 1; attempt <= policy.maxAttempts; attempt++) {
+        const base = Math.min(policy.maxDelay, policy.initialDelay * policy.factor ** (attempt - 1));
+        const wait = Math.round(base * (1 + policy.jitter * (Math.random() * 2 - 1)));
+        this.emit('reconnecting', { attempt, maxAttempts: policy.maxAttempts, delay: wait, error });
+
+        try {
+          await delay(wait, abort.signal);
+          await this.connect({ signal: abort.signal });
+        } catch (err) {
+          if (abort.signal.aborted) return;
+          error = err;
+          continue;
+        }
+
+        const restored = await this._restoreSession(session);
+        this.emit('reconnected', { attempts: attempt, ...restored });
+        return;
+      }
+      this.emit('reconnectFailed', { attempts: policy.maxAttempts, error });
+    } finally {
+      this._reconnecting = null;
+    }
+  }
+
+  // Returns { restored: ['gimbalMode', 'stream'], failed: [{ what, error }] }
+  async _restoreSession({ gimbalMode, stream }) {
+    const restored = [];
+    const failed = [];
+    const attempt = async (what, fn) => {
+      try {
+        await fn();
+        restored.push(what);
+      } catch (error) {
+        failed.push({ what, error });
+      }
+    };
+
+    if (gimbalMode !== null) await attempt('gimbalMode', () => this.gimbal.setMode(gimbalMode));
+    if (stream) await attempt('stream', () => this.stream.start(stream));
+    return { restored, failed };
+  }
+
   // ─── Scan for devices ──────────────────────────────────────────────────────
   async scan(filter, timeout) {
     return this._transport.scan(filter, timeout);
   }
 
+  // ─── Send without waiting for a response ──────────────────────────────────
+  // Returns the msgId stamped on the outgoing frame.
+  // options: { flags=FLAG.REQUEST, msgId } — pass msgId to reuse the device's
+  // ID when replying to one of its requests
+  async send(target, cmdSet, cmdId, payload, options = {}) {
+    const { flags = FLAG.REQUEST, msgId } = options;
+    const msg = this._codec.encode({ target, flags, cmdSet, cmdId, payload, msgId });
+    await this._transport.write(msg);
+    return msg.readUInt16BE(6);
+  }
+
+  // ─── Send a request and wait for the matching response ────────────────────
+  // Resolves with the parsed response message. A response matches when it has
+  // the response bit (0x80) set and either echoes our msgId or carries the
+  // same cmdSet/cmdId. Rejects with err.code = 'ETIMEDOUT' once all retries
+  // have gone unanswered.
+  // options: { timeout=DEFAULTS.RESPONSE_TIMEOUT, retries=0 }
+  async request(target, cmdSet, cmdId, payload, options = {}) {
+    const { timeout = DEFAULTS.RESPONSE_TIMEOUT, retries = 0 } = options;
+
+    for (let attempt = 0; ; attempt++) {
+      const msg = this._codec.encode({ target, flags: FLAG.REQUEST, cmdSet, cmdId, payload });
+      const msgId = msg.readUInt16BE(6);
+
+      const response = new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          this._pending.delete(msgId);
+          const err = new Error(
+            `No response to 0x${hex(cmdSet)}/0x${hex(cmdId)} (msgId 0x${msgId.toString(16)}) within ${timeout / 1000}s`
+          );
+          err.code = 'ETIMEDOUT';
+          reject(err);
+        }, timeout);
+        this._pending.set(msgId, { cmdSet, cmdId, resolve, reject, timer });
+      });
+      // It can settle while the write is still in flight (timeout, disconnect);
+      // it is awaited below, this only keeps that from counting as unhandled
+      response.catch(() => {});
+
+      try {
+        await this._transport.write(msg);
+      } catch (err) {
+        clearTimeout(this._pending.get(msgId)?.timer);
+        this._pending.delete(msgId);
+        throw err;
+      }
+
+      try {
+        return await response;
+      } catch (err) {
+        if (err.code !== 'ETIMEDOUT' || attempt >= retries) throw err;
+      }
+    }
+  }
+
   // ─── Pairing flow ─────────────────────────────────────────────────────────
-  async _pair() {
+  // checkingIfPaired → paired | pairing → paired | rejected | timedOut
+  // Returns null when paired, otherwise the Error connect() should throw.
+  async _pair(approvalTimeout, signal) {
     // Trigger pairing mode
+    this._setState('checkingIfPaired');
     await this._transport.writeFff4(Buffer.from([0x01, 0x00]));
-    await new Promise((res) => setTimeout(res, 200));
+    await delay(200, signal);
 
     // Send pairing PIN
-    const payload = Buffer.concat([
-      packString(this._identifier),
-      packString(this._pin),
-    ]);
-    const msg = buildMessage(TARGET.APP_TO_WIFI, FLAG.REQUEST, CMD_SET.WIFI, WIFI_CMD.SET_PAIRING_PIN, payload);
-    await this._transport.write(msg);
+    const { target, cmdSet, cmdId, payload } = encode('set_pairing_pin', {
+      identifier: this._identifier,
+      pin: this._pin,
+    });
 
     this.emit('pairing');
+    let resp;
+    try {
+      resp = await abortable(this.request(target, cmdSet, cmdId, payload, { retries: 2 }), signal);
+    } catch (err) {
+      if (err.code !== 'ETIMEDOUT') throw err;
+      this._setState('timedOut');
+      this.emit('pairingTimeout');
+      return err;
+    }
 
-    // Wait for pairing response (up to 15s)
-    for (let i = 0; i < 30 && !this._paired; i++) {
-      await new Promise((r) => setTimeout(r, 500));
+    // Older firmware replies with the status byte alone
+    const fields = decode(resp).fields;
+    const status = fields.status ?? { 1: 'paired', 2: 'pairing_required' }[fields.result];
+    if (status === 'paired') {
+      this._setState('paired');
+      this.emit('paired', { alreadyPaired: true });
+      return null;
     }
+    if (status !== 'pairing_required') {
+      return this._rejected(`Pairing refused by device (status ${JSON.stringify(status ?? null)})`);
+    }
+
+    // Wait for PairingPINApproved — it arrives as a device request once the
+    // user accepts (or declines) on the camera screen
+    this._setState('pairing');
+    this.emit('pairingRequired');
+    const approval = await this._waitForMessage(
+      (msg) => msg.cmdSet === CMD_SET.WIFI && msg.cmdId === WIFI_CMD.PAIRING_APPROVED,
+      approvalTimeout, signal);
 
-    if (!this._paired) {
+    if (!approval) {
+      this._setState('timedOut');
       this.emit('pairingTimeout');
+      const err = new Error(`Pairing not approved on the device within ${approvalTimeout / 1000}s`);
+      err.code = 'ETIMEDOUT';
+      return err;
     }
+    if (!decode(approval).fields.approved) {
+      return this._rejected('Pairing declined on the device');
+    }
+
+    this._setState('paired');
+    this.emit('paired', { alreadyPaired: false });
+    return null;
+  }
+
+  _rejected(message) {
+    this._setState('rejected');
+    this.emit('pairingRejected');
+    const err = new Error(message);
+    err.code = 'EREJECTED';
+    return err;
+  }
 
-    return this._paired;
+  _setState(state) {
+    if (state === this._state) return;
+    const prev = this._state;
+    this._state = state;
+    this.emit('stateChange', { state, prev });
+  }
+
+  // Resolves with the first incoming message that satisfies `match`, or null
+  // after `timeout` ms; rejects with the abort reason if `signal` fires
+  _waitForMessage(match, timeout, signal) {
+    return new Promise((resolve, reject) => {
+      const finish = (settle, value) => {
+        clearTimeout(timer);
+        this.off('message', onMessage);
+        signal?.removeEventListener('abort', onAbort);
+        settle(value);
+      };
+      const onMessage = (msg) => {
+        if (match(msg)) finish(resolve, msg);
+      };
+      const onAbort = () => finish(reject, signal.reason);
+
+      const timer = setTimeout(() => finish(resolve, null), timeout);
+      this.on('message', onMessage);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  // ─── Match a response to an outstanding request ───────────────────────────
+  _resolvePending(msg) {
+    if (!(msg.flags & 0x80) || this._pending.size === 0) return false;
+
+    let msgId = this._pending.has(msg.msgId) ? msg.msgId : null;
+    if (msgId === null || this._pending.get(msgId).cmdSet !== msg.cmdSet) {
+      msgId = null;
+      for (const [id, p] of this._pending) {
+        if (p.cmdSet === msg.cmdSet && p.cmdId === msg.cmdId) {
+          msgId = id;
+          break;
+        }
+      }
+    }
+    if (msgId === null) return false;
+
+    const pending = this._pending.get(msgId);
+    this._pending.delete(msgId);
+    clearTimeout(pending.timer);
+    pending.resolve(msg);
+    return true;
+  }
+
+  _rejectPending(err) {
+    for (const pending of this._pending.values()) {
+      clearTimeout(pending.timer);
+      pending.reject(err);
+    }
+    this._pending.clear();
   }
 
   // ─── Route incoming messages to sub-controllers ────────────────────────────
   _handleMessage(msg) {
     if (!msg) return;
 
+    // Every incoming message, before routing (monitors, sniffers)
+    this._received++;
+    this._health?.handleMessage(msg);
+    this.emit('message', msg);
+
+    // ACK device requests that have a responder; routing carries on below
+    this.responder.handleMessage(msg);
+
+    // Responses to outstanding requests
+    if (this._resolvePending(msg)) return;
+
     // Gimbal telemetry
     if (msg.cmdSet === CMD_SET.GIMBAL) {
       this.gimbal.handleMessage(msg);
       return;
     }
 
-    // Pairing responses
+    // Pairing approvals are consumed by _pair(); one that arrives after the
+    // wait timed out (allowUnpaired) still completes pairing
     if (msg.cmdSet === CMD_SET.WIFI) {
-      if (msg.cmdId === WIFI_CMD.SET_PAIRING_PIN && (msg.flags & 0x80)) {
-        const status = msg.payload.length >= 2 ? msg.payload[1] : msg.payload[0];
-        if (status === 0x01) {
-          this._paired = true;
-          this.emit('paired', { alreadyPaired: true });
-        } else if (status === 0x02) {
-          this.emit('pairingRequired');
-        }
-      } else if (msg.cmdId === WIFI_CMD.PAIRING_APPROVED && msg.payload[0] === 0x01) {
-        this._paired = true;
+      if (msg.cmdId === WIFI_CMD.PAIRING_APPROVED && this._state === 'timedOut' && decode(msg).fields.approved) {
+        this._setState('paired');
         this.emit('paired', { alreadyPaired: false });
+        this._saveCredentials();
       }
+      this.wifi.handleMessage(msg);
       return;
     }
 
+    // Model / version reports
+    if (this.device.handleMessage(msg)) return;
+
+    // Camera status / variant pushes
+    if (this.camera.handleMessage(msg)) return;
+
     // Battery telemetry
-    if (msg.cmdSet === CMD_SET.BATTERY && msg.payload.length >= 1) {
-      this._battery = msg.payload[0];
-      this.emit('battery', this._battery);
-      return;
-    }
+    if (this.power.handleMessage(msg)) return;
 
     // Unhandled
     this.emit('rawMessage', msg);
   }
 }
+
+function hex(n) {
+  return n.toString(16).padStart(2, '0');
+}
+
+// Settles like `promise`, or rejects with the abort reason as soon as
+// `signal` fires. The original promise's later rejection is swallowed.
+function abortable(promise, signal) {
+  if (!signal) return promise;
+  promise.catch(() => {});
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    if (signal.aborted) return onAbort();
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+function delay(ms, signal) {
+  return abortable(new Promise((res) => setTimeout(res, ms)), signal);
+}
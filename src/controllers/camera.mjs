@@ -0,0 +1,109 @@
+// ============================================================================
+// Camera Controller — Camera status telemetry and record/photo commands
+// Decodes the ~10Hz camera status push (0x02/0x80) into state and sends the
+// DJI camera-set record (0x02) and photo (0x01) commands to the camera
+// (0x0102). The status layout and both commands come from the wider DJI
+// protocol; only the status bytes seen in the Pocket 3 captures are
+// confirmed. Resolution/fps are not in the status push, and the 0x02/0xDC
+// push is kept raw until someone maps it.
+// ============================================================================
+
+import { EventEmitter } from 'events';
+import { FLAG, CMD_SET, CAMERA_CMD } from '../protocol/constants.mjs';
+import { encode, decode } from '../protocol/registry.mjs';
+
+// Status fields copied into state (see A_status in messages.mjs)
+const STATE_FIELDS = [
+  'mode', 'recordState', 'recordTime', 'photoState',
+  'sdInserted', 'sdState', 'sdTotal', 'sdFree', 'remainingShots', 'remainingTime',
+  'storing', 'overheated', 'sensorError',
+];
+
+export class CameraController extends EventEmitter {
+  // request: async (target, cmdSet, cmdId, payload, options) => response
+  // send:    async (target, cmdSet, cmdId, payload) => msgId (no response wait)
+  constructor(request, send) {
+    super();
+    this._request = request;
+    this._send = send;
+    this._state = Object.fromEntries(STATE_FIELDS.map((k) => [k, null]));
+    this._state.recording = false;
+    this._variant = null;
+  }
+
+  // { recording, mode, recordState, recordTime, photoState, sdInserted,
+  //   sdState, sdTotal, sdFree, remainingShots, remainingTime, storing,
+  //   overheated, sensorError } — null until the first status push
+  //   mode           'photo' | 'video' | 'playback' | ... (raw number if unknown)
+  //   recordTime     Seconds into the current recording
+  //   sdTotal/sdFree MB; remainingTime in seconds of video
+  get state() {
+    return { ...this._state };
+  }
+
+  get isRecording() {
+    return this._state.recording;
+  }
+
+  // Last 0x02/0xDC payload, undecoded
+  get variant() {
+    return this._variant;
+  }
+
+  // ─── Recording (CmdId 0x02) ───────────────────────────────────────────────
+  async startRecording() {
+    return this._command('record', { action: 'start' });
+  }
+
+  async stopRecording() {
+    return this._command('record', { action: 'stop' });
+  }
+
+  // ─── Photo (CmdId 0x01) ───────────────────────────────────────────────────
+  async takePhoto() {
+    return this._command('take_photo', { type: 'single' });
+  }
+
+  // ─── Send a camera command and check the reply's result byte ─────────────
+  // Rejects with err.code = 'EREJECTED' on a non-zero result (busy, no
+  // card, wrong mode, ...)
+  async _command(name, fields) {
+    const { target, cmdSet, cmdId, payload } = encode(name, fields);
+    const resp = await this._request(target, cmdSet, cmdId, payload);
+    const result = resp.payload[0] ?? 0;
+    if (result) {
+      const err = new Error(`Camera rejected ${name} (result 0x${result.toString(16)})`);
+      err.code = 'EREJECTED';
+      err.result = result;
+      throw err;
+    }
+    return resp;
+  }
+
+  // ─── Handle incoming DUML message (call from transport layer) ──────────────
+  // Emits 'state' when a status push changes any field. Returns true when
+  // the message was a camera push.
+  handleMessage(msg) {
+    if (!msg || msg.cmdSet !== CMD_SET.STREAM || msg.flags !== FLAG.NOTIFY) return false;
+
+    if (msg.cmdId === CAMERA_CMD.VARIANT) {
+      this._variant = msg.payload;
+      return true;
+    }
+    if (msg.cmdId !== CAMERA_CMD.STATUS) return false;
+
+    const { fields } = decode(msg);
+    if (fields.mode === undefined) return true; // too short to mean anything
+
+    const next = { ...this._state };
+    for (const key of STATE_FIELDS) {
+      if (fields[key] !== undefined) next[key] = fields[key];
+    }
+    next.recording = next.recordState === 'recording';
+
+    const changed = Object.keys(next).some((key) => next[key] !== this._state[key]);
+    this._state = next;
+    if (changed) this.emit('state', this.state);
+    return true;
+  }
+}
@@ -0,0 +1,199 @@
+// ============================================================================
+// Device Controller — Model, serial and firmware versions
+// Collects what the camera says about itself: the model string from the ~1Hz
+// device_info message (0x00/0x81, "hg212" on the Pocket 3), the rare
+// device_version report (0x00/0x74) and the standard DJI version inquiry
+// (0x00/0x01) answered per module. Only the model string is confirmed by
+// captures; the 0x74 layout is unknown, so serial and firmware strings are
+// picked out of it by shape, and each field stays null until something
+// provides it. Pushed messages are taken as they come; the version queries
+// only go out when getInfo() asks for them.
+// ============================================================================
+
+import { FLAG, CMD_SET, GENERAL_CMD, TARGET, DEFAULTS } from '../protocol/constants.mjs';
+import { encode, decode } from '../protocol/registry.mjs';
+
+// Model strings seen in device_info → marketing names
+export const MODEL_NAMES = {
+  hg212: 'Osmo Pocket 3',
+};
+
+// Modules asked for their versions, in the order subsystems are listed
+const SUBSYSTEMS = {
+  camera: TARGET.APP_TO_CAMERA,
+  gimbal: TARGET.APP_TO_GIMBAL,
+  wifi: TARGET.APP_TO_WIFI,
+  dm36x: TARGET.APP_TO_DM36X,
+};
+
+// device_info and device_version come from the DM36x (sender 0x48 in the
+// captures), so that is where they are requested
+const INFO_TARGET = TARGET.APP_TO_DM36X;
+
+export class DeviceController {
+  // request: async (target, cmdSet, cmdId, payload, options) => response
+  constructor(request) {
+    this._request = request;
+    this._model = null;      // from device_info, pushed or requested
+    this._report = null;     // { serial, firmware, strings } from device_version
+    this._subsystems = null; // { name: { hardware, loader, firmware } } from the last query
+    this._updatedAt = null;  // when any of the above last changed
+    this._fetching = null;   // running getInfo() query
+  }
+
+  // What is known so far (see getInfo()), or null before anything arrived.
+  // subsystems stays {} until getInfo() has queried the modules.
+  get info() {
+    if (this._updatedAt === null) return null;
+    const subsystems = structuredClone(this._subsystems ?? {});
+    const main = subsystems.camera ?? Object.values(subsystems)[0] ?? null;
+    return {
+      model: this._model,
+      modelName: MODEL_NAMES[this._model] ?? null,
+      serial: this._report?.serial ?? null,
+      firmware: this._report?.firmware ?? main?.firmware ?? null,
+      hardware: main?.hardware ?? null,
+      subsystems,
+      updatedAt: this._updatedAt,
+    };
+  }
+
+  // Model string from the latest device_info, or null
+  get model() {
+    return this._model;
+  }
+
+  // ─── Query everything the device will tell ────────────────────────────────
+  // Resolves with:
+  //   { model, modelName, serial, firmware, hardware, subsystems, updatedAt }
+  //   model       'hg212' — raw model string
+  //   modelName   'Osmo Pocket 3', or null for an unknown model
+  //   firmware    'xx.xx.xx.xx' from device_version, else the camera module
+  //   subsystems  { camera: { hardware, loader, firmware }, gimbal, wifi, dm36x }
+  //               — only modules that answered the version inquiry
+  // The first call queries the modules (and device_info, unless the model
+  // was already pushed); later calls return the cached result. Unanswered
+  // queries leave their fields null, so this never rejects.
+  // options:
+  //   refresh  Query again instead of returning the cached result
+  //   timeout  ms to wait for each reply (default DEFAULTS.DEVICE_INFO_TIMEOUT)
+  async getInfo(options = {}) {
+    const { refresh = false, timeout = DEFAULTS.DEVICE_INFO_TIMEOUT } = options;
+    if (this._subsystems && !refresh) return this.info;
+    this._fetching ??= this._fetch(timeout).finally(() => {
+      this._fetching = null;
+    });
+    await this._fetching;
+    return this.info;
+  }
+
+  async _fetch(timeout) {
+    const ask = (target, name) => {
+      const { cmdSet, cmdId, payload } = encode(name);
+      return this._request(target, cmdSet, cmdId, payload, { timeout }).catch(() => null);
+    };
+    // The device pushes device_info, so the registry only has its device→app
+    // layout; it is asked for with an empty payload, and only while no push
+    // has told us the model
+    const askInfo = () => this._request(INFO_TARGET, CMD_SET.GENERAL, GENERAL_CMD.DEVICE_INFO,
+      Buffer.alloc(0), { timeout }).catch(() => null);
+
+    const [info, report, ...versions] = await Promise.all([
+      this._model ? null : askInfo(),
+      ask(INFO_TARGET, 'device_version'),
+      ...Object.values(SUBSYSTEMS).map((target) => ask(target, 'version_inquiry')),
+    ]);
+    if (info) this._takeModel(stripResult(info.payload));
+    if (report) this._takeReport(report.payload);
+
+    const subsystems = {};
+    Object.keys(SUBSYSTEMS).forEach((name, i) => {
+      const module = versions[i] && parseVersionInquiry(versions[i]);
+      if (module) subsystems[name] = module;
+    });
+    this._subsystems = subsystems;
+    this._touch();
+  }
+
+  _takeModel(payload) {
+    if (!payload) return;
+    const msg = { flags: FLAG.REQUEST, cmdSet: CMD_SET.GENERAL, cmdId: GENERAL_CMD.DEVICE_INFO, payload };
+    const { model } = decode(msg).fields;
+    if (!model || model === this._model) return;
+    this._model = model;
+    this._touch();
+  }
+
+  _takeReport(payload) {
+    if (!payload.length) return;
+    this._report = parseVersionReport(payload);
+    this._touch();
+  }
+
+  _touch() {
+    this._updatedAt = new Date().toISOString();
+  }
+
+  // ─── Handle incoming DUML message (call from transport layer) ──────────────
+  // Picks up device_info / device_version sent by the device on its own.
+  // Returns true when the message was one of them.
+  handleMessage(msg) {
+    if (!msg || msg.cmdSet !== CMD_SET.GENERAL || (msg.flags & 0x80)) return false;
+    if (msg.cmdId === GENERAL_CMD.DEVICE_INFO) {
+      this._takeModel(msg.payload);
+      return true;
+    }
+    if (msg.cmdId === GENERAL_CMD.DEVICE_VERSION) {
+      this._takeReport(msg.payload);
+      return true;
+    }
+    return false;
+  }
+}
+
+// ─── Firmware comparison ─────────────────────────────────────────────────────
+// Compares dotted versions numerically ('01.02.0300' < '01.10.0000');
+// returns <0, 0 or >0. Missing parts count as 0.
+export function compareVersions(a, b) {
+  const pa = String(a).split('.').map(Number);
+  const pb = String(b).split('.').map(Number);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const diff = (pa[i] || 0) - (pb[i] || 0);
+    if (diff) return diff;
+  }
+  return 0;
+}
+
+// 4-byte version, major byte first: 0x01020304 → '01.02.03.04'
+export function formatVersion(n) {
+  return [24, 16, 8, 0].map((shift) => String((n >>> shift) & 0xFF).padStart(2, '0')).join('.');
+}
+
+// A requested device_info may lead with a result byte. The model string
+// starts with a printable character, so a control byte first is the result:
+// 0 → strip it, anything else → the device refused (null).
+function stripResult(payload) {
+  if (payload[0] >= 0x20) return payload;
+  return payload[0] === 0x00 ? payload.subarray(1) : null;
+}
+
+function parseVersionInquiry(resp) {
+  const { fields } = decode(resp);
+  if (fields.result || fields.firmware === undefined) return null;
+  return {
+    hardware: fields.hardware || null,
+    loader: formatVersion(fields.loader),
+    firmware: formatVersion(fields.firmware),
+  };
+}
+
+// device_version: pull printable runs out of the payload and keep the ones
+// shaped like a version number or a DJI serial (14+ upper-case alphanumerics)
+function parseVersionReport(payload) {
+  const strings = payload.toString('latin1').match(/[\x20-\x7e]{4,}/g) ?? [];
+  return {
+    serial: strings.find((s) => /^[0-9A-Z]{14,20}$/.test(s)) ?? null,
+    firmware: strings.find((s) => /^v?\d+(\.\d+){2,}$/.test(s))?.replace(/^v/, '') ?? null,
+    strings,
+  };
+}
@@ -4,82 +4,100 @@
 // Osmo Pocket 3 silently ignores all gimbal commands over BLE. 20+ command
 // variations tested with zero ACKs. Gimbal control likely requires an active
 // WiFi connection (streaming state) rather than BLE-only. Telemetry (0x05)
-// streams fine over BLE.
+// streams fine over BLE. Every command waits for its ACK, so on the Pocket 3
+// the returned promise rejects with err.code = 'ETIMEDOUT'. Whether resume()
+// (0x0D) first makes them stick is still to be tried on a camera;
+// `dji-osmo gimbal-probe` runs the variants systematically.
 // ============================================================================
 
 import { EventEmitter } from 'events';
-import { buildMessage } from '../protocol/duml.mjs';
-import { TARGET, FLAG, CMD_SET, GIMBAL_CMD, GIMBAL_MODE } from '../protocol/constants.mjs';
+import { FLAG, CMD_SET, GIMBAL_CMD, GIMBAL_MODE } from '../protocol/constants.mjs';
+import { encode, decode } from '../protocol/registry.mjs';
 
 export class GimbalController extends EventEmitter {
-  // send: async (buffer) => void — callback to write a DUML message
-  constructor(send) {
+  // request: async (target, cmdSet, cmdId, payload, options) => response
+  // — callback that sends a DUML request and resolves with the device's reply
+  // send:    async (target, cmdSet, cmdId, payload) => msgId (no response wait)
+  constructor(request, send) {
     super();
+    this._request = request;
     this._send = send;
-    this._state = { pitch: 0, roll: 0, yaw: 0, mode: null };
+    this._state = {
+      pitch: 0, roll: 0, yaw: 0,
+      yawNormalized: 0,
+      mode: null, subMode: false,
+      rollAdjust: 0,
+      joystick: { vertical: 0, horizontal: 0 },
+      limits: { pitch: false, roll: false, yaw: false },
+    };
+    this._clicks = { single: false, double: false, triple: false };
+    this._lastMode = null; // last mode set through setMode(), for reconnects
+    this._type = null;     // from getType() or the ~2Hz 0x1C push
   }
 
+  // { pitch, roll, yaw, yawNormalized, mode, subMode, rollAdjust, joystick, limits }
+  //   yaw            Device frame, forward = YAW_FORWARD (-100°)
+  //   yawNormalized  Relative to forward, wrapped to -180..180°
+  //   mode           'lock' | 'follow' | 'fpv' (raw number if unknown)
+  //   joystick       Raw 2-bit direction codes { vertical, horizontal }, 0 = idle
+  //   limits         Axis at its mechanical limit { pitch, roll, yaw }
   get state() {
-    return { ...this._state };
+    return {
+      ...this._state,
+      joystick: { ...this._state.joystick },
+      limits: { ...this._state.limits },
+    };
+  }
+
+  // Mode passed to the last successful setMode() call, or null
+  get lastMode() {
+    return this._lastMode;
+  }
+
+  // Gimbal type code, or null until queried or pushed
+  get type() {
+    return this._type;
   }
 
   // ─── Speed control (CmdId 0x0C) — angular velocity ────────────────────────
-  async setSpeed(pitchSpeed = 0, yawSpeed = 0, rollSpeed = 0) {
-    const payload = Buffer.alloc(7);
-    payload.writeInt16LE(Math.round(pitchSpeed * 10), 0);
-    payload.writeInt16LE(Math.round(rollSpeed * 10), 2);
-    payload.writeInt16LE(Math.round(yawSpeed * 10), 4);
-    payload[6] = 0x01; // enable
-    const msg = buildMessage(TARGET.APP_TO_GIMBAL, FLAG.REQUEST, CMD_SET.GIMBAL, GIMBAL_CMD.SPEED_CTRL, payload);
-    return this._send(msg);
+  // options.ack=false sends without waiting for the ACK, for control loops
+  // that resend faster than the response timeout
+  async setSpeed(pitchSpeed = 0, yawSpeed = 0, rollSpeed = 0, options = {}) {
+    const fields = { pitch: pitchSpeed, roll: rollSpeed, yaw: yawSpeed, enable: 1 };
+    return this._command('speed_control', fields, options.ack ?? true);
   }
 
   // ─── Angle set (CmdId 0x0A) — absolute target angle ───────────────────────
   async setAngle(pitch, roll, yaw, speed = 30) {
-    const payload = Buffer.alloc(10);
-    payload.writeInt16LE(Math.round(pitch * 10), 0);
-    payload.writeInt16LE(Math.round(roll * 10), 2);
-    payload.writeInt16LE(Math.round(yaw * 10), 4);
-    payload.writeInt16LE(Math.round(speed * 100), 6);
-    payload[8] = 0x01; // flags
-    payload[9] = Math.round(speed * 2000 / 100);
-    const msg = buildMessage(TARGET.APP_TO_GIMBAL, FLAG.REQUEST, CMD_SET.GIMBAL, GIMBAL_CMD.ANGLE_SET, payload);
-    return this._send(msg);
+    return this._command('angle_set', {
+      pitch, roll, yaw, speed,
+      flags: 0x01,
+      speedFactor: Math.min(255, Math.round(speed * 2000 / 100)),
+    });
   }
 
   // ─── Absolute angle with timing (CmdId 0x14) ──────────────────────────────
   async setAbsAngle(pitch, roll, yaw, duration = 20) {
-    const payload = Buffer.alloc(8);
-    payload.writeInt16LE(Math.round(pitch * 10), 0);
-    payload.writeInt16LE(Math.round(roll * 10), 2);
-    payload.writeInt16LE(Math.round(yaw * 10), 4);
-    payload[6] = 0x07; // enable all axes
-    payload[7] = Math.min(255, Math.round(duration * 10));
-    const msg = buildMessage(TARGET.APP_TO_GIMBAL, FLAG.REQUEST, CMD_SET.GIMBAL, GIMBAL_CMD.ABS_ANGLE, payload);
-    return this._send(msg);
+    return this._command('abs_angle_control', {
+      pitch, roll, yaw,
+      pitchEnable: 1, rollEnable: 1, yawEnable: 1,
+      duration: Math.min(255, Math.round(duration * 10)),
+    });
   }
 
   // ─── Incremental movement (CmdId 0x15) ────────────────────────────────────
   async move(pitchDelta, rollDelta = 0, yawDelta = 0) {
-    const payload = Buffer.alloc(20);
-    payload.writeInt8(Math.max(-127, Math.min(127, Math.round(pitchDelta))), 0);
-    payload.writeInt8(Math.max(-127, Math.min(127, Math.round(rollDelta))), 1);
-    payload.writeInt8(Math.max(-127, Math.min(127, Math.round(yawDelta))), 2);
-    payload[6] = 50; // speed percent
-    payload[7] = 50;
-    const msg = buildMessage(TARGET.APP_TO_GIMBAL, FLAG.REQUEST, CMD_SET.GIMBAL, GIMBAL_CMD.MOVEMENT, payload);
-    return this._send(msg);
+    const step = (v) => Math.max(-127, Math.min(127, Math.round(v)));
+    return this._command('movement', {
+      pitch: step(pitchDelta), roll: step(rollDelta), yaw: step(yawDelta),
+      speedPitch: 50, speedYaw: 50,
+    });
   }
 
   // ─── PWM control (CmdId 0x01) — range 363..1685, center=1024 ──────────────
   async setPwm(pitch = 1024, roll = 1024, yaw = 1024) {
     const clamp = (v) => Math.max(363, Math.min(1685, Math.round(v)));
-    const payload = Buffer.alloc(6);
-    payload.writeUInt16LE(clamp(pitch), 0);
-    payload.writeUInt16LE(clamp(roll), 2);
-    payload.writeUInt16LE(clamp(yaw), 4);
-    const msg = buildMessage(TARGET.APP_TO_GIMBAL, FLAG.REQUEST, CMD_SET.GIMBAL, GIMBAL_CMD.CONTROL_PWM, payload);
-    return this._send(msg);
+    return this._command('gimbal_control', { pitch: clamp(pitch), roll: clamp(roll), yaw: clamp(yaw) });
   }
 
   // ─── Recenter to 0,0,0 ────────────────────────────────────────────────────
@@ -98,26 +116,149 @@ export class GimbalController extends EventEmitter {
     const modeVal = typeof mode === 'string' ? modeMap[mode] : mode;
     if (modeVal === undefined) throw new Error(`Unknown gimbal mode: ${mode}`);
 
-    const payload = Buffer.alloc(2);
-    payload[0] = modeVal;
-    payload[1] = 0;
-    const msg = buildMessage(TARGET.APP_TO_GIMBAL, FLAG.REQUEST, CMD_SET.GIMBAL, GIMBAL_CMD.SET_MODE, payload);
-    return this._send(msg);
+    const resp = await this._command('reset_and_set_mode', { mode: modeVal });
+    this._lastMode = mode;
+    return resp;
+  }
+
+  // ─── Suspend / resume (CmdId 0x0D) ────────────────────────────────────────
+  // May be what the Pocket 3 wants before it honours BLE control commands
+  async suspend() {
+    return this._query('suspend_resume', { action: 'suspend' });
+  }
+
+  async resume() {
+    return this._query('suspend_resume', { action: 'resume' });
+  }
+
+  // ─── Lock gimbal position (CmdId 0x39) ────────────────────────────────────
+  async lock(locked = true) {
+    return this._query('gimbal_lock', { lock: locked });
+  }
+
+  // ─── Rotate camera X axis by 90° or 180° (CmdId 0x3A) ─────────────────────
+  async rotateCamera(angle = 90) {
+    if (angle !== 90 && angle !== 180) throw new Error(`Rotation must be 90 or 180, got ${angle}`);
+    return this._query('rotate_camera_x', { angle });
+  }
+
+  // ─── Poll the current angles (CmdId 0x02) ─────────────────────────────────
+  // { pitch, roll, yaw, yawNormalized } — same frame as state
+  async getPosition() {
+    const { fields } = decode(await this._query('get_position'));
+    if (fields.yaw === undefined) throw new Error('Get Position reply too short');
+    const { pitch, roll, yaw } = fields;
+    return { pitch, roll, yaw, yawNormalized: normalizeYaw(yaw) };
+  }
+
+  // ─── External control status (CmdId 0x0B) ─────────────────────────────────
+  // Raw status bytes after the result code; not decoded yet
+  async getControlStatus() {
+    const { fields } = decode(await this._query('ext_ctrl_status'));
+    return fields.data ?? Buffer.alloc(0);
+  }
+
+  // ─── Gimbal type (CmdId 0x1C) ─────────────────────────────────────────────
+  // A 1-byte reply is taken as the type alone, like the push
+  async getType() {
+    const resp = await this._command('gimbal_type_get', {});
+    if (resp.payload.length === 1) {
+      this._type = resp.payload[0];
+    } else {
+      const { fields } = decode(this._checkResult(resp, 'gimbal_type_get'));
+      this._type = fields.type ?? null;
+    }
+    return this._type;
+  }
+
+  // ─── Send a gimbal command and wait for its ACK (or just send it) ─────────
+  async _command(name, fields, ack = true) {
+    const { target, cmdSet, cmdId, payload } = encode(name, fields);
+    if (!ack) return this._send(target, cmdSet, cmdId, payload);
+    return this._request(target, cmdSet, cmdId, payload);
+  }
+
+  // ─── Send a command and check the reply's result byte ─────────────────────
+  // Resolves with the response; rejects with err.code = 'EREJECTED' when the
+  // result is non-zero
+  async _query(name, fields = {}) {
+    return this._checkResult(await this._command(name, fields), name);
+  }
+
+  _checkResult(resp, name) {
+    const result = resp.payload[0] ?? 0;
+    if (result) {
+      const err = new Error(`Gimbal rejected ${name} (result 0x${result.toString(16)})`);
+      err.code = 'EREJECTED';
+      err.result = result;
+      throw err;
+    }
+    return resp;
   }
 
   // ─── Handle incoming DUML message (call from transport layer) ──────────────
+  // Emits 'state' on every push, 'button' ({ click: 'single'|'double'|'triple' })
+  // when a click bit turns on and 'limit' ({ axis, atLimit }) when an axis
+  // reaches or leaves its limit
   handleMessage(msg) {
     if (!msg || msg.cmdSet !== CMD_SET.GIMBAL) return;
 
+    // Gimbal type push (cmdId=0x1C, ~2Hz)
+    if (msg.cmdId === GIMBAL_CMD.TYPE_GET && msg.flags === FLAG.NOTIFY && msg.payload.length >= 1) {
+      this._type = msg.payload[0];
+      return;
+    }
+
     // Gimbal position telemetry (cmdId=0x05, ~20Hz push)
     if (msg.cmdId === GIMBAL_CMD.PARAMS_GET && msg.payload.length >= 6) {
-      this._state.pitch = msg.payload.readInt16LE(0) / 10.0;
-      this._state.roll = msg.payload.readInt16LE(2) / 10.0;
-      this._state.yaw = msg.payload.readInt16LE(4) / 10.0;
-      if (msg.payload.length >= 7) {
-        this._state.mode = msg.payload[6];
+      const { fields } = decode(msg);
+      const state = this._state;
+      state.pitch = fields.pitch;
+      state.roll = fields.roll;
+      state.yaw = fields.yaw;
+      state.yawNormalized = normalizeYaw(fields.yaw);
+
+      // Older pushes stop after the angles; keep the last known flags
+      if (fields.mode !== undefined) {
+        state.mode = fields.mode;
+        state.subMode = fields.subMode;
       }
+      if (fields.rollAdjust !== undefined) state.rollAdjust = fields.rollAdjust;
+      if (fields.verticalDir !== undefined) {
+        state.joystick = { vertical: fields.verticalDir, horizontal: fields.horizontalDir };
+      }
+
+      const limitChanges = [];
+      if (fields.pitchLimit !== undefined) {
+        for (const axis of ['pitch', 'roll', 'yaw']) {
+          const atLimit = fields[`${axis}Limit`];
+          if (atLimit !== state.limits[axis]) limitChanges.push({ axis, atLimit });
+          state.limits[axis] = atLimit;
+        }
+      }
+
+      // Click bits stay set for several pushes; report each press once
+      const clicks = [];
+      if (fields.singleClick !== undefined) {
+        for (const click of ['single', 'double', 'triple']) {
+          const on = fields[`${click}Click`];
+          if (on && !this._clicks[click]) clicks.push(click);
+          this._clicks[click] = on;
+        }
+      }
+
       this.emit('state', this.state);
+      for (const change of limitChanges) this.emit('limit', change);
+      for (const click of clicks) this.emit('button', { click });
     }
   }
 }
+
+// Telemetry yaw of the camera facing forward (PROTOCOL.md: -1000 × 0.1°)
+export const YAW_FORWARD = -100;
+
+// Device yaw → degrees from forward, in -180..180
+export function normalizeYaw(yaw) {
+  const rel = ((yaw - YAW_FORWARD) % 360 + 540) % 360 - 180;
+  return Math.round(rel * 10) / 10;
+}
@@ -0,0 +1,273 @@
+// ============================================================================
+// Motion Planner — Closed-loop keyframe moves and constant-rate pans
+// The camera has no BLE command for timed moves, so the planner drives speed
+// control (0x0C) at a fixed rate: the velocity of the planned path plus a PID
+// correction from the ~20Hz push-position telemetry. Angles are degrees with
+// yaw relative to forward (gimbal.state.yawNormalized).
+// ============================================================================
+
+import { EventEmitter } from 'events';
+
+// Easing curves: progress 0..1 → eased progress 0..1
+export const EASINGS = {
+  linear: (t) => t,
+  easeIn: (t) => t ** 3,
+  easeOut: (t) => 1 - (1 - t) ** 3,
+  easeInOut: (t) => (t < 0.5 ? 4 * t ** 3 : 1 - (-2 * t + 2) ** 3 / 2),
+};
+
+const AXES = ['pitch', 'yaw', 'roll'];
+const INTEGRAL_LIMIT = 10; // °·s, keeps the I term from winding up at a limit
+
+export class MotionPlanner extends EventEmitter {
+  // gimbal: GimbalController — telemetry from its 'state' events, commands
+  // through setSpeed(..., { ack: false })
+  // options:
+  //   rate           Control loop rate in Hz (default 10)
+  //   kp, ki, kd     PID gains on the position error (default 1.5, 0.1, 0.05)
+  //   maxSpeed       °/s cap per axis (default 90)
+  //   tolerance      ° per axis to count as arrived (default 0.5)
+  //   settleTimeout  ms to keep correcting after the path ends (default 2000)
+  //   staleAfter     ms without telemetry before running open-loop (default 500)
+  constructor(gimbal, options = {}) {
+    super();
+    this._gimbal = gimbal;
+    this._options = {
+      rate: 10,
+      kp: 1.5, ki: 0.1, kd: 0.05,
+      maxSpeed: 90,
+      tolerance: 0.5,
+      settleTimeout: 2000,
+      staleAfter: 500,
+      ...options,
+    };
+    this._motion = null;
+    this._position = null;
+    this._positionAt = 0;
+
+    gimbal.on('state', (s) => {
+      this._position = { pitch: s.pitch, yaw: s.yawNormalized, roll: s.roll };
+      this._positionAt = Date.now();
+    });
+  }
+
+  // 'idle' | 'running' | 'paused' | 'settling'
+  get state() {
+    return this._motion ? this._motion.state : 'idle';
+  }
+
+  get isMoving() {
+    return this._motion !== null;
+  }
+
+  // Last telemetry position { pitch, yaw, roll }, or null before the first push
+  get position() {
+    return this._position ? { ...this._position } : null;
+  }
+
+  // ─── Move to one target ───────────────────────────────────────────────────
+  // target: { pitch?, yaw?, roll? } — omitted axes are left alone
+  // options: { duration=2000 ms, easing='easeInOut' }
+  async moveTo(target, options = {}) {
+    const { duration = 2000, easing = 'easeInOut' } = options;
+    return this.path([{ at: duration, easing, ...target }]);
+  }
+
+  // ─── Constant-rate pan ────────────────────────────────────────────────────
+  // rates: { pitch?, yaw?, roll? } in °/s, duration in ms. Runs closed-loop
+  // along a linear path, so speed stays even however the gimbal lags.
+  async pan(rates, duration) {
+    if (!(duration > 0)) throw new Error(`Invalid pan duration: ${duration}`);
+    const start = this._position || { pitch: 0, yaw: 0, roll: 0 };
+    const end = { at: duration, easing: 'linear' };
+    for (const axis of AXES) {
+      if (rates[axis]) end[axis] = start[axis] + rates[axis] * duration / 1000;
+    }
+    return this.path([end]);
+  }
+
+  // ─── Follow keyframes ─────────────────────────────────────────────────────
+  // keyframes: [{ at: ms from start, pitch?, yaw?, roll?, easing? }]
+  //   easing ('linear' by default, a name from EASINGS or a function) shapes
+  //   the segment that ends at that keyframe. Without a keyframe at 0 the
+  //   path starts from the current position. Omitted axes hold their value;
+  //   axes no keyframe mentions are not driven at all.
+  // Resolves with { settled, error, duration } once the end point is held
+  // within tolerance (or settleTimeout passed); rejects with err.code
+  // 'EABORTED' on abort().
+  async path(keyframes) {
+    if (this._motion) throw new Error(`Motion already ${this._motion.state}`);
+    const plan = buildPlan(keyframes, this._position);
+    const period = 1000 / this._options.rate;
+
+    return new Promise((resolve, reject) => {
+      const zero = { pitch: 0, yaw: 0, roll: 0 };
+      this._motion = {
+        ...plan,
+        state: 'running',
+        startedAt: Date.now(),
+        pausedAt: null,
+        pausedTotal: 0,
+        integral: { ...zero },
+        lastError: null,
+        resolve, reject,
+        timer: setInterval(() => this._tick(), period),
+      };
+      this.emit('start', { duration: plan.duration, axes: plan.axes });
+      this._tick();
+    });
+  }
+
+  // ─── Pause / resume / abort ───────────────────────────────────────────────
+  // Pausing stops the gimbal and freezes the path clock
+  pause() {
+    const m = this._motion;
+    if (!m || m.state === 'paused') return;
+    m.resumeState = m.state;
+    m.state = 'paused';
+    m.pausedAt = Date.now();
+    this._stop();
+    this.emit('pause', { elapsed: this._elapsed(m) });
+  }
+
+  resume() {
+    const m = this._motion;
+    if (!m || m.state !== 'paused') return;
+    m.pausedTotal += Date.now() - m.pausedAt;
+    m.pausedAt = null;
+    m.state = m.resumeState;
+    m.lastError = null; // no derivative kick from the pause
+    this.emit('resume', { elapsed: this._elapsed(m) });
+  }
+
+  abort(reason) {
+    const m = this._motion;
+    if (!m) return;
+    this._end();
+    const err = reason instanceof Error ? reason : new Error(reason || 'Motion aborted');
+    err.code ??= 'EABORTED';
+    this.emit('abort', { elapsed: this._elapsed(m), reason: err.message });
+    m.reject(err);
+  }
+
+  // ─── Control loop ─────────────────────────────────────────────────────────
+  _tick() {
+    const m = this._motion;
+    if (!m || m.state === 'paused') return;
+    const { kp, ki, kd, maxSpeed, tolerance, settleTimeout, staleAfter } = this._options;
+    const dt = 1 / this._options.rate;
+    const t = this._elapsed(m);
+
+    const target = m.positionAt(Math.min(t, m.duration));
+    const feedforward = t < m.duration ? m.velocityAt(t) : { pitch: 0, yaw: 0, roll: 0 };
+    const position = Date.now() - this._positionAt <= staleAfter ? this._position : null;
+    if (t >= m.duration) m.state = 'settling';
+
+    const error = {};
+    const command = { pitch: 0, yaw: 0, roll: 0 };
+    for (const axis of m.axes) {
+      const e = position ? angleDiff(target[axis], position[axis]) : 0;
+      m.integral[axis] = clamp(m.integral[axis] + e * dt, INTEGRAL_LIMIT);
+      const de = m.lastError ? (e - m.lastError[axis]) / dt : 0;
+      error[axis] = e;
+      command[axis] = clamp(feedforward[axis] + kp * e + ki * m.integral[axis] + kd * de, maxSpeed);
+    }
+    m.lastError = error;
+
+    this._gimbal.setSpeed(command.pitch, command.yaw, command.roll, { ack: false }).catch(() => {});
+    this.emit('progress', {
+      state: m.state,
+      progress: Math.min(1, t / m.duration),
+      elapsed: t,
+      duration: m.duration,
+      target, position, error, command,
+    });
+
+    if (m.state !== 'settling') return;
+    const arrived = position && m.axes.every((axis) => Math.abs(error[axis]) <= tolerance);
+    if (arrived || !position || t - m.duration >= settleTimeout) {
+      this._end();
+      const rounded = Object.fromEntries(Object.entries(error).map(([axis, e]) => [axis, Math.round(e * 100) / 100]));
+      const result = { settled: Boolean(arrived), error: rounded, duration: t };
+      this.emit('done', result);
+      m.resolve(result);
+    }
+  }
+
+  _elapsed(m) {
+    const now = m.pausedAt ?? Date.now();
+    return now - m.startedAt - m.pausedTotal;
+  }
+
+  _end() {
+    clearInterval(this._motion.timer);
+    this._motion = null;
+    this._stop();
+  }
+
+  _stop() {
+    this._gimbal.setSpeed(0, 0, 0, { ack: false }).catch(() => {});
+  }
+}
+
+// ─── Keyframes → position/velocity functions of time ───────────────────────
+export function buildPlan(keyframes, current) {
+  if (!Array.isArray(keyframes) || keyframes.length === 0) throw new Error('A path needs at least one keyframe');
+  const frames = [...keyframes].sort((a, b) => a.at - b.at);
+  for (const k of frames) {
+    if (!(k.at >= 0)) throw new Error(`Invalid keyframe time: ${k.at}`);
+    const easing = k.easing ?? 'linear';
+    if (typeof easing !== 'function' && !EASINGS[easing]) throw new Error(`Unknown easing: ${easing}`);
+  }
+
+  const axes = AXES.filter((axis) => frames.some((k) => k[axis] !== undefined));
+  if (axes.length === 0) throw new Error('Keyframes set no pitch, yaw or roll');
+
+  // Fill omitted axes from the previous point; start at the current position
+  let prev = { pitch: 0, yaw: 0, roll: 0, ...current, at: 0 };
+  const points = frames[0].at === 0 ? [] : [prev];
+  for (const k of frames) {
+    const point = { at: k.at, easing: k.easing ?? 'linear' };
+    for (const axis of AXES) point[axis] = k[axis] ?? prev[axis];
+    points.push(point);
+    prev = point;
+  }
+
+  const duration = points[points.length - 1].at;
+  const positionAt = (t) => {
+    const i = points.findIndex((p) => p.at >= t);
+    if (i === -1) return pick(points[points.length - 1]);
+    if (i === 0) return pick(points[0]);
+    const a = points[i - 1];
+    const b = points[i];
+    const ease = typeof b.easing === 'function' ? b.easing : EASINGS[b.easing];
+    const u = ease((t - a.at) / (b.at - a.at));
+    return Object.fromEntries(AXES.map((axis) => [axis, a[axis] + (b[axis] - a[axis]) * u]));
+  };
+
+  // Path velocity in °/s by central difference
+  const h = 10;
+  const velocityAt = (t) => {
+    const t0 = Math.max(0, t - h);
+    const t1 = Math.min(duration, t + h);
+    const p0 = positionAt(t0);
+    const p1 = positionAt(t1);
+    const span = (t1 - t0) / 1000 || 1;
+    return Object.fromEntries(AXES.map((axis) => [axis, (p1[axis] - p0[axis]) / span]));
+  };
+
+  return { axes, duration: Math.max(duration, 1), positionAt, velocityAt };
+}
+
+function pick({ pitch, yaw, roll }) {
+  return { pitch, yaw, roll };
+}
+
+// Shortest signed difference a - b in degrees
+function angleDiff(a, b) {
+  return ((a - b) % 360 + 540) % 360 - 180;
+}
+
+function clamp(v, limit) {
+  return Math.max(-limit, Math.min(limit, v));
+}
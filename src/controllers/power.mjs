@@ -0,0 +1,89 @@
+// ============================================================================
+// Power Controller — Battery telemetry and low-battery warnings
+// Decodes the ~1Hz battery push from the center board (0x0D/0x02, named
+// streaming_status in the dissector). Percentage and the charging flag match
+// both reference captures; voltage and current look right, temperature is a
+// best guess (see messages.mjs).
+// ============================================================================
+
+import { EventEmitter } from 'events';
+import { FLAG, CMD_SET, BATTERY_CMD } from '../protocol/constants.mjs';
+import { decode } from '../protocol/registry.mjs';
+
+export class PowerController extends EventEmitter {
+  // options:
+  //   lowBattery  Percentage at or below which 'lowBattery' fires, or false
+  //               to never warn (default 20)
+  constructor(options = {}) {
+    super();
+    this._options = { lowBattery: 20, ...options };
+    this._state = { percent: null, charging: null, voltage: null, current: null, temperature: null };
+    this._warned = false; // 'lowBattery' fired since the level last recovered
+  }
+
+  // { percent, charging, voltage (V), current (mA), temperature (°C) } —
+  // null until the first push
+  get state() {
+    return { ...this._state };
+  }
+
+  get percent() {
+    return this._state.percent;
+  }
+
+  get isCharging() {
+    return this._state.charging === true;
+  }
+
+  get lowBatteryThreshold() {
+    return this._options.lowBattery;
+  }
+
+  set lowBatteryThreshold(percent) {
+    this._options.lowBattery = percent;
+    this._warned = false;
+    this._checkLow();
+  }
+
+  // ─── Handle incoming DUML message (call from transport layer) ──────────────
+  // Emits 'battery' (state) when the percentage or charging flag changes and
+  // 'lowBattery' ({ percent, threshold }) once per discharge below the
+  // threshold. Returns true when the message was a battery push.
+  handleMessage(msg) {
+    if (!msg || msg.cmdSet !== CMD_SET.BATTERY || msg.cmdId !== BATTERY_CMD.STATUS) return false;
+    if (msg.flags !== FLAG.NOTIFY) return false;
+
+    const { fields } = decode(msg);
+    if (fields.percent === undefined) return true;
+
+    const prev = this._state;
+    this._state = {
+      percent: fields.percent,
+      charging: fields.charging ?? prev.charging,
+      voltage: fields.voltage ?? prev.voltage,
+      current: fields.current ?? prev.current,
+      temperature: fields.temperature ?? prev.temperature,
+    };
+
+    if (prev.percent !== this._state.percent || prev.charging !== this._state.charging) {
+      this.emit('battery', this.state);
+    }
+    this._checkLow();
+    return true;
+  }
+
+  // Warn once on the way down; charging or climbing back above the
+  // threshold re-arms the warning
+  _checkLow() {
+    const { lowBattery } = this._options;
+    const { percent, charging } = this._state;
+    if (lowBattery === false || percent === null) return;
+
+    if (percent > lowBattery || charging) {
+      this._warned = false;
+    } else if (!this._warned) {
+      this._warned = true;
+      this.emit('lowBattery', { percent, threshold: lowBattery });
+    }
+  }
+}
@@ -0,0 +1,157 @@
+// ============================================================================
+// Stream Controller — RTMP livestream setup
+// Implements the verified sequence from PROTOCOL.md (Steps 3–7):
+//   PrepareToLiveStream → Stage 2 → ConnectToWiFi → ConfigureLiveStream →
+//   StartStopStreaming. Each stage waits for the device's response before the
+//   next one is sent.
+// ============================================================================
+
+import { EventEmitter } from 'events';
+import { STREAM_RESOLUTION, STREAM_FPS, DEFAULTS } from '../protocol/constants.mjs';
+import { encode, decode } from '../protocol/registry.mjs';
+
+// Stage order, used for progress reporting
+export const STREAM_STAGES = ['preparing', 'preparing2', 'connectingWifi', 'configuring', 'starting'];
+
+// StartStopStreaming variants (node-osmo / djictl): prepare stage 2 is the
+// 4-byte [00 01 1C 00], start/stop carry the action byte
+const PREPARE_STAGE2 = { enable: false, mode: 0x1C };
+const START_STREAM = { enable: true, action: 'start' };
+const STOP_STREAM = { enable: true, action: 'stop' };
+
+export class StreamController extends EventEmitter {
+  // request: async (target, cmdSet, cmdId, payload, options) => response
+  // send:    async (target, cmdSet, cmdId, payload) => msgId (no response wait)
+  constructor(request, send) {
+    super();
+    this._request = request;
+    this._send = send;
+    this._state = 'idle';
+    this._config = null;
+  }
+
+  get state() {
+    return this._state;
+  }
+
+  get isStreaming() {
+    return this._state === 'streaming';
+  }
+
+  get config() {
+    return this._config ? { ...this._config } : null;
+  }
+
+  // ─── Start livestream ─────────────────────────────────────────────────────
+  // options: { ssid, password, rtmpUrl, resolution='1080p', fps=30, bitrate=6000 (kbps) }
+  async start(options = {}) {
+    const config = {
+      resolution: '1080p',
+      fps: 30,
+      bitrate: 6000,
+      ...options,
+    };
+    if (!config.ssid) throw new Error('Missing WiFi SSID');
+    if (config.password === undefined) throw new Error('Missing WiFi password');
+    if (!config.rtmpUrl) throw new Error('Missing RTMP URL');
+    const configureFields = configureStreamingFields(config);
+
+    if (!['idle', 'failed', 'interrupted'].includes(this._state)) {
+      throw new Error(`Stream already ${this._state}`);
+    }
+
+    try {
+      // Stage 1: PrepareToLiveStream — result 0x00 means OK
+      let resp = await this._stage('preparing', 'prepare_to_livestream', {});
+      const { result } = decode(resp).fields;
+      if (result) {
+        throw new Error(`PrepareToLiveStream rejected (status 0x${result.toString(16)})`);
+      }
+
+      // Stage 2: StartStopStreaming with prepare payload
+      await this._stage('preparing2', 'start_stop_streaming', PREPARE_STAGE2);
+
+      // Stage 3: ConnectToWiFi — status 0x0000 means connected
+      resp = await this._stage('connectingWifi', 'connect_to_wifi',
+        { ssid: config.ssid, password: config.password }, DEFAULTS.WIFI_TIMEOUT);
+      const wifiStatus = decode(resp).fields.status ?? resp.payload[0];
+      if (wifiStatus) {
+        throw new Error(`WiFi connect to "${config.ssid}" failed (status 0x${wifiStatus.toString(16)})`);
+      }
+
+      // Stage 4: ConfigureLiveStream — the verified run never saw a response
+      // to this message, so it is acknowledged together with the start below.
+      await this._stage('configuring', 'configure_streaming', configureFields, null);
+
+      // Stage 5: StartStopStreaming with start payload
+      await this._stage('starting', 'start_stop_streaming', START_STREAM);
+    } catch (err) {
+      this._setState('failed');
+      throw err;
+    }
+
+    this._config = config;
+    this._setState('streaming');
+    this.emit('streaming', this.config);
+  }
+
+  // ─── Stop livestream ──────────────────────────────────────────────────────
+  async stop() {
+    this._setState('stopping');
+    try {
+      const { target, cmdSet, cmdId, payload } = encode('start_stop_streaming', STOP_STREAM);
+      await this._request(target, cmdSet, cmdId, payload);
+    } finally {
+      this._config = null;
+      this._setState('idle');
+    }
+    this.emit('stopped');
+  }
+
+  // ─── BLE link lost ────────────────────────────────────────────────────────
+  // A running stream becomes 'interrupted' and keeps its config so it can be
+  // restarted with start(stream.config) once the link is back. A start() in
+  // progress fails on its own when its pending request is rejected.
+  handleDisconnect() {
+    if (this._state !== 'streaming') return;
+    this._setState('interrupted');
+    this.emit('interrupted', this.config);
+  }
+
+  // ─── Run one stage: send, wait for response, report progress ──────────────
+  // name/fields: registry message to send; timeout=null sends without
+  // waiting for a response
+  async _stage(stage, name, fields, timeout = DEFAULTS.RESPONSE_TIMEOUT) {
+    const { target, cmdSet, cmdId, payload } = encode(name, fields);
+    const index = STREAM_STAGES.indexOf(stage);
+    const total = STREAM_STAGES.length;
+    this._setState(stage);
+    this.emit('progress', { stage, index, total, status: 'sent' });
+
+    let resp = null;
+    if (timeout === null) {
+      await this._send(target, cmdSet, cmdId, payload);
+    } else {
+      resp = await this._request(target, cmdSet, cmdId, payload, { timeout });
+    }
+
+    this.emit('progress', { stage, index, total, status: 'done', payload: resp ? resp.payload : null });
+    return resp;
+  }
+
+  _setState(state) {
+    if (state === this._state) return;
+    const prev = this._state;
+    this._state = state;
+    this.emit('state', { state, prev });
+  }
+}
+
+// ─── ConfigureLiveStream fields (registry: configure_streaming) ─────────────
+// Validated up front so bad options fail before anything is sent
+function configureStreamingFields({ resolution, fps, bitrate, rtmpUrl }) {
+  if (STREAM_RESOLUTION[resolution] === undefined) throw new Error(`Unsupported resolution: ${resolution}`);
+  if (STREAM_FPS[fps] === undefined) throw new Error(`Unsupported frame rate: ${fps}`);
+  if (!(bitrate > 0 && bitrate <= 0xFFFF)) throw new Error(`Invalid bitrate: ${bitrate} kbps`);
+  return { resolution, fps, bitrate: Math.round(bitrate), url: rtmpUrl };
+}
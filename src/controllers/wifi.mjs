@@ -0,0 +1,159 @@
+// ============================================================================
+// WiFi Controller — Network scan and join
+// Starts a scan with ScanWiFi (0x07/0xAB) and collects the networks the
+// camera sends back in wifi_scan_results requests (0x07/0xAC); joins with
+// ConnectToWiFi (0x07/0x47), whose uint16 status is 0x0000 on success.
+// The scan result layout is read from one truncated capture (see
+// PROTOCOL.md): SSIDs are certain, the per-network signal byte is a guess
+// and no security field has been identified.
+// ============================================================================
+
+import { EventEmitter } from 'events';
+import { CMD_SET, WIFI_CMD, WIFI_CONNECT_STATUS, DEFAULTS } from '../protocol/constants.mjs';
+import { encode, decode } from '../protocol/registry.mjs';
+
+// status → reason for connect() errors
+const CONNECT_REASONS = Object.fromEntries(
+  Object.entries(WIFI_CONNECT_STATUS).map(([k, v]) => [v, k.toLowerCase().replace(/_(\w)/g, (_, c) => c.toUpperCase())])
+);
+
+export class WifiController extends EventEmitter {
+  // request: async (target, cmdSet, cmdId, payload, options) => response
+  constructor(request) {
+    super();
+    this._request = request;
+    this._networks = [];
+    this._scan = null; // running scan: { networks, onPage, cancel, promise }
+  }
+
+  // Networks from the last scan (see scan())
+  get networks() {
+    return this._networks.map((n) => ({ ...n }));
+  }
+
+  get isScanning() {
+    return this._scan !== null;
+  }
+
+  // ─── Scan (CmdId 0xAB, results in 0xAC) ───────────────────────────────────
+  // Resolves with [{ ssid, signal, security, flags }] in the camera's order:
+  //   signal    0..2 as seen so far, probably bars (unconfirmed)
+  //   security  null — not identified in the result layout yet
+  //   flags     All five per-network bytes, hex, for whoever maps them
+  // Results may come in several requests; the scan ends once none has
+  // arrived for `idle` ms. Rejects with err.code 'EREJECTED' when the camera
+  // refuses to scan, 'ETIMEDOUT' when no result arrives within `timeout`.
+  // options: { timeout=10000, idle=1500 }
+  async scan(options = {}) {
+    if (this._scan) return this._scan.promise;
+    const { timeout = 10000, idle = 1500 } = options;
+    const scan = { networks: new Map(), onPage: null, cancel: null, promise: null };
+    this._scan = scan;
+
+    scan.promise = (async () => {
+      // Listen before asking: the first page can beat the reply
+      const done = new Promise((resolve, reject) => {
+        let idleTimer = null;
+        const deadline = setTimeout(() => {
+          clearTimeout(idleTimer);
+          if (scan.networks.size) return resolve();
+          const err = new Error(`No WiFi scan results within ${timeout / 1000}s`);
+          err.code = 'ETIMEDOUT';
+          reject(err);
+        }, timeout);
+        scan.onPage = () => {
+          clearTimeout(idleTimer);
+          idleTimer = setTimeout(() => {
+            clearTimeout(deadline);
+            resolve();
+          }, idle);
+        };
+        scan.cancel = (err) => {
+          clearTimeout(idleTimer);
+          clearTimeout(deadline);
+          reject(err);
+        };
+      });
+
+      // The deadline runs while the request waits for its reply, so the
+      // reply only matters when the camera refused. An unanswered request
+      // ends the scan only if no page came either; anything else is left to
+      // the deadline and the idle timer.
+      const { target, cmdSet, cmdId, payload } = encode('start_scan_wifi');
+      this._request(target, cmdSet, cmdId, payload).then((resp) => {
+        const result = resp.payload[0] ?? 0;
+        if (!result) return;
+        const err = new Error(`Camera refused to scan for WiFi (result 0x${result.toString(16)})`);
+        err.code = 'EREJECTED';
+        err.result = result;
+        scan.cancel(err);
+      }, (err) => {
+        if (err.code === 'ETIMEDOUT' && scan.networks.size === 0) scan.cancel(err);
+      });
+      await done;
+
+      this._networks = [...scan.networks.values()];
+      this.emit('networks', this.networks);
+      return this.networks;
+    })().finally(() => {
+      this._scan = null;
+    });
+    return scan.promise;
+  }
+
+  // ─── Join a network (CmdId 0x47) ──────────────────────────────────────────
+  // Resolves with { ssid, status: 0 }. A non-zero status rejects with
+  // err.code 'EREJECTED', err.status and err.reason ('notFound',
+  // 'wrongPassword', or null for a status nobody has mapped).
+  // options: { timeout=DEFAULTS.WIFI_TIMEOUT }
+  async connect(ssid, password, options = {}) {
+    if (!ssid) throw new Error('Missing WiFi SSID');
+    if (password === undefined) throw new Error('Missing WiFi password');
+    const { timeout = DEFAULTS.WIFI_TIMEOUT } = options;
+
+    const { target, cmdSet, cmdId, payload } = encode('connect_to_wifi', { ssid, password });
+    const resp = await this._request(target, cmdSet, cmdId, payload, { timeout });
+    const status = decode(resp).fields.status ?? resp.payload[0] ?? 0;
+    if (status !== WIFI_CONNECT_STATUS.CONNECTED) {
+      const reason = CONNECT_REASONS[status] ?? null;
+      const err = new Error(`WiFi connect to "${ssid}" failed (${reason ?? 'status'} 0x${status.toString(16)})`);
+      err.code = 'EREJECTED';
+      err.status = status;
+      err.reason = reason;
+      throw err;
+    }
+    return { ssid, status };
+  }
+
+  // ─── Handle incoming DUML message (call from transport layer) ──────────────
+  // Collects wifi_scan_results pages while a scan runs; an SSID listed on
+  // several pages is kept once. Returns true when the message was one.
+  handleMessage(msg) {
+    if (!msg || msg.cmdSet !== CMD_SET.WIFI || msg.cmdId !== WIFI_CMD.SCAN_RESULTS) return false;
+    if (msg.flags & 0x80) return false;
+    if (!this._scan) return true;
+
+    for (const network of parseScanResults(msg.payload)) {
+      if (!this._scan.networks.has(network.ssid)) this._scan.networks.set(network.ssid, network);
+    }
+    this._scan.onPage?.();
+    return true;
+  }
+}
+
+// ─── wifi_scan_results payload ───────────────────────────────────────────────
+// [4-byte header] then per network: [len] [5 bytes] [SSID, len - 6 bytes];
+// len counts the whole record. A record cut off by the frame end is dropped.
+export function parseScanResults(payload) {
+  const networks = [];
+  let offset = 4;
+  while (offset + 6 <= payload.length) {
+    const len = payload[offset];
+    if (len < 6 || offset + len > payload.length) break;
+    const attrs = payload.subarray(offset + 1, offset + 6);
+    const ssid = payload.toString('utf8', offset + 6, offset + len);
+    networks.push({ ssid, signal: attrs[2], security: null, flags: attrs.toString('hex') });
+    offset += len;
+  }
+  return networks;
+}
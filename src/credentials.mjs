@@ -0,0 +1,164 @@
+// ============================================================================
+// CredentialStore — Paired devices and the per-host pairing identifier
+// ============================================================================
+//
+// The camera remembers apps by the identifier sent with SetPairingPIN, so
+// every install gets its own random one instead of DEFAULTS.IDENTIFIER.
+// Stored as JSON (mode 0600, it holds PINs):
+//
+//   {
+//     "version": 1,
+//     "identifier": "483920175561034",
+//     "devices": {
+//       "<device id>": { "id", "name", "identifier", "pin", "model", "lastPaired" }
+//     }
+//   }
+//
+//   identifier             Identifier this host pairs new devices with
+//   devices.*.name         Friendly name — the advertised name until renamed
+//   devices.*.identifier   Identifier the device was paired with; reused so a
+//                          device paired under another identifier stays paired
+//   devices.*.model        Model string, when the device reported one
+//   devices.*.lastPaired   ISO timestamp of the last successful pairing
+//
+// Location: $DJI_OSMO_STORE, else $XDG_CONFIG_HOME/dji-osmo/devices.json
+// (~/.config/dji-osmo/devices.json).
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+
+const VERSION = 1;
+
+let tmpCount = 0; // temp file suffix, unique across stores in this process
+
+export function defaultStorePath() {
+  if (process.env.DJI_OSMO_STORE) return process.env.DJI_OSMO_STORE;
+  const base = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(base, 'dji-osmo', 'devices.json');
+}
+
+// 15 decimal digits, the same shape as the identifier Mimo sends
+export function generateIdentifier() {
+  let id = '';
+  for (let i = 0; i < 15; i++) id += crypto.randomInt(10);
+  return id;
+}
+
+export class CredentialStore {
+  constructor(file = defaultStorePath()) {
+    this._path = file;
+    this._queue = Promise.resolve(); // read-modify-write operations, in order
+  }
+
+  get path() {
+    return this._path;
+  }
+
+  // ─── Identifier for this host, generated and saved on first use ───────────
+  // options.create: false only reads it — null until something has paired
+  async hostIdentifier(options = {}) {
+    if (options.create === false) return (await this._read()).identifier;
+    return this._update(async (data) => {
+      if (data.identifier) return [data.identifier, false];
+      data.identifier = generateIdentifier();
+      return [data.identifier, true];
+    });
+  }
+
+  // ─── Known devices, most recently paired first ────────────────────────────
+  async list() {
+    const { devices } = await this._read();
+    return Object.values(devices)
+      .sort((a, b) => String(b.lastPaired ?? '').localeCompare(String(a.lastPaired ?? '')));
+  }
+
+  // ─── Look up a device by id or (case-insensitive) friendly name ───────────
+  async get(idOrName) {
+    return findDevice(await this._read(), idOrName);
+  }
+
+  // ─── Save or update a device after pairing ────────────────────────────────
+  // Fields left undefined keep their stored value. Returns the stored entry.
+  async remember(id, info = {}) {
+    return this._update(async (data) => {
+      const prev = data.devices[id] || {};
+      const entry = { id, name: null, identifier: null, pin: null, model: null, lastPaired: null, ...prev };
+      for (const [key, value] of Object.entries(info)) {
+        if (value !== undefined) entry[key] = value;
+      }
+      entry.name ||= id;
+      data.devices[id] = entry;
+      return [entry, true];
+    });
+  }
+
+  async rename(idOrName, name) {
+    if (!name) throw new Error('A new name is required');
+    return this._update(async (data) => {
+      const entry = findDevice(data, idOrName);
+      if (!entry) throw new Error(`Unknown device: ${idOrName}`);
+      const clash = findDevice(data, name);
+      if (clash && clash.id !== entry.id) throw new Error(`Name already used by ${clash.id}`);
+      entry.name = name;
+      return [entry, true];
+    });
+  }
+
+  // Returns the removed entry, or null if the device was not stored
+  async forget(idOrName) {
+    return this._update(async (data) => {
+      const entry = findDevice(data, idOrName);
+      if (!entry) return [null, false];
+      delete data.devices[entry.id];
+      return [entry, true];
+    });
+  }
+
+  // ─── File access ──────────────────────────────────────────────────────────
+  // Runs fn(data) → [result, changed] after every earlier update has been
+  // written, so connections sharing a store never overwrite each other
+  _update(fn) {
+    const run = this._queue.then(async () => {
+      const data = await this._read();
+      const [result, changed] = await fn(data);
+      if (changed) await this._write(data);
+      return result;
+    });
+    this._queue = run.catch(() => {});
+    return run;
+  }
+
+  async _read() {
+    let text;
+    try {
+      text = await fs.readFile(this._path, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return { version: VERSION, identifier: null, devices: {} };
+      throw err;
+    }
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      throw new Error(`Invalid credential store ${this._path}: ${err.message}`);
+    }
+    return { version: VERSION, identifier: null, ...data, devices: data.devices || {} };
+  }
+
+  // Write a temp file and rename it so a crash never leaves half a file
+  async _write(data) {
+    await fs.mkdir(path.dirname(this._path), { recursive: true });
+    const tmp = `${this._path}.${process.pid}.${++tmpCount}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(data, null, 2) + '\n', { mode: 0o600 });
+    await fs.rename(tmp, this._path);
+  }
+}
+
+function findDevice(data, idOrName) {
+  if (!idOrName) return null;
+  if (data.devices[idOrName]) return data.devices[idOrName];
+  const lower = String(idOrName).toLowerCase();
+  return Object.values(data.devices).find((d) => d.name?.toLowerCase() === lower) || null;
+}
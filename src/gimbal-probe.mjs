@@ -0,0 +1,402 @@
+// ============================================================================
+// GimbalProbe — Systematic search for the gimbal commands a camera honours
+// ============================================================================
+//
+// Sends every variant of a declarative matrix over an open OsmoConnection and
+// records what came back: any response frame for the command, and any
+// telemetry movement beyond the noise measured just before the variant. The
+// default matrix covers the control commands the interactive CLI switches
+// between (1-5), each routed to the gimbal, the camera and the center board,
+// with and without the ACK flag, after no / resume / mode preconditions.
+//
+// Matrix entry:
+//   {
+//     name:          'speed'                      Variant id prefix
+//     cmdSet:        0x04                         Default: CMD_SET.GIMBAL
+//     cmdId:         0x0C                         Number or '0x0C'
+//     targets:       ['gimbal', 'camera', 0x05]   Receivers (TARGET_NAMES or
+//                                                 an address); sender is the app
+//     flags:         ['request', 'noAck']         FLAG_NAMES or a raw byte
+//     payloads:      [{ label, hex } | { label, message, fields }]
+//     preconditions: [[], ['resume'], ['resume', 'mode:follow']]
+//     repeat:        { count: 10, interval: 100 } Resend, for commands the
+//                                                 gimbal only follows while fed
+//   }
+//
+// Preconditions are PRECONDITIONS names, sent App→Gimbal before the variant;
+// whether each was ACKed is part of the result. A JSON matrix file uses the
+// same shape.
+//
+// Events:
+//   'variant' ({ index, total, variant })   About to send
+//   'result'  (result)                      One variant finished
+
+import { EventEmitter } from 'events';
+import { ADDR, FLAG, CMD_SET, GIMBAL_CMD } from './protocol/constants.mjs';
+import { encode } from './protocol/registry.mjs';
+import { YAW_FORWARD } from './controllers/gimbal.mjs';
+
+export const TARGET_NAMES = {
+  gimbal: ADDR.GIMBAL,
+  camera: ADDR.CAMERA,
+  centerBoard: ADDR.CENTER_BOARD,
+  fc: ADDR.FC,
+};
+
+export const FLAG_NAMES = {
+  request: FLAG.REQUEST, // ACK wanted
+  noAck: FLAG.NOTIFY,
+};
+
+// Named setup steps: registry message + fields, sent App→Gimbal
+export const PRECONDITIONS = {
+  resume: { message: 'suspend_resume', fields: { action: 'resume' } },
+  suspend: { message: 'suspend_resume', fields: { action: 'suspend' } },
+  unlock: { message: 'gimbal_lock', fields: { lock: false } },
+  'mode:lock': { message: 'reset_and_set_mode', fields: { mode: 'lock' } },
+  'mode:follow': { message: 'reset_and_set_mode', fields: { mode: 'follow' } },
+  'mode:fpv': { message: 'reset_and_set_mode', fields: { mode: 'fpv' } },
+};
+
+const ALL_TARGETS = ['gimbal', 'camera', 'centerBoard'];
+const ALL_FLAGS = ['request', 'noAck'];
+const SETUPS = [[], ['resume'], ['resume', 'mode:follow']];
+
+// Yaw right 30° (or 30°/s) — the axis with the widest range
+export const GIMBAL_PROBE_MATRIX = [
+  {
+    name: 'speed', cmdId: GIMBAL_CMD.SPEED_CTRL,
+    targets: ALL_TARGETS, flags: ALL_FLAGS, preconditions: SETUPS,
+    payloads: [
+      { label: 'yaw30', message: 'speed_control', fields: { yaw: 30, enable: 1 } },
+      { label: 'yaw30-noenable', message: 'speed_control', fields: { yaw: 30, enable: 0 } },
+    ],
+    repeat: { count: 10, interval: 100 },
+  },
+  {
+    name: 'angle', cmdId: GIMBAL_CMD.ANGLE_SET,
+    targets: ALL_TARGETS, flags: ALL_FLAGS, preconditions: SETUPS,
+    payloads: [
+      { label: 'yaw30', message: 'angle_set', fields: { yaw: 30, speed: 30, flags: 0x01, speedFactor: 60 } },
+    ],
+  },
+  {
+    name: 'absAngle', cmdId: GIMBAL_CMD.ABS_ANGLE,
+    targets: ALL_TARGETS, flags: ALL_FLAGS, preconditions: SETUPS,
+    payloads: [
+      {
+        label: 'yaw30',
+        message: 'abs_angle_control',
+        fields: { yaw: 30, pitchEnable: 1, rollEnable: 1, yawEnable: 1, duration: 20 },
+      },
+    ],
+  },
+  {
+    name: 'pwm', cmdId: GIMBAL_CMD.CONTROL_PWM,
+    targets: ALL_TARGETS, flags: ALL_FLAGS, preconditions: SETUPS,
+    payloads: [{ label: 'yaw+300', message: 'gimbal_control', fields: { yaw: 1324 } }],
+    repeat: { count: 10, interval: 100 },
+  },
+  {
+    name: 'move', cmdId: GIMBAL_CMD.MOVEMENT,
+    targets: ALL_TARGETS, flags: ALL_FLAGS, preconditions: SETUPS,
+    payloads: [{ label: 'yaw30', message: 'movement', fields: { yaw: 30, speedPitch: 50, speedYaw: 50 } }],
+  },
+];
+
+// ─── Matrix → flat list of variants ─────────────────────────────────────────
+// [{ id, cmdSet, cmdId, receiver, target, flags, payload, payloadLabel,
+//    preconditions, repeat }]
+export function expandMatrix(matrix) {
+  if (!Array.isArray(matrix)) throw new Error('A probe matrix is an array of entries');
+  const variants = [];
+
+  for (const entry of matrix) {
+    const name = entry.name || String(entry.cmdId);
+    const cmdSet = toNumber(entry.cmdSet ?? CMD_SET.GIMBAL, `${name}.cmdSet`);
+    const cmdId = toNumber(entry.cmdId, `${name}.cmdId`);
+    const payloads = entry.payloads?.length ? entry.payloads : [{ label: 'empty', hex: '' }];
+    const setups = entry.preconditions?.length ? entry.preconditions : [[]];
+    const repeat = { count: 1, interval: 0, ...entry.repeat };
+
+    for (const targetName of entry.targets || ['gimbal']) {
+      const receiver = typeof targetName === 'string' ? TARGET_NAMES[targetName] : targetName;
+      if (receiver === undefined) throw new Error(`${name}: unknown target "${targetName}"`);
+
+      for (const flagName of entry.flags || ['request']) {
+        const flags = typeof flagName === 'string' ? FLAG_NAMES[flagName] : flagName;
+        if (flags === undefined) throw new Error(`${name}: unknown flags "${flagName}"`);
+
+        for (const payloadSpec of payloads) {
+          const payload = buildPayload(payloadSpec, name);
+          const payloadLabel = payloadSpec.label || payload.toString('hex') || 'empty';
+
+          for (const setup of setups) {
+            for (const step of setup) {
+              if (!PRECONDITIONS[step]) throw new Error(`${name}: unknown precondition "${step}"`);
+            }
+            const parts = [name, label(TARGET_NAMES, receiver), label(FLAG_NAMES, flags), payloadLabel];
+            if (setup.length) parts.push(setup.join('+'));
+            variants.push({
+              id: parts.join('/'),
+              cmdSet, cmdId,
+              receiver,
+              target: ADDR.APP | (receiver << 8),
+              flags,
+              payload,
+              payloadLabel,
+              preconditions: [...setup],
+              repeat,
+            });
+          }
+        }
+      }
+    }
+  }
+  return variants;
+}
+
+export class GimbalProbe extends EventEmitter {
+  // connection: a connected OsmoConnection
+  // options:
+  //   baseline   ms of telemetry before each variant to measure noise (default 500)
+  //   settle     ms to watch for responses and movement after sending (default 1500)
+  //   rest       ms after the stop command before the next variant (default 500)
+  //   restore    ms to wait for the return move after a variant that moved
+  //              the gimbal (default 2000)
+  //   timeout    ms to wait for each precondition's ACK (default 1000)
+  //   threshold  Minimum ° change that counts as movement (default 1)
+  constructor(connection, options = {}) {
+    super();
+    this._conn = connection;
+    this._options = {
+      baseline: 500,
+      settle: 1500,
+      rest: 500,
+      restore: 2000,
+      timeout: 1000,
+      threshold: 1,
+      ...options,
+    };
+    this._aborted = false;
+  }
+
+  // Stop after the variant in progress
+  abort() {
+    this._aborted = true;
+  }
+
+  // ─── Run variants in order ────────────────────────────────────────────────
+  // Resolves with the results of every variant that ran
+  async run(variants) {
+    this._aborted = false;
+    const results = [];
+    for (const [index, variant] of variants.entries()) {
+      if (this._aborted || !this._conn.isConnected) break;
+      this.emit('variant', { index, total: variants.length, variant });
+      const result = await this._probe(variant);
+      results.push(result);
+      this.emit('result', result);
+    }
+    return results;
+  }
+
+  // Send on a variant's route without waiting; a dead link shows up in the
+  // variant's own error
+  async _sendQuietly({ target, flags }, name, fields) {
+    const { cmdSet, cmdId, payload } = encode(name, fields);
+    try {
+      await this._conn.send(target, cmdSet, cmdId, payload, { flags });
+    } catch {
+      // ignored, see above
+    }
+  }
+
+  async _probe(variant) {
+    const { baseline, settle, rest, restore, timeout, threshold } = this._options;
+    const conn = this._conn;
+
+    const preconditions = {};
+    for (const step of variant.preconditions) {
+      const { message, fields } = PRECONDITIONS[step];
+      const { target, cmdSet, cmdId, payload } = encode(message, fields);
+      try {
+        await conn.request(target, cmdSet, cmdId, payload, { timeout });
+        preconditions[step] = 'ack';
+      } catch (err) {
+        preconditions[step] = err.code === 'ETIMEDOUT' ? 'no response' : err.message;
+      }
+    }
+
+    const samples = [];
+    const onState = (s) => samples.push({ at: Date.now(), pitch: s.pitch, roll: s.roll, yaw: s.yawNormalized });
+    conn.gimbal.on('state', onState);
+
+    // Every frame answering the command, from whichever module replies
+    const responses = [];
+    const msgIds = new Set();
+    const onMessage = (msg) => {
+      if (!(msg.flags & 0x80)) return;
+      if (!msgIds.has(msg.msgId) && (msg.cmdSet !== variant.cmdSet || msg.cmdId !== variant.cmdId)) return;
+      responses.push({
+        sender: msg.sender, flags: msg.flags, cmdSet: msg.cmdSet, cmdId: msg.cmdId,
+        msgId: msg.msgId, payload: msg.payload.toString('hex'),
+      });
+    };
+    conn.on('message', onMessage);
+
+    let error = null;
+    let sentAt = null;
+    try {
+      await delay(baseline);
+      sentAt = Date.now();
+      for (let i = 0; i < variant.repeat.count; i++) {
+        if (i > 0) await delay(variant.repeat.interval);
+        const msgId = await conn.send(variant.target, variant.cmdSet, variant.cmdId, variant.payload, {
+          flags: variant.flags,
+        });
+        msgIds.add(msgId);
+      }
+      await delay(settle);
+    } catch (err) {
+      error = err.message;
+    } finally {
+      conn.gimbal.off('state', onState);
+      conn.off('message', onMessage);
+    }
+
+    // Zero speed through the same route, so a variant that started the
+    // motors doesn't carry over into the next one
+    const route = { target: variant.target, flags: variant.flags };
+    await this._sendQuietly(route, 'speed_control', { enable: 1 });
+    await delay(rest);
+
+    // A variant that moved the gimbal is asked, the same way, to go back —
+    // otherwise the next ones start at a mechanical limit and can't move
+    const motion = measureMotion(samples, sentAt, threshold);
+    let restored = null;
+    if (motion.moved.length) {
+      const start = motion.start;
+      await this._sendQuietly(route, 'abs_angle_control', {
+        pitch: start.pitch, roll: start.roll, yaw: start.yaw + YAW_FORWARD,
+        pitchEnable: 1, rollEnable: 1, yawEnable: 1, duration: 20,
+      });
+      await delay(restore);
+      const now = conn.gimbal.state;
+      const end = { pitch: now.pitch, roll: now.roll, yaw: now.yawNormalized };
+      restored = ['pitch', 'roll', 'yaw'].every((axis) => Math.abs(angleDiff(end[axis], start[axis])) < threshold);
+    }
+    delete motion.start;
+
+    return {
+      id: variant.id,
+      cmdSet: variant.cmdSet,
+      cmdId: variant.cmdId,
+      target: variant.target,
+      flags: variant.flags,
+      payload: variant.payload.toString('hex'),
+      preconditions,
+      sent: msgIds.size,
+      responses,
+      acked: responses.length > 0,
+      ...motion,
+      restored,
+      error,
+    };
+  }
+}
+
+// ─── Telemetry before vs after sending ──────────────────────────────────────
+// noise: per-axis spread during the baseline; delta: largest deviation from
+// the baseline mean (start) afterwards. An axis moved when its delta beats both the
+// threshold and three times the noise.
+function measureMotion(samples, sentAt, threshold) {
+  const before = sentAt ? samples.filter((s) => s.at < sentAt) : [];
+  const after = sentAt ? samples.filter((s) => s.at >= sentAt) : [];
+  if (before.length === 0 || after.length === 0) {
+    return { telemetry: false, noise: null, delta: null, moved: [] };
+  }
+
+  const noise = {};
+  const delta = {};
+  const moved = [];
+  const start = {};
+  for (const axis of ['pitch', 'roll', 'yaw']) {
+    const base = before.map((s) => s[axis]);
+    const mean = base.reduce((a, b) => a + b, 0) / base.length;
+    start[axis] = mean;
+    noise[axis] = round(Math.max(...base.map((v) => Math.abs(angleDiff(v, mean)))) * 2);
+    const peak = after.reduce((best, s) => {
+      const d = angleDiff(s[axis], mean);
+      return Math.abs(d) > Math.abs(best) ? d : best;
+    }, 0);
+    delta[axis] = round(peak);
+    if (Math.abs(peak) >= Math.max(threshold, noise[axis] * 3)) moved.push(axis);
+  }
+  return { telemetry: true, noise, delta, moved, start };
+}
+
+// ─── Report table ───────────────────────────────────────────────────────────
+export function formatProbeTable(results) {
+  const rows = results.map((r) => [
+    r.id,
+    r.acked ? responseSummary(r.responses) : '-',
+    movedSummary(r),
+    Object.entries(r.preconditions).map(([step, outcome]) => `${step}: ${outcome}`).join(', ') || '',
+    r.error || '',
+  ]);
+  const head = ['VARIANT', 'RESPONSE', 'MOVED', 'PRECONDITIONS', 'ERROR'];
+  const widths = head.map((h, i) => Math.max(h.length, ...rows.map((row) => row[i].length)));
+  const line = (cells) => cells.map((c, i) => c.padEnd(widths[i])).join('  ').trimEnd();
+  return [line(head), ...rows.map(line)].join('\n');
+}
+
+function movedSummary(r) {
+  if (!r.telemetry) return 'no telemetry';
+  if (!r.moved.length) return '-';
+  const axes = r.moved.map((axis) => `${axis} ${r.delta[axis] > 0 ? '+' : ''}${r.delta[axis]}°`).join(', ');
+  return r.restored ? axes : `${axes} (not returned)`;
+}
+
+function responseSummary(responses) {
+  const first = responses[0];
+  const more = responses.length > 1 ? ` (+${responses.length - 1})` : '';
+  return `0x${hex(first.sender)}: ${first.payload || '(empty)'}${more}`;
+}
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+function buildPayload(spec, context) {
+  if (spec.message) return encode(spec.message, spec.fields || {}).payload;
+  if (typeof spec.hex === 'string') {
+    const clean = spec.hex.replace(/\s+/g, '');
+    if (!/^([0-9a-f]{2})*$/i.test(clean)) throw new Error(`${context}: invalid payload hex "${spec.hex}"`);
+    return Buffer.from(clean, 'hex');
+  }
+  throw new Error(`${context}: a payload needs "hex" or "message"`);
+}
+
+function toNumber(value, context) {
+  const n = typeof value === 'string' ? Number(value) : value;
+  if (!Number.isInteger(n) || n < 0 || n > 0xFF) throw new Error(`${context}: invalid value ${value}`);
+  return n;
+}
+
+function label(names, value) {
+  return Object.keys(names).find((k) => names[k] === value) ?? `0x${hex(value)}`;
+}
+
+function hex(n) {
+  return n.toString(16).padStart(2, '0').toUpperCase();
+}
+
+function round(v) {
+  return Math.round(v * 10) / 10;
+}
+
+function angleDiff(a, b) {
+  return ((a - b) % 360 + 540) % 360 - 180;
+}
+
+function delay(ms) {
+  return new Promise((res) => setTimeout(res, ms));
+}
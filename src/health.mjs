@@ -0,0 +1,207 @@
+// ============================================================================
+// HealthMonitor — Link health from the cadence of the device's pushes
+// ============================================================================
+//
+// A paired Pocket 3 never goes quiet: keepalives (0x04/0x27) arrive at
+// ~10Hz, gimbal telemetry (0x04/0x05) at ~20Hz and general status
+// (0x00/0xF1) at ~1Hz. When those stop while BLE still reports the link as
+// up, the link is half dead — noble may take many seconds to notice. The
+// monitor times every stream and reports gaps long before that.
+//
+// A stream is only watched once it has been seen, so firmware that never
+// sends one of them raises no false alarm.
+
+import { EventEmitter } from 'events';
+import { CMD_SET, GIMBAL_CMD, GENERAL_CMD } from './protocol/constants.mjs';
+
+// Streams watched by default. rate: nominal Hz; staleAfter: ms of silence
+// before 'stale' (several missed pushes, so one late packet isn't an alarm)
+export const HEALTH_STREAMS = {
+  telemetry: { cmdSet: CMD_SET.GIMBAL, cmdId: GIMBAL_CMD.PARAMS_GET, rate: 20, staleAfter: 1000 },
+  keepalive: { cmdSet: CMD_SET.GIMBAL, cmdId: GIMBAL_CMD.KEEPALIVE, rate: 10, staleAfter: 1000 },
+  status:    { cmdSet: CMD_SET.GENERAL, cmdId: GENERAL_CMD.STATUS, rate: 1, staleAfter: 5000 },
+};
+
+export class HealthMonitor extends EventEmitter {
+  // options:
+  //   interval    ms between checks (default 250)
+  //   window      ms of history for rates and gaps (default 5000)
+  //   streams     { name: { cmdSet, cmdId, rate, staleAfter } } merged over
+  //               HEALTH_STREAMS; null removes a default stream
+  //   silentAfter ms with every watched stream stale before 'silent', or
+  //               null to never fire it (default null)
+  constructor(options = {}) {
+    super();
+    const { streams = {}, ...rest } = options;
+    this._options = { interval: 250, window: 5000, silentAfter: null, ...rest };
+    this._streams = Object.fromEntries(
+      Object.entries({ ...HEALTH_STREAMS, ...streams })
+        .filter(([, spec]) => spec)
+        .map(([name, spec]) => [name, { ...HEALTH_STREAMS[name], ...spec }])
+    );
+    this._timer = null;
+    this.reset();
+  }
+
+  get isRunning() {
+    return this._timer !== null;
+  }
+
+  // Every watched stream has gone stale (false before any was seen)
+  get isSilent() {
+    const seen = Object.values(this._state).filter((s) => s.lastSeen !== null);
+    return seen.length > 0 && seen.every((s) => s.stale);
+  }
+
+  // ─── Start / stop (call on connect / disconnect) ──────────────────────────
+  start() {
+    this.stop();
+    this.reset();
+    this._startedAt = Date.now();
+    this._timer = setInterval(() => this._check(), this._options.interval);
+  }
+
+  stop() {
+    clearInterval(this._timer);
+    this._timer = null;
+  }
+
+  reset() {
+    this._startedAt = null;
+    this._arrivals = [];  // timestamps of every message in the window
+    this._total = 0;
+    this._frameErrors = { crc8: 0, crc16: 0, length: 0, discarded: 0 };
+    this._silentNotified = false;
+    this._state = Object.fromEntries(Object.keys(this._streams).map((name) => [name, {
+      count: 0,
+      lastSeen: null,
+      arrivals: [],      // timestamps in the window
+      stale: false,
+      staleSince: null,
+    }]));
+  }
+
+  // ─── Feed incoming traffic ────────────────────────────────────────────────
+  handleMessage(msg) {
+    const now = Date.now();
+    this._total++;
+    this._arrivals.push(now);
+
+    if (msg.flags & 0x80) return; // replies are not part of any cadence
+    for (const [name, spec] of Object.entries(this._streams)) {
+      if (msg.cmdSet !== spec.cmdSet || msg.cmdId !== spec.cmdId) continue;
+      const s = this._state[name];
+      const prev = s.lastSeen;
+      s.count++;
+      s.lastSeen = now;
+      s.arrivals.push(now);
+      if (s.stale) {
+        const gap = now - prev;
+        s.stale = false;
+        s.staleSince = null;
+        this._silentNotified = false;
+        this.emit('recovered', { stream: name, gap });
+      }
+    }
+  }
+
+  // err: a 'frameError' from the transport ({ type, bytes, data })
+  handleFrameError(err) {
+    if (err?.type in this._frameErrors) this._frameErrors[err.type]++;
+  }
+
+  // ─── Snapshot ─────────────────────────────────────────────────────────────
+  // {
+  //   since,        Timestamp of the last start(), null before
+  //   silent,       Every watched stream is stale
+  //   messages:     { total, rate } — all incoming messages, rate in msg/s
+  //   streams:      { name: { rate, expectedRate, count, lastSeen, age,
+  //                   maxGap, stale } } — age/maxGap in ms, rates over the window
+  //   frameErrors:  { crc8, crc16, length, discarded }
+  // }
+  snapshot() {
+    const now = Date.now();
+    this._prune(now);
+    const span = this._span(now);
+
+    const streams = {};
+    for (const [name, spec] of Object.entries(this._streams)) {
+      const s = this._state[name];
+      streams[name] = {
+        rate: round(s.arrivals.length / span),
+        expectedRate: spec.rate,
+        count: s.count,
+        lastSeen: s.lastSeen,
+        age: s.lastSeen === null ? null : now - s.lastSeen,
+        maxGap: maxGap(s, now),
+        stale: s.stale,
+      };
+    }
+    return {
+      since: this._startedAt,
+      silent: this.isSilent,
+      messages: { total: this._total, rate: round(this._arrivals.length / span) },
+      streams,
+      frameErrors: { ...this._frameErrors },
+    };
+  }
+
+  // ─── Periodic check ───────────────────────────────────────────────────────
+  // Emits 'stale' ({ stream, gap, staleAfter }) once per outage, and
+  // 'silent' ({ gap }) once every stream has been stale for silentAfter ms
+  _check() {
+    const now = Date.now();
+    this._prune(now);
+
+    for (const [name, spec] of Object.entries(this._streams)) {
+      const s = this._state[name];
+      if (s.lastSeen === null || s.stale) continue;
+      const gap = now - s.lastSeen;
+      if (gap > spec.staleAfter) {
+        s.stale = true;
+        s.staleSince = now;
+        this.emit('stale', { stream: name, gap, staleAfter: spec.staleAfter });
+      }
+    }
+
+    const { silentAfter } = this._options;
+    if (silentAfter === null || this._silentNotified || !this.isSilent) return;
+    const states = Object.values(this._state);
+    const staleFor = now - Math.max(...states.map((s) => s.staleSince ?? 0));
+    if (staleFor >= silentAfter) {
+      this._silentNotified = true;
+      this.emit('silent', { gap: now - Math.max(...states.map((s) => s.lastSeen ?? 0)) });
+    }
+  }
+
+  _prune(now) {
+    const cutoff = now - this._options.window;
+    dropBefore(this._arrivals, cutoff);
+    for (const s of Object.values(this._state)) dropBefore(s.arrivals, cutoff);
+  }
+
+  // Seconds of history the rates are computed over
+  _span(now) {
+    const since = this._startedAt ?? now;
+    return Math.max(0.001, Math.min(this._options.window, now - since) / 1000);
+  }
+}
+
+function dropBefore(times, cutoff) {
+  let i = 0;
+  while (i < times.length && times[i] < cutoff) i++;
+  if (i) times.splice(0, i);
+}
+
+// Longest interval between arrivals in the window, counting the silence
+// since the last one; null for a stream never seen
+function maxGap({ arrivals, lastSeen }, now) {
+  if (lastSeen === null) return null;
+  let gap = now - lastSeen;
+  for (let i = 1; i < arrivals.length; i++) gap = Math.max(gap, arrivals[i] - arrivals[i - 1]);
+  return gap;
+}
+
+function round(n) {
+  return Math.round(n * 10) / 10;
+}
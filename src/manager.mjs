@@ -0,0 +1,177 @@
+// ============================================================================
+// OsmoManager — Several Osmo cameras from one host
+// ============================================================================
+//
+// Owns the BleScanner every connection discovers through, so connecting one
+// camera never stops the scan another is still waiting on, and one
+// CredentialStore so parallel pairings never overwrite each other's entries.
+// Connections are kept by device id and an optional alias; group commands
+// run on all of them in parallel.
+//
+// Events from every connection are re-emitted with the device as first
+// argument: manager.on('gimbalState', ({ id, alias }, state) => ...)
+
+import { EventEmitter } from 'events';
+import { OsmoConnection } from './connection.mjs';
+import { CredentialStore } from './credentials.mjs';
+import { BleTransport } from './transport/ble.mjs';
+import { sharedScanner } from './transport/scanner.mjs';
+
+// OsmoConnection events forwarded by the manager
+export const MANAGER_EVENTS = [
+  'found', 'connected', 'disconnected', 'stateChange',
+  'pairing', 'pairingRequired', 'paired', 'pairingRejected', 'pairingTimeout',
+  'reconnecting', 'reconnected', 'reconnectFailed',
+  'gimbalState', 'button', 'limit', 'cameraState', 'streamProgress', 'battery', 'lowBattery',
+  'stale', 'recovered', 'silent', 'rawMessage', 'frameError',
+  'storeError', 'error',
+];
+
+export class OsmoManager extends EventEmitter {
+  // options:
+  //   scanner   BleScanner shared by the managed BLE transports (default: the
+  //             process-wide one)
+  //   store     CredentialStore, store path, or false (shared by all devices)
+  //   defaults  OsmoConnection options applied to every add() (pin,
+  //             reconnect, approvalTimeout, ...)
+  constructor(options = {}) {
+    super();
+    this._scanner = options.scanner || sharedScanner();
+    this._store = options.store === false ? false
+      : options.store instanceof CredentialStore ? options.store
+        : new CredentialStore(options.store);
+    this._defaults = options.defaults || {};
+    this._devices = new Map(); // id → { id, alias, connection }
+  }
+
+  get scanner() {
+    return this._scanner;
+  }
+
+  get store() {
+    return this._store || null;
+  }
+
+  // [{ id, alias, connection }] in the order they were added
+  get devices() {
+    return [...this._devices.values()].map(({ id, alias, connection }) => ({ id, alias, connection }));
+  }
+
+  get connections() {
+    return [...this._devices.values()].map((d) => d.connection);
+  }
+
+  get size() {
+    return this._devices.size;
+  }
+
+  // ─── Add a camera ──────────────────────────────────────────────────────────
+  // options: OsmoConnection options plus `alias`. Without `transport` a
+  // BleTransport on the manager's scanner is created.
+  add(deviceId, options = {}) {
+    if (!deviceId) throw new Error('A device id is required');
+    const { alias = null, ...connOptions } = { ...this._defaults, ...options };
+    if (this._devices.has(deviceId)) throw new Error(`Device ${deviceId} already added`);
+    if (alias && this.get(alias)) throw new Error(`Alias "${alias}" already used`);
+
+    const connection = new OsmoConnection({
+      store: this._store,
+      ...connOptions,
+      deviceId,
+      transport: connOptions.transport
+        || new BleTransport({ scanner: this._scanner, record: connOptions.record }),
+    });
+
+    const device = { id: deviceId, alias, connection };
+    const tag = { id: deviceId, alias };
+    device.forwarders = MANAGER_EVENTS.map((event) => {
+      const forward = (...args) => this.emit(event, tag, ...args);
+      connection.on(event, forward);
+      return [event, forward];
+    });
+
+    this._devices.set(deviceId, device);
+    this.emit('added', tag);
+    return connection;
+  }
+
+  // ─── Look up a connection by device id or alias ───────────────────────────
+  get(idOrAlias) {
+    return this._find(idOrAlias)?.connection || null;
+  }
+
+  // ─── Disconnect and forget a camera ───────────────────────────────────────
+  async remove(idOrAlias) {
+    const device = this._find(idOrAlias);
+    if (!device) return false;
+    this._devices.delete(device.id);
+    try {
+      await device.connection.disconnect();
+    } finally {
+      for (const [event, forward] of device.forwarders) device.connection.off(event, forward);
+      this.emit('removed', { id: device.id, alias: device.alias });
+    }
+    return true;
+  }
+
+  // ─── Run fn(connection, device) on every camera in parallel ───────────────
+  // Never rejects; resolves with [{ id, alias, ok, value, error }] so one
+  // camera failing doesn't hide what happened on the others.
+  async all(fn) {
+    const devices = [...this._devices.values()];
+    const results = await Promise.allSettled(
+      devices.map(({ id, alias, connection }) => fn(connection, { id, alias }))
+    );
+    return results.map((r, i) => ({
+      id: devices[i].id,
+      alias: devices[i].alias,
+      ok: r.status === 'fulfilled',
+      value: r.value,
+      error: r.reason,
+    }));
+  }
+
+  // ─── Group commands ───────────────────────────────────────────────────────
+  async connectAll(options) {
+    return this.all((conn) => conn.connect(options));
+  }
+
+  async disconnectAll() {
+    return this.all((conn) => conn.disconnect());
+  }
+
+  async recenterAll() {
+    return this.all((conn) => conn.gimbal.recenter());
+  }
+
+  async setModeAll(mode) {
+    return this.all((conn) => conn.gimbal.setMode(mode));
+  }
+
+  // options: stream.start() options, or (device) => options for per-camera
+  // settings — each camera needs its own RTMP URL/key
+  async startStreamAll(options) {
+    return this.all((conn, device) => conn.stream.start(
+      typeof options === 'function' ? options(device) : options
+    ));
+  }
+
+  async stopStreamAll() {
+    return this.all((conn) => conn.stream.stop());
+  }
+
+  // ─── Scan for cameras on the shared scanner ───────────────────────────────
+  // Same arguments and result as BleTransport.scan(); 'discovered' events
+  // are re-emitted on the manager
+  async scan(filter, timeout) {
+    const transport = new BleTransport({ scanner: this._scanner });
+    transport.on('discovered', (device) => this.emit('discovered', device));
+    return transport.scan(filter, timeout);
+  }
+
+  _find(idOrAlias) {
+    return this._devices.get(idOrAlias)
+      || [...this._devices.values()].find((d) => d.alias && d.alias === idOrAlias)
+      || null;
+  }
+}
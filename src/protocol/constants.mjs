@@ -21,6 +21,7 @@ export const TARGET = {
   APP_TO_WIFI:   ADDR.APP | (ADDR.WIFI << 8),   // 0x0702
   APP_TO_CAMERA: ADDR.APP | (ADDR.CAMERA << 8), // 0x0102
   APP_TO_FC:     ADDR.APP | (ADDR.FC << 8),      // 0x0302
+  APP_TO_DM36X:  ADDR.APP | (ADDR.DM36X << 8),  // 0x0802 (streaming subsystem)
 };
 
 // ─── Flags ───────────────────────────────────────────────────────────────────
@@ -34,28 +35,108 @@ export const FLAG = {
 export const CMD_SET = {
   GENERAL:  0x00,
   CAMERA:   0x01,
+  STREAM:   0x02, // Camera/livestream control (PrepareToLiveStream, StartStop)
   FC:       0x03,
   GIMBAL:   0x04,
-  BATTERY:  0x06,
   WIFI:     0x07,
+  DM36X:    0x08, // Transcoder (ConfigureLiveStream)
+  BATTERY:  0x0D, // Battery/power status push (0x02)
 };
 
 // ─── Gimbal Command IDs (CmdSet 0x04) ────────────────────────────────────────
 export const GIMBAL_CMD = {
   CONTROL_PWM:    0x01, // PWM-style (363..1685, center=1024)
+  GET_POSITION:   0x02, // Poll current angles
   PARAMS_GET:     0x05, // Push position telemetry (~20Hz)
   ANGLE_SET:      0x0A, // Absolute target angle
+  EXT_CTRL_STATUS: 0x0B, // Query external control status
   SPEED_CTRL:     0x0C, // Angular velocity control
+  SUSPEND_RESUME: 0x0D, // Suspend/resume motors (GIMBAL_SUSPEND)
   ABS_ANGLE:      0x14, // Absolute angle with duration
   MOVEMENT:       0x15, // Incremental steps
+  TYPE_GET:       0x1C, // Query gimbal type (also pushed ~2Hz)
+  KEEPALIVE:      0x27, // Push keepalive (~10Hz, 5B)
+  LOCK:           0x39, // Lock gimbal position
+  ROTATE_X:       0x3A, // Rotate camera X axis 90°/180°
   SET_MODE:       0x4C, // Reset and set mode
 };
 
+// ─── Camera Command IDs (CmdSet 0x02, receiver Camera 0x01) ──────────────────
+// Numbering of the DJI camera command set (dji-firmware-tools); photo and
+// record are not verified against the Pocket 3 yet
+export const CAMERA_CMD = {
+  TAKE_PHOTO: 0x01, // uint8 type, 1 = single shot
+  RECORD:     0x02, // uint8: 1 = start, 0 = stop
+  STATUS:     0x80, // Push camera status (~10Hz, ~60B)
+  VARIANT:    0xDC, // Push, unknown (~2Hz, ~22B)
+};
+
+// ─── Camera work modes (camera status byte 4) ────────────────────────────────
+export const CAMERA_MODE = {
+  PHOTO:        0x00,
+  VIDEO:        0x01,
+  PLAYBACK:     0x02,
+  TRANSCODE:    0x03,
+  TUNING:       0x04,
+  POWER_SAVE:   0x05,
+  DOWNLOAD:     0x06,
+  NEW_PLAYBACK: 0x07,
+};
+
+// ─── Battery Command IDs (CmdSet 0x0D) ───────────────────────────────────────
+export const BATTERY_CMD = {
+  STATUS: 0x02, // Push battery status from the center board (~1Hz)
+};
+
+// ─── Gimbal Suspend/Resume codes (CmdId 0x0D, uint16 LE) ────────────────────
+export const GIMBAL_SUSPEND = {
+  RESUME:  0x2AB5,
+  SUSPEND: 0x7EF2,
+};
+
 // ─── WiFi / Pairing Command IDs (CmdSet 0x07) ───────────────────────────────
 export const WIFI_CMD = {
   SET_PAIRING_PIN: 0x45,
   PAIRING_APPROVED: 0x46,
   WIFI_CONNECT:    0x47,
+  SCAN:            0xAB, // Start WiFi scan (empty payload)
+  SCAN_RESULTS:    0xAC, // Device request carrying visible networks
+};
+
+// ConnectToWiFi result status (uint16). Only 0x0000 is confirmed by the
+// captures; 1 and 2 follow SimulatedOsmo until a failing join is captured.
+export const WIFI_CONNECT_STATUS = {
+  CONNECTED:      0x0000,
+  NOT_FOUND:      0x0001,
+  WRONG_PASSWORD: 0x0002,
+};
+
+// ─── General Command IDs (CmdSet 0x00) ───────────────────────────────────────
+export const GENERAL_CMD = {
+  VERSION_INQUIRY: 0x01, // Hardware/firmware version of the addressed module
+  DEVICE_VERSION:  0x74, // Firmware version report (rare)
+  DEVICE_INFO:     0x81, // Model identifier (~1Hz)
+  STATUS:          0xF1, // Push status (~1Hz, 8B)
+};
+
+// ─── Livestream Command IDs (CmdSet 0x02 / 0x08) ─────────────────────────────
+export const STREAM_CMD = {
+  CONFIGURE:  0x78, // CmdSet 0x08 — encoder settings + RTMP URL
+  START_STOP: 0x8E, // CmdSet 0x02 — prepare stage 2, start, stop
+  PREPARE:    0xE1, // CmdSet 0x02 — PrepareToLiveStream stage 1
+};
+
+// ─── Livestream Resolutions (ConfigureLiveStream byte) ───────────────────────
+export const STREAM_RESOLUTION = {
+  '480p':  0x47,
+  '720p':  0x04,
+  '1080p': 0x0A,
+};
+
+// ─── Livestream Frame Rates (ConfigureLiveStream byte) ───────────────────────
+export const STREAM_FPS = {
+  25: 0x02,
+  30: 0x03,
 };
 
 // ─── Gimbal Modes ────────────────────────────────────────────────────────────
@@ -83,4 +164,9 @@ export const DEFAULTS = {
   PIN: 'love',
   IDENTIFIER: '001749319286102',
   SCAN_TIMEOUT: 15000,
+  DEVICE_READY_TIMEOUT: 3000, // wait for the first DUML message after connect
+  APPROVAL_TIMEOUT: 15000,    // user accepting the PIN on the camera
+  RESPONSE_TIMEOUT: 5000,
+  DEVICE_INFO_TIMEOUT: 1000,  // each device info query; unanswered ones are skipped
+  WIFI_TIMEOUT: 30000,
 };
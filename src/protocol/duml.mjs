@@ -2,6 +2,7 @@
 // DJI DUML Protocol — Message Builder / Parser / CRC
 // ============================================================================
 
+import { EventEmitter } from 'events';
 import { CRC } from 'crc-full';
 import { CRC_PARAMS } from './constants.mjs';
 
@@ -25,61 +26,124 @@ export function computeCrc16(data) {
   return crc16Calc.compute(data);
 }
 
-// ─── Sequence counter ────────────────────────────────────────────────────────
-let msgSeq = 0x0100;
+// ─── Frame codec ─────────────────────────────────────────────────────────────
+// Each DumlCodec owns its own message-ID sequence, so several connections in
+// one process never interleave IDs.
+//
+// options:
+//   version:  6-bit protocol version written into byte 2 (default 1)
+//   seqStart: first msgId handed out (default 0x0100)
+//   seqMax:   highest msgId before wrap-around (default 0xFFFF)
+//   wrap:     what happens after seqMax —
+//             'restart' → back to seqStart (default)
+//             'zero'    → back to 0x0000
+//             'error'   → throw, for callers that must never reuse an ID
+export class DumlCodec {
+  constructor(options = {}) {
+    this._version = options.version ?? 1;
+    this._seqStart = options.seqStart ?? 0x0100;
+    this._seqMax = options.seqMax ?? 0xFFFF;
+    this._wrap = options.wrap || 'restart';
 
-export function resetSequence(val = 0x0100) {
-  msgSeq = val;
-}
+    if (this._version < 0 || this._version > 0x3F) {
+      throw new RangeError(`DUML version must fit in 6 bits: ${this._version}`);
+    }
+    if (!['restart', 'zero', 'error'].includes(this._wrap)) {
+      throw new Error(`Unknown wrap policy: ${this._wrap}`);
+    }
+    this._seq = this._seqStart;
+  }
 
-// ─── Build a DUML message ────────────────────────────────────────────────────
-// target: uint16 (sender | receiver<<8)
-// flags:  0x40=request, 0xC0=response, 0x00=notify
-// cmdSet: uint8
-// cmdId:  uint8
-// payload: Buffer (optional)
-export function buildMessage(target, flags, cmdSet, cmdId, payload) {
-  const payloadLen = payload ? payload.length : 0;
-  const totalLen = 13 + payloadLen; // header(11) + payload + crc16(2)
+  get version() {
+    return this._version;
+  }
 
-  const buf = Buffer.alloc(totalLen);
-  let off = 0;
+  // Next msgId that encode() will stamp
+  get sequence() {
+    return this._seq;
+  }
+
+  resetSequence(val = this._seqStart) {
+    this._seq = val;
+  }
+
+  // ─── Allocate the next msgId, applying the wrap-around policy ─────────────
+  nextMsgId() {
+    if (this._seq > this._seqMax) {
+      if (this._wrap === 'error') throw new RangeError('DUML message ID space exhausted');
+      this._seq = this._wrap === 'zero' ? 0 : this._seqStart;
+    }
+    return this._seq++;
+  }
+
+  // ─── Build a DUML message ──────────────────────────────────────────────────
+  // target: uint16 (sender | receiver<<8)
+  // flags:  0x40=request, 0xC0=response, 0x00=notify
+  // cmdSet: uint8
+  // cmdId:  uint8
+  // payload: Buffer (optional)
+  // msgId:  uint16 (optional) — reuse an ID, e.g. when replying to the device;
+  //         does not advance the sequence
+  encode({ target, flags, cmdSet, cmdId, payload, msgId }) {
+    const payloadLen = payload ? payload.length : 0;
+    const totalLen = 13 + payloadLen; // header(11) + payload + crc16(2)
+    if (totalLen > 0x3FF) throw new RangeError(`DUML frame too long: ${totalLen} bytes`);
+
+    const buf = Buffer.alloc(totalLen);
+    let off = 0;
 
-  // Magic
-  buf[off++] = 0x55;
+    // Magic
+    buf[off++] = 0x55;
 
-  // Length (10-bit LE) + Version (6-bit)
-  const version = 1;
-  buf[off++] = totalLen & 0xFF;
-  buf[off++] = ((totalLen >> 8) & 0x03) | (version << 2);
+    // Length (10-bit LE) + Version (6-bit)
+    buf[off++] = totalLen & 0xFF;
+    buf[off++] = ((totalLen >> 8) & 0x03) | (this._version << 2);
 
-  // CRC8 of first 3 bytes
-  buf[off++] = computeCrc8(buf.slice(0, 3));
+    // CRC8 of first 3 bytes
+    buf[off++] = computeCrc8(buf.slice(0, 3));
 
-  // Target (2 bytes LE)
-  buf.writeUInt16LE(target, off);
-  off += 2;
+    // Target (2 bytes LE)
+    buf.writeUInt16LE(target, off);
+    off += 2;
 
-  // Message ID (2 bytes BE)
-  buf.writeUInt16BE(msgSeq++, off);
-  off += 2;
+    // Message ID (2 bytes BE)
+    buf.writeUInt16BE(msgId ?? this.nextMsgId(), off);
+    off += 2;
 
-  // Type: [flags, cmdSet, cmdId]
-  buf[off++] = flags;
-  buf[off++] = cmdSet;
-  buf[off++] = cmdId;
+    // Type: [flags, cmdSet, cmdId]
+    buf[off++] = flags;
+    buf[off++] = cmdSet;
+    buf[off++] = cmdId;
 
-  // Payload
-  if (payload && payloadLen > 0) {
-    payload.copy(buf, off);
-    off += payloadLen;
+    // Payload
+    if (payload && payloadLen > 0) {
+      payload.copy(buf, off);
+      off += payloadLen;
+    }
+
+    // CRC16 of everything before crc16
+    const crc16 = computeCrc16(buf.slice(0, off));
+    buf.writeUInt16LE(crc16, off);
+
+    return buf;
+  }
+
+  // ─── Parse a single DUML message ───────────────────────────────────────────
+  decode(data) {
+    return parseMessage(data);
   }
+}
 
-  // CRC16 of everything before crc16
-  const crc16 = computeCrc16(buf.slice(0, off));
-  buf.writeUInt16LE(crc16, off);
+// ─── Default codec (shared by the module-level helpers) ─────────────────────
+const defaultCodec = new DumlCodec();
 
-  return buf;
+export function resetSequence(val = 0x0100) {
+  defaultCodec.resetSequence(val);
+}
+
+// ─── Build a DUML message with the default codec ────────────────────────────
+export function buildMessage(target, flags, cmdSet, cmdId, payload) {
+  return defaultCodec.encode({ target, flags, cmdSet, cmdId, payload });
 }
 
 // ─── Parse a single DUML message from a buffer ──────────────────────────────
@@ -90,6 +154,7 @@ export function parseMessage(data) {
 
   return {
     length: len,
+    version: data[2] >> 2,
     sender: data[4],
     receiver: data[5],
     msgId: data.readUInt16BE(6),
@@ -101,38 +166,168 @@ export function parseMessage(data) {
   };
 }
 
-// ─── Parse a stream buffer, yielding all complete messages ──────────────────
+// ─── Frame errors reported by parseStream ───────────────────────────────────
+export const FRAME_ERROR = {
+  CRC8:      'crc8',      // header checksum mismatch
+  CRC16:     'crc16',     // frame checksum mismatch
+  LENGTH:    'length',    // length field below the 13-byte minimum
+  DISCARDED: 'discarded', // stray bytes before the next 0x55
+};
+
+// ─── Parse a stream buffer, yielding all complete, CRC-valid messages ───────
+// A candidate frame must pass the header CRC8, have a sane length and pass the
+// frame CRC16. On any failure only the 0x55 is dropped and the search resumes
+// at the next magic byte, so a stray 0x55 or a corrupted notification never
+// swallows the real frames behind it.
+//
+// onError (optional) is called for every problem:
+//   { type: 'crc8' | 'crc16' | 'length' | 'discarded', bytes, data }
+//   bytes = how many bytes were dropped; data = the rejected candidate
+//   (header or whole frame) or the stray bytes before the next 0x55
 // Returns { messages: [...], remaining: Buffer }
-export function parseStream(buffer) {
+export function parseStream(buffer, onError) {
   const messages = [];
+  const report = (type, bytes, data) => onError?.({ type, bytes, data });
 
-  while (buffer.length >= 13) {
+  while (buffer.length > 0) {
     const magicIdx = buffer.indexOf(0x55);
     if (magicIdx === -1) {
+      report(FRAME_ERROR.DISCARDED, buffer.length, buffer);
       buffer = Buffer.alloc(0);
       break;
     }
     if (magicIdx > 0) {
-      buffer = buffer.slice(magicIdx);
+      report(FRAME_ERROR.DISCARDED, magicIdx, buffer.subarray(0, magicIdx));
+      buffer = buffer.subarray(magicIdx);
     }
     if (buffer.length < 4) break;
 
+    if (computeCrc8(buffer.subarray(0, 3)) !== buffer[3]) {
+      report(FRAME_ERROR.CRC8, 1, buffer.subarray(0, 4));
+      buffer = buffer.subarray(1);
+      continue;
+    }
+
     const msgLen = buffer[1] | ((buffer[2] & 0x03) << 8);
-    if (msgLen < 13 || msgLen > 1024) {
-      buffer = buffer.slice(1);
+    if (msgLen < 13) {
+      report(FRAME_ERROR.LENGTH, 1, buffer.subarray(0, 4));
+      buffer = buffer.subarray(1);
       continue;
     }
     if (buffer.length < msgLen) break;
 
-    const msgData = buffer.slice(0, msgLen);
-    buffer = buffer.slice(msgLen);
-    const msg = parseMessage(msgData);
-    if (msg) messages.push(msg);
+    const msgData = buffer.subarray(0, msgLen);
+    if (computeCrc16(msgData.subarray(0, msgLen - 2)) !== msgData.readUInt16LE(msgLen - 2)) {
+      report(FRAME_ERROR.CRC16, 1, msgData);
+      buffer = buffer.subarray(1);
+      continue;
+    }
+
+    buffer = buffer.subarray(msgLen);
+    messages.push(parseMessage(msgData));
   }
 
   return { messages, remaining: buffer };
 }
 
+// ─── Stateful stream parser with link-quality counters ──────────────────────
+// Keeps the partial-frame buffer between pushes. Emits 'frameError' with the
+// parseStream error object for every rejected candidate or stray bytes.
+export class DumlStreamParser extends EventEmitter {
+  constructor() {
+    super();
+    this._buffer = Buffer.alloc(0);
+    this._stats = { frames: 0, crc8Errors: 0, crc16Errors: 0, lengthErrors: 0, bytesDiscarded: 0 };
+  }
+
+  // { frames, crc8Errors, crc16Errors, lengthErrors, bytesDiscarded, buffered }
+  get stats() {
+    return { ...this._stats, buffered: this._buffer.length };
+  }
+
+  // ─── Feed received bytes, returns the complete messages ───────────────────
+  push(data) {
+    const buffer = this._buffer.length ? Buffer.concat([this._buffer, data]) : data;
+    const { messages, remaining } = parseStream(buffer, (err) => this._onError(err));
+    // Copy so the caller's notification buffer can be reused
+    this._buffer = Buffer.from(remaining);
+    this._stats.frames += messages.length;
+    return messages;
+  }
+
+  // ─── Drop any partial frame (e.g. on reconnect) ───────────────────────────
+  reset() {
+    this._buffer = Buffer.alloc(0);
+  }
+
+  _onError(err) {
+    if (err.type === FRAME_ERROR.CRC8) this._stats.crc8Errors++;
+    else if (err.type === FRAME_ERROR.CRC16) this._stats.crc16Errors++;
+    else if (err.type === FRAME_ERROR.LENGTH) this._stats.lengthErrors++;
+    this._stats.bytesDiscarded += err.bytes;
+    this.emit('frameError', err);
+  }
+}
+
+// ─── Check both CRCs of a complete frame ────────────────────────────────────
+// Returns { crc8: { stored, computed, ok }, crc16: { stored, computed, ok }, ok }
+export function verifyFrame(frame) {
+  const len = frame[1] | ((frame[2] & 0x03) << 8);
+  const crc8 = { stored: frame[3], computed: computeCrc8(frame.subarray(0, 3)) };
+  crc8.ok = crc8.stored === crc8.computed;
+  const crc16 = len >= 13 && frame.length >= len
+    ? { stored: frame.readUInt16LE(len - 2), computed: computeCrc16(frame.subarray(0, len - 2)) }
+    : { stored: null, computed: null };
+  crc16.ok = crc16.stored !== null && crc16.stored === crc16.computed;
+  return { crc8, crc16, ok: crc8.ok && crc16.ok };
+}
+
+// ─── Split concatenated frames without dropping bad ones ────────────────────
+// For tools that report CRC errors rather than hide them. A 0x55 starts a
+// frame if its header CRC8 is valid, or if it directly follows the previous
+// frame (or the start of input) so a corrupted header is still shown.
+// Returns { frames: [{ offset, data }], skipped: <stray byte count>,
+//           trailing: <incomplete frame at the end, or null> }
+export function splitFrames(buffer) {
+  const frames = [];
+  let skipped = 0;
+  let trailing = null;
+  let off = 0;
+  let boundary = 0;
+
+  while (off < buffer.length) {
+    const idx = buffer.indexOf(0x55, off);
+    if (idx === -1) {
+      skipped += buffer.length - off;
+      break;
+    }
+    skipped += idx - off;
+    off = idx;
+    if (buffer.length - off < 4) {
+      trailing = buffer.subarray(off);
+      break;
+    }
+
+    const len = buffer[off + 1] | ((buffer[off + 2] & 0x03) << 8);
+    const headerOk = computeCrc8(buffer.subarray(off, off + 3)) === buffer[off + 3];
+    if (len < 13 || (!headerOk && off !== boundary)) {
+      skipped++;
+      off++;
+      continue;
+    }
+    if (off + len > buffer.length) {
+      trailing = buffer.subarray(off);
+      break;
+    }
+
+    frames.push({ offset: off, data: buffer.subarray(off, off + len) });
+    off += len;
+    boundary = off;
+  }
+
+  return { frames, skipped, trailing };
+}
+
 // ─── PackString helpers ──────────────────────────────────────────────────────
 export function packString(str) {
   const strBuf = Buffer.from(str, 'utf8');
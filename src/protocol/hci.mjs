@@ -0,0 +1,290 @@
+// ============================================================================
+// HCI Capture Import — DUML frames from btsnoop / pcap / pcapng files
+// Reads Android btsnoop_hci.log and Wireshark captures, reassembles L2CAP
+// over HCI ACL, extracts ATT writes and notifications, and runs each
+// attribute handle's byte stream through parseStream.
+// ============================================================================
+
+import fs from 'fs';
+import { parseStream } from './duml.mjs';
+
+// ─── File formats ────────────────────────────────────────────────────────────
+const BTSNOOP_MAGIC = Buffer.from('btsnoop\0', 'latin1');
+const BTSNOOP_EPOCH_US = 0x00DCDDB30F2F8000n; // 0000-01-01 → 1970-01-01 in µs
+const PCAPNG_SHB = 0x0A0D0D0A;
+
+// Datalink / linktype values
+const DLT_BTSNOOP_H1 = 1001;                  // btsnoop: HCI without H4 type byte
+const DLT_BTSNOOP_H4 = 1002;                  // btsnoop: HCI UART (H4)
+const LINKTYPE_BLUETOOTH_HCI_H4 = 187;
+const LINKTYPE_BLUETOOTH_HCI_H4_WITH_PHDR = 201;
+
+// ─── HCI / L2CAP / ATT ───────────────────────────────────────────────────────
+const H4_COMMAND = 0x01;
+const H4_ACL = 0x02;
+const H4_EVENT = 0x04;
+const L2CAP_CID_ATT = 0x0004;
+
+export const ATT_OP = {
+  WRITE_REQUEST:      0x12,
+  NOTIFICATION:       0x1B,
+  INDICATION:         0x1D,
+  WRITE_COMMAND:      0x52,
+};
+
+// Handles used by the Osmo Pocket 3 in the reference captures
+export const OSMO_HANDLES = {
+  0x002D: 'fff4', // notifications
+  0x0030: 'fff5', // writes
+};
+
+// ─── Read any supported capture file ────────────────────────────────────────
+// Returns HCI packets: [{ ts (ms since epoch), direction ('sent'|'received'|null), packet }]
+// where packet starts with the H4 type byte.
+export function readHciPackets(path) {
+  return parseHciPackets(fs.readFileSync(path));
+}
+
+export function parseHciPackets(buf) {
+  if (buf.length >= 8 && buf.subarray(0, 8).equals(BTSNOOP_MAGIC)) return parseBtsnoop(buf);
+  if (buf.length >= 4 && buf.readUInt32LE(0) === PCAPNG_SHB) return parsePcapng(buf);
+  if (buf.length >= 24) {
+    const magic = buf.readUInt32LE(0);
+    if ([0xA1B2C3D4, 0xD4C3B2A1, 0xA1B23C4D, 0x4D3CB2A1].includes(magic)) return parsePcap(buf);
+  }
+  throw new Error('Unrecognised capture format (expected btsnoop, pcap or pcapng)');
+}
+
+// ─── btsnoop (Android "Bluetooth HCI snoop log") ────────────────────────────
+export function parseBtsnoop(buf) {
+  const datalink = buf.readUInt32BE(12);
+  if (datalink !== DLT_BTSNOOP_H1 && datalink !== DLT_BTSNOOP_H4) {
+    throw new Error(`Unsupported btsnoop datalink: ${datalink}`);
+  }
+
+  const packets = [];
+  let off = 16;
+  while (off + 24 <= buf.length) {
+    const inclLen = buf.readUInt32BE(off + 4);
+    const flags = buf.readUInt32BE(off + 8);
+    const ts = Number((buf.readBigInt64BE(off + 16) - BTSNOOP_EPOCH_US) / 1000n);
+    off += 24;
+    if (off + inclLen > buf.length) break;
+
+    let packet = buf.subarray(off, off + inclLen);
+    off += inclLen;
+
+    // flags bit0: 0 = sent, 1 = received; bit1: 1 = command/event
+    const direction = flags & 0x01 ? 'received' : 'sent';
+    if (datalink === DLT_BTSNOOP_H1) {
+      const type = flags & 0x02 ? (direction === 'sent' ? H4_COMMAND : H4_EVENT) : H4_ACL;
+      packet = Buffer.concat([Buffer.from([type]), packet]);
+    }
+    packets.push({ ts, direction, packet });
+  }
+  return packets;
+}
+
+// ─── pcap (Wireshark "Bluetooth H4 with phdr" / "Bluetooth H4") ─────────────
+export function parsePcap(buf) {
+  const magic = buf.readUInt32LE(0);
+  const le = magic === 0xA1B2C3D4 || magic === 0xA1B23C4D;
+  const nanos = magic === 0xA1B23C4D || magic === 0x4D3CB2A1;
+  const u32 = (o) => le ? buf.readUInt32LE(o) : buf.readUInt32BE(o);
+
+  const linktype = u32(20) & 0x0FFFFFFF;
+  checkLinktype(linktype);
+
+  const packets = [];
+  let off = 24;
+  while (off + 16 <= buf.length) {
+    const sec = u32(off);
+    const frac = u32(off + 4);
+    const inclLen = u32(off + 8);
+    off += 16;
+    if (off + inclLen > buf.length) break;
+
+    const ts = sec * 1000 + (nanos ? frac / 1e6 : frac / 1e3);
+    const packet = linkPacket(linktype, ts, buf.subarray(off, off + inclLen));
+    if (packet) packets.push(packet);
+    off += inclLen;
+  }
+  return packets;
+}
+
+// ─── pcapng ─────────────────────────────────────────────────────────────────
+export function parsePcapng(buf) {
+  const packets = [];
+  let le = true;
+  let interfaces = [];
+  let off = 0;
+
+  while (off + 12 <= buf.length) {
+    // The SHB type is a byte palindrome; its byte-order magic sets endianness
+    const type = le ? buf.readUInt32LE(off) : buf.readUInt32BE(off);
+    if (type === PCAPNG_SHB) {
+      le = buf.readUInt32LE(off + 8) === 0x1A2B3C4D;
+      interfaces = [];
+    }
+    const u16 = (o) => le ? buf.readUInt16LE(o) : buf.readUInt16BE(o);
+    const u32 = (o) => le ? buf.readUInt32LE(o) : buf.readUInt32BE(o);
+
+    const blockLen = u32(off + 4);
+    if (blockLen < 12 || off + blockLen > buf.length) break;
+    const body = off + 8;
+
+    if (type === 0x00000001) {
+      // Interface Description Block: linktype + options (if_tsresol = 9)
+      const linktype = u16(body);
+      let tsDivisor = 1e3; // default µs → ms
+      let opt = body + 8;
+      while (opt + 4 <= off + blockLen - 4) {
+        const code = u16(opt);
+        const len = u16(opt + 2);
+        if (code === 0) break;
+        if (code === 9 && len >= 1) {
+          const res = buf[opt + 4];
+          const unitsPerSec = res & 0x80 ? 2 ** (res & 0x7F) : 10 ** res;
+          tsDivisor = unitsPerSec / 1000;
+        }
+        opt += 4 + Math.ceil(len / 4) * 4;
+      }
+      interfaces.push({ linktype, tsDivisor });
+    } else if (type === 0x00000006) {
+      // Enhanced Packet Block
+      const iface = interfaces[u32(body)];
+      const tsRaw = (BigInt(u32(body + 4)) << 32n) | BigInt(u32(body + 8));
+      const capLen = u32(body + 12);
+      if (iface && isSupportedLinktype(iface.linktype)) {
+        const ts = Number(tsRaw) / iface.tsDivisor;
+        const packet = linkPacket(iface.linktype, ts, buf.subarray(body + 20, body + 20 + capLen));
+        if (packet) packets.push(packet);
+      }
+    } else if (type === 0x00000003) {
+      // Simple Packet Block (no timestamp, interface 0)
+      const iface = interfaces[0];
+      const origLen = u32(body);
+      const capLen = Math.min(origLen, blockLen - 16);
+      if (iface && isSupportedLinktype(iface.linktype)) {
+        const packet = linkPacket(iface.linktype, null, buf.subarray(body + 4, body + 4 + capLen));
+        if (packet) packets.push(packet);
+      }
+    }
+
+    off += blockLen;
+  }
+  return packets;
+}
+
+function isSupportedLinktype(linktype) {
+  return linktype === LINKTYPE_BLUETOOTH_HCI_H4 || linktype === LINKTYPE_BLUETOOTH_HCI_H4_WITH_PHDR;
+}
+
+function checkLinktype(linktype) {
+  if (!isSupportedLinktype(linktype)) {
+    throw new Error(`Unsupported pcap linktype ${linktype} (expected Bluetooth HCI H4)`);
+  }
+}
+
+// LINKTYPE 201 prefixes a 4-byte BE direction: 0 = sent, 1 = received.
+// A record too short to hold it is skipped (null).
+function linkPacket(linktype, ts, data) {
+  if (linktype === LINKTYPE_BLUETOOTH_HCI_H4_WITH_PHDR) {
+    if (data.length < 4) return null;
+    return { ts, direction: data.readUInt32BE(0) & 0x01 ? 'received' : 'sent', packet: data.subarray(4) };
+  }
+  return { ts, direction: null, packet: data };
+}
+
+// ─── Extract ATT writes and notifications from HCI packets ──────────────────
+// Reassembles fragmented ACL data into L2CAP frames per connection handle.
+// Returns [{ ts, dir ('tx'|'rx'), handle, opcode, data }] — 'tx' for writes
+// from the app, 'rx' for notifications/indications from the device.
+export function extractAttValues(packets) {
+  const values = [];
+  const pending = new Map(); // ACL connection handle → { ts, expected, chunks }
+
+  for (const { ts, packet } of packets) {
+    if (packet.length < 5 || packet[0] !== H4_ACL) continue;
+
+    const hdr = packet.readUInt16LE(1);
+    const conn = hdr & 0x0FFF;
+    const pb = (hdr >> 12) & 0x03;
+    const data = packet.subarray(5, 5 + packet.readUInt16LE(3));
+
+    let frame;
+    if (pb === 0x01) {
+      // Continuation fragment
+      const p = pending.get(conn);
+      if (!p) continue;
+      p.chunks.push(data);
+      p.received += data.length;
+      if (p.received < p.expected) continue;
+      pending.delete(conn);
+      frame = { ts: p.ts, data: Buffer.concat(p.chunks) };
+    } else {
+      // Start of an L2CAP frame
+      if (data.length < 4) continue;
+      const expected = data.readUInt16LE(0) + 4;
+      if (data.length < expected) {
+        pending.set(conn, { ts, expected, received: data.length, chunks: [data] });
+        continue;
+      }
+      frame = { ts, data };
+    }
+
+    const l2 = frame.data;
+    if (l2.readUInt16LE(2) !== L2CAP_CID_ATT) continue;
+    const att = l2.subarray(4, 4 + l2.readUInt16LE(0));
+    if (att.length < 3) continue;
+
+    const opcode = att[0];
+    const isWrite = opcode === ATT_OP.WRITE_COMMAND || opcode === ATT_OP.WRITE_REQUEST;
+    const isNotify = opcode === ATT_OP.NOTIFICATION || opcode === ATT_OP.INDICATION;
+    if (!isWrite && !isNotify) continue;
+
+    values.push({
+      ts: frame.ts,
+      dir: isWrite ? 'tx' : 'rx',
+      handle: att.readUInt16LE(1),
+      opcode,
+      data: att.subarray(3),
+    });
+  }
+  return values;
+}
+
+// ─── Reassemble DUML messages per attribute handle ──────────────────────────
+// options.handles: only these ATT handles (e.g. [0x2D, 0x30]); default all
+// Returns [{ ts, dir, handle, msg }]
+export function decodeAttValues(values, options = {}) {
+  const buffers = new Map();
+  const out = [];
+
+  for (const value of values) {
+    if (options.handles && !options.handles.includes(value.handle)) continue;
+    const key = `${value.dir}:${value.handle}`;
+    const buffer = Buffer.concat([buffers.get(key) || Buffer.alloc(0), value.data]);
+    const { messages, remaining } = parseStream(buffer);
+    buffers.set(key, remaining);
+
+    for (const msg of messages) {
+      out.push({ ts: value.ts, dir: value.dir, handle: value.handle, msg });
+    }
+  }
+  return out;
+}
+
+// ─── One-shot: capture file → decoded DUML messages ─────────────────────────
+export function importHciCapture(path, options = {}) {
+  return decodeAttValues(extractAttValues(readHciPackets(path)), options);
+}
+
+// ─── Convert ATT values to JSONL session capture entries ────────────────────
+// Lets ReplayTransport replay a phone capture. Handles are mapped to
+// characteristics with options.handles (default OSMO_HANDLES).
+export function toCaptureEntries(values, handles = OSMO_HANDLES) {
+  return values
+    .filter((v) => handles[v.handle])
+    .map((v) => ({ ts: v.ts, dir: v.dir, char: handles[v.handle], data: v.data }));
+}
@@ -0,0 +1,391 @@
+// ============================================================================
+// DUML Message Definitions — one entry per known message type
+// Names follow the Wireshark dissector (reference/dji-ble-message.c) where it
+// has one. Field specs are documented in registry.mjs. To teach the library
+// a newly understood message, add an entry here.
+// ============================================================================
+
+import {
+  TARGET, FLAG, CMD_SET, GIMBAL_CMD, WIFI_CMD, GENERAL_CMD, STREAM_CMD,
+  STREAM_RESOLUTION, STREAM_FPS, GIMBAL_MODE, GIMBAL_SUSPEND, CAMERA_CMD, CAMERA_MODE, BATTERY_CMD,
+} from './constants.mjs';
+
+// { raw: name } maps built from the forward-lookup constants
+const invert = (obj) => Object.fromEntries(Object.entries(obj).map(([k, v]) => [v, k.toLowerCase()]));
+
+const RESOLUTION_VALUES = invert(STREAM_RESOLUTION);
+const FPS_VALUES = Object.fromEntries(Object.entries(STREAM_FPS).map(([fps, v]) => [v, Number(fps)]));
+const GIMBAL_MODE_VALUES = invert(GIMBAL_MODE);
+const GIMBAL_SUSPEND_VALUES = invert(GIMBAL_SUSPEND);
+const CAMERA_MODE_VALUES = Object.fromEntries(
+  Object.entries(CAMERA_MODE).map(([k, v]) => [v, k.toLowerCase().replace(/_(\w)/g, (_, c) => c.toUpperCase())])
+);
+
+// Shared field layouts
+const ANGLES = [
+  { name: 'pitch', type: 'angle' },
+  { name: 'roll', type: 'angle' },
+  { name: 'yaw', type: 'angle' },
+];
+const RESULT = [{ name: 'result', type: 'uint8' }];
+const REST = [{ name: 'data', type: 'bytes' }];
+
+export const MESSAGES = [
+  // ─── General (CmdSet 0x00) ────────────────────────────────────────────────
+  // Standard DJI version inquiry, sent to each module in turn (no fixed
+  // target). Reply layout from the wider DJI protocol, unverified on the
+  // Pocket 3; versions are 4 bytes, major first (0x01020304 = 01.02.03.04).
+  {
+    name: 'version_inquiry', flags: FLAG.REQUEST, cmdSet: CMD_SET.GENERAL, cmdId: GENERAL_CMD.VERSION_INQUIRY,
+    direction: 'app→device', description: 'Hardware/firmware version of the addressed module', fields: [],
+  },
+  {
+    name: 'version_inquiry_result', flags: FLAG.RESPONSE, cmdSet: CMD_SET.GENERAL, cmdId: GENERAL_CMD.VERSION_INQUIRY,
+    direction: 'device→app',
+    fields: [
+      ...RESULT,
+      { name: 'reserved', type: 'uint8' },
+      { name: 'hardware', type: 'ascii', length: 16 },
+      { name: 'loader', type: 'uint32' },
+      { name: 'firmware', type: 'uint32' },
+      ...REST,
+    ],
+  },
+  {
+    // Sent by the phone in the reference capture (payload "11" + 3 NULs)
+    name: 'pairing_stage2', flags: FLAG.REQUEST, cmdSet: CMD_SET.GENERAL, cmdId: 0x32,
+    direction: 'app→device', fields: REST,
+  },
+  {
+    name: 'device_version', flags: FLAG.REQUEST, cmdSet: CMD_SET.GENERAL, cmdId: GENERAL_CMD.DEVICE_VERSION,
+    direction: 'device→app', description: 'Firmware version report (rare)', fields: REST,
+  },
+  {
+    name: 'device_info', flags: FLAG.REQUEST, cmdSet: CMD_SET.GENERAL, cmdId: GENERAL_CMD.DEVICE_INFO,
+    telemetry: true, direction: 'device→app', description: 'Model identifier, e.g. "hg212" on the Pocket 3 (~1Hz)',
+    fields: [
+      { name: 'model', type: 'ascii', length: 32 },
+      ...REST,
+    ],
+  },
+  {
+    name: 'unknown_400088', flags: FLAG.REQUEST, cmdSet: CMD_SET.GENERAL, cmdId: 0x88,
+    direction: 'device→app', fields: REST,
+  },
+  {
+    name: 'field_value', flags: FLAG.NOTIFY, cmdSet: CMD_SET.GENERAL, cmdId: 0x99,
+    direction: 'device→app', fields: REST,
+  },
+  {
+    name: 'keep_alive_F1', flags: FLAG.NOTIFY, cmdSet: CMD_SET.GENERAL, cmdId: GENERAL_CMD.STATUS,
+    telemetry: true, direction: 'device→app', description: 'General status push (~1Hz)', fields: REST,
+  },
+
+  // ─── Camera / livestream (CmdSet 0x02) ────────────────────────────────────
+  {
+    // Layout of the DJI camera status push (dji-firmware-tools). The Pocket 3
+    // captures agree on the state bits and mode (1 = video while streaming);
+    // the later offsets, recordTime's included, are unverified.
+    name: 'A_status', flags: FLAG.NOTIFY, cmdSet: CMD_SET.STREAM, cmdId: CAMERA_CMD.STATUS,
+    telemetry: true, direction: 'device→app', description: 'Camera status push (~10Hz, ~60B)',
+    fields: [
+      {
+        type: 'bits', size: 2, bits: {
+          connected: [0, 1], usbConnected: [1, 1], timeSynced: [2, 1],
+          photoState: [3, 3], recordState: [6, 2, { 0: 'idle', 1: 'recording' }],
+          sensorError: [8, 1], sdInserted: [9, 1], sdState: [10, 4], upgrading: [14, 1],
+        },
+      },
+      { type: 'bits', size: 2, bits: { overheated: [1, 1], photoDisabled: [2, 1], storing: [3, 1] } },
+      { name: 'mode', type: 'uint8', values: CAMERA_MODE_VALUES },
+      { name: 'sdTotal', type: 'uint32' },        // MB
+      { name: 'sdFree', type: 'uint32' },         // MB
+      { name: 'remainingShots', type: 'uint32' },
+      { name: 'remainingTime', type: 'uint32' },  // s of video
+      { name: 'fileIndexMode', type: 'uint8' },
+      { type: 'bytes', length: 6 },
+      { name: 'recordTime', type: 'uint16' },     // s since recording started
+      ...REST,
+    ],
+  },
+  {
+    // Constant 00 12 01 0000 02 00… in every capture; not decoded
+    name: 'unknown_2DC', flags: FLAG.NOTIFY, cmdSet: CMD_SET.STREAM, cmdId: CAMERA_CMD.VARIANT,
+    telemetry: true, direction: 'device→app', description: 'Camera variant push (~2Hz, ~22B)', fields: REST,
+  },
+  {
+    name: 'take_photo', flags: FLAG.REQUEST, cmdSet: CMD_SET.STREAM, cmdId: CAMERA_CMD.TAKE_PHOTO,
+    target: TARGET.APP_TO_CAMERA, direction: 'app→device',
+    fields: [{ name: 'type', type: 'uint8', values: { 1: 'single' }, default: 1 }],
+  },
+  {
+    name: 'record', flags: FLAG.REQUEST, cmdSet: CMD_SET.STREAM, cmdId: CAMERA_CMD.RECORD,
+    target: TARGET.APP_TO_CAMERA, direction: 'app→device',
+    fields: [{ name: 'action', type: 'uint8', values: { 0: 'stop', 1: 'start' } }],
+  },
+  {
+    name: 'prepare_to_livestream', flags: FLAG.REQUEST, cmdSet: CMD_SET.STREAM, cmdId: STREAM_CMD.PREPARE,
+    target: TARGET.APP_TO_DM36X, direction: 'app→device',
+    fields: [{ name: 'mode', type: 'uint8', default: 0x1A }],
+  },
+  {
+    name: 'prepare_to_livestream_report', flags: FLAG.RESPONSE, cmdSet: CMD_SET.STREAM, cmdId: STREAM_CMD.PREPARE,
+    direction: 'device→app', description: 'result 0x00 = OK', fields: RESULT,
+  },
+  {
+    // Payloads: prepare [00 01 1C 00], start [01 01 1A 00 01 01], stop [01 01 1A 00 01 02]
+    name: 'start_stop_streaming', flags: FLAG.REQUEST, cmdSet: CMD_SET.STREAM, cmdId: STREAM_CMD.START_STOP,
+    target: TARGET.APP_TO_DM36X, direction: 'app→device',
+    fields: [
+      { name: 'enable', type: 'bool' },
+      { type: 'uint8', default: 0x01 },
+      { name: 'mode', type: 'uint8', default: 0x1A },
+      { type: 'uint8', default: 0x00 },
+      { name: 'action', type: 'uint16', values: { 0x0101: 'start', 0x0201: 'stop' }, optional: true },
+    ],
+  },
+  {
+    name: 'start_stop_streaming_result', flags: 0x80, cmdSet: CMD_SET.STREAM, cmdId: STREAM_CMD.START_STOP,
+    direction: 'device→app', fields: [...RESULT, ...REST],
+  },
+  {
+    name: 'unknown_C0028E', flags: FLAG.RESPONSE, cmdSet: CMD_SET.STREAM, cmdId: STREAM_CMD.START_STOP,
+    direction: 'device→app', fields: [...RESULT, ...REST],
+  },
+
+  // ─── Gimbal (CmdSet 0x04) ─────────────────────────────────────────────────
+  {
+    // PWM-style, range 363..1685, center 1024
+    name: 'gimbal_control', flags: FLAG.REQUEST, cmdSet: CMD_SET.GIMBAL, cmdId: GIMBAL_CMD.CONTROL_PWM,
+    target: TARGET.APP_TO_GIMBAL, direction: 'app→device',
+    fields: [
+      { name: 'pitch', type: 'uint16', default: 1024 },
+      { name: 'roll', type: 'uint16', default: 1024 },
+      { name: 'yaw', type: 'uint16', default: 1024 },
+    ],
+  },
+  {
+    name: 'get_position', flags: FLAG.REQUEST, cmdSet: CMD_SET.GIMBAL, cmdId: GIMBAL_CMD.GET_POSITION,
+    target: TARGET.APP_TO_GIMBAL, direction: 'app→device', fields: [],
+  },
+  {
+    // Reply layout assumed (result byte + angles, like the push) — unverified
+    name: 'get_position_result', flags: FLAG.RESPONSE, cmdSet: CMD_SET.GIMBAL, cmdId: GIMBAL_CMD.GET_POSITION,
+    direction: 'device→app', fields: [...RESULT, ...ANGLES, ...REST],
+  },
+  {
+    name: 'push_position', flags: FLAG.NOTIFY, cmdSet: CMD_SET.GIMBAL, cmdId: GIMBAL_CMD.PARAMS_GET,
+    telemetry: true, direction: 'device→app', description: 'Gimbal telemetry (~20Hz); yaw -100° = forward',
+    fields: [
+      ...ANGLES,
+      { type: 'bits', bits: { subMode: [5, 1], mode: [6, 2, { 0: 'lock', 1: 'follow', 2: 'fpv' }] } },
+      { name: 'rollAdjust', type: 'int8' },
+      { type: 'bits', size: 2, bits: { verticalDir: [0, 2], horizontalDir: [2, 2] } },
+      { type: 'bits', bits: { pitchLimit: [0, 1], rollLimit: [1, 1], yawLimit: [2, 1] } },
+      { type: 'bits', bits: { doubleClick: [5, 1], tripleClick: [6, 1], singleClick: [7, 1] } },
+      { name: 'extra', type: 'bytes' },
+    ],
+  },
+  {
+    name: 'angle_set', flags: FLAG.REQUEST, cmdSet: CMD_SET.GIMBAL, cmdId: GIMBAL_CMD.ANGLE_SET,
+    target: TARGET.APP_TO_GIMBAL, direction: 'app→device',
+    fields: [
+      ...ANGLES,
+      { name: 'speed', type: 'int16', scale: 0.01 },
+      { name: 'flags', type: 'uint8', default: 0x01 },
+      { name: 'speedFactor', type: 'uint8' },
+    ],
+  },
+  {
+    name: 'ext_ctrl_status', flags: FLAG.REQUEST, cmdSet: CMD_SET.GIMBAL, cmdId: GIMBAL_CMD.EXT_CTRL_STATUS,
+    target: TARGET.APP_TO_GIMBAL, direction: 'app→device', fields: [],
+  },
+  {
+    // Status bytes not decoded yet
+    name: 'ext_ctrl_status_result', flags: FLAG.RESPONSE, cmdSet: CMD_SET.GIMBAL, cmdId: GIMBAL_CMD.EXT_CTRL_STATUS,
+    direction: 'device→app', fields: [...RESULT, ...REST],
+  },
+  {
+    name: 'speed_control', flags: FLAG.REQUEST, cmdSet: CMD_SET.GIMBAL, cmdId: GIMBAL_CMD.SPEED_CTRL,
+    target: TARGET.APP_TO_GIMBAL, direction: 'app→device', description: 'Angular velocity in °/s',
+    fields: [
+      { name: 'pitch', type: 'angle' },
+      { name: 'roll', type: 'angle' },
+      { name: 'yaw', type: 'angle' },
+      { type: 'bits', bits: { enable: [0, 1] } },
+    ],
+  },
+  {
+    name: 'suspend_resume', flags: FLAG.REQUEST, cmdSet: CMD_SET.GIMBAL, cmdId: GIMBAL_CMD.SUSPEND_RESUME,
+    target: TARGET.APP_TO_GIMBAL, direction: 'app→device',
+    fields: [{ name: 'action', type: 'uint16', values: GIMBAL_SUSPEND_VALUES }],
+  },
+  {
+    name: 'abs_angle_control', flags: FLAG.REQUEST, cmdSet: CMD_SET.GIMBAL, cmdId: GIMBAL_CMD.ABS_ANGLE,
+    target: TARGET.APP_TO_GIMBAL, direction: 'app→device',
+    fields: [
+      ...ANGLES,
+      { type: 'bits', bits: { pitchEnable: [0, 1], rollEnable: [1, 1], yawEnable: [2, 1] } },
+      { name: 'duration', type: 'uint8' },
+    ],
+  },
+  {
+    name: 'movement', flags: FLAG.REQUEST, cmdSet: CMD_SET.GIMBAL, cmdId: GIMBAL_CMD.MOVEMENT,
+    target: TARGET.APP_TO_GIMBAL, direction: 'app→device', description: 'Incremental int8 steps',
+    fields: [
+      { name: 'pitch', type: 'int8' },
+      { name: 'roll', type: 'int8' },
+      { name: 'yaw', type: 'int8' },
+      { type: 'bytes', length: 3 },
+      { name: 'speedPitch', type: 'uint8', default: 50 },
+      { name: 'speedYaw', type: 'uint8', default: 50 },
+      { type: 'bytes', length: 12 },
+    ],
+  },
+  {
+    name: 'gimbal_type', flags: FLAG.NOTIFY, cmdSet: CMD_SET.GIMBAL, cmdId: GIMBAL_CMD.TYPE_GET,
+    telemetry: true, direction: 'device→app', description: 'unknown_41C in the dissector (~2Hz, 1B)',
+    fields: [{ name: 'type', type: 'uint8' }],
+  },
+  {
+    name: 'gimbal_type_get', flags: FLAG.REQUEST, cmdSet: CMD_SET.GIMBAL, cmdId: GIMBAL_CMD.TYPE_GET,
+    target: TARGET.APP_TO_GIMBAL, direction: 'app→device', fields: [],
+  },
+  {
+    // Reply layout assumed (result byte + the push's type byte) — unverified
+    name: 'gimbal_type_result', flags: FLAG.RESPONSE, cmdSet: CMD_SET.GIMBAL, cmdId: GIMBAL_CMD.TYPE_GET,
+    direction: 'device→app', fields: [...RESULT, { name: 'type', type: 'uint8' }],
+  },
+  {
+    name: 'keep_alive_427', flags: FLAG.NOTIFY, cmdSet: CMD_SET.GIMBAL, cmdId: GIMBAL_CMD.KEEPALIVE,
+    telemetry: true, direction: 'device→app', description: 'Gimbal keepalive push (~10Hz, 5B)', fields: REST,
+  },
+  {
+    name: 'unknown_438', flags: FLAG.NOTIFY, cmdSet: CMD_SET.GIMBAL, cmdId: 0x38,
+    telemetry: true, direction: 'device→app', description: 'Gimbal sync push (~1Hz)', fields: REST,
+  },
+  {
+    // Payloads of 0x39/0x3A are not in any capture; one flag / angle code
+    // byte is a guess
+    name: 'gimbal_lock', flags: FLAG.REQUEST, cmdSet: CMD_SET.GIMBAL, cmdId: GIMBAL_CMD.LOCK,
+    target: TARGET.APP_TO_GIMBAL, direction: 'app→device',
+    fields: [{ name: 'lock', type: 'bool', default: true }],
+  },
+  {
+    name: 'rotate_camera_x', flags: FLAG.REQUEST, cmdSet: CMD_SET.GIMBAL, cmdId: GIMBAL_CMD.ROTATE_X,
+    target: TARGET.APP_TO_GIMBAL, direction: 'app→device',
+    fields: [{ name: 'angle', type: 'uint8', values: { 0: 90, 1: 180 } }],
+  },
+  {
+    name: 'reset_and_set_mode', flags: FLAG.REQUEST, cmdSet: CMD_SET.GIMBAL, cmdId: GIMBAL_CMD.SET_MODE,
+    target: TARGET.APP_TO_GIMBAL, direction: 'app→device',
+    fields: [
+      { name: 'mode', type: 'uint8', values: GIMBAL_MODE_VALUES },
+      { type: 'uint8', default: 0x00 },
+    ],
+  },
+
+  // ─── WiFi / pairing (CmdSet 0x07) ─────────────────────────────────────────
+  {
+    // Sent by the phone in the reference capture (payload 0x20)
+    name: 'unknown_400707', flags: FLAG.REQUEST, cmdSet: CMD_SET.WIFI, cmdId: 0x07,
+    direction: 'app→device', fields: REST,
+  },
+  {
+    name: 'set_pairing_pin', flags: FLAG.REQUEST, cmdSet: CMD_SET.WIFI, cmdId: WIFI_CMD.SET_PAIRING_PIN,
+    target: TARGET.APP_TO_WIFI, direction: 'app→device',
+    fields: [
+      { name: 'identifier', type: 'string' },
+      { name: 'pin', type: 'string' },
+    ],
+  },
+  {
+    name: 'pairing_status', flags: FLAG.RESPONSE, cmdSet: CMD_SET.WIFI, cmdId: WIFI_CMD.SET_PAIRING_PIN,
+    direction: 'device→app',
+    fields: [
+      ...RESULT,
+      { name: 'status', type: 'uint8', values: { 1: 'paired', 2: 'pairing_required' } },
+    ],
+  },
+  {
+    name: 'pairing_pin_approved', flags: FLAG.REQUEST, cmdSet: CMD_SET.WIFI, cmdId: WIFI_CMD.PAIRING_APPROVED,
+    direction: 'device→app', description: 'Sent once the user accepts the PIN on the camera',
+    fields: [{ name: 'approved', type: 'bool' }],
+  },
+  {
+    name: 'pairing_stage1', flags: FLAG.RESPONSE, cmdSet: CMD_SET.WIFI, cmdId: WIFI_CMD.PAIRING_APPROVED,
+    direction: 'app→device', target: TARGET.APP_TO_WIFI, fields: RESULT,
+  },
+  {
+    name: 'connect_to_wifi', flags: FLAG.REQUEST, cmdSet: CMD_SET.WIFI, cmdId: WIFI_CMD.WIFI_CONNECT,
+    target: TARGET.APP_TO_WIFI, direction: 'app→device',
+    fields: [
+      { name: 'ssid', type: 'string' },
+      { name: 'password', type: 'string' },
+    ],
+  },
+  {
+    name: 'connect_to_wifi_result', flags: FLAG.RESPONSE, cmdSet: CMD_SET.WIFI, cmdId: WIFI_CMD.WIFI_CONNECT,
+    direction: 'device→app', description: 'status 0x0000 = connected',
+    fields: [{ name: 'status', type: 'uint16' }],
+  },
+  {
+    name: 'start_scan_wifi', flags: FLAG.REQUEST, cmdSet: CMD_SET.WIFI, cmdId: WIFI_CMD.SCAN,
+    target: TARGET.APP_TO_WIFI, direction: 'app→device', fields: [],
+  },
+  {
+    name: 'start_scan_wifi_result', flags: FLAG.RESPONSE, cmdSet: CMD_SET.WIFI, cmdId: WIFI_CMD.SCAN,
+    direction: 'device→app', fields: RESULT,
+  },
+  {
+    name: 'wifi_scan_results', flags: FLAG.REQUEST, cmdSet: CMD_SET.WIFI, cmdId: WIFI_CMD.SCAN_RESULTS,
+    direction: 'device→app', fields: REST,
+  },
+  {
+    name: 'unknown_C007AC', flags: FLAG.RESPONSE, cmdSet: CMD_SET.WIFI, cmdId: WIFI_CMD.SCAN_RESULTS,
+    target: TARGET.APP_TO_WIFI, direction: 'app→device', fields: RESULT,
+  },
+
+  // ─── Transcoder (CmdSet 0x08) ─────────────────────────────────────────────
+  {
+    // node-osmo DjiStartStreamingMessagePayload
+    name: 'configure_streaming', flags: FLAG.REQUEST, cmdSet: CMD_SET.DM36X, cmdId: STREAM_CMD.CONFIGURE,
+    target: TARGET.APP_TO_DM36X, direction: 'app→device',
+    fields: [
+      { type: 'bytes', length: 3 },
+      { name: 'resolution', type: 'uint8', values: RESOLUTION_VALUES },
+      { name: 'bitrate', type: 'uint16' },
+      { type: 'uint16', default: 0x0002 },
+      { name: 'fps', type: 'uint8', values: FPS_VALUES },
+      { type: 'bytes', length: 3 },
+      { name: 'url', type: 'string16' },
+    ],
+  },
+
+  // ─── Power (CmdSet 0x0D) ──────────────────────────────────────────────────
+  {
+    // Two captures: 4.230 V, +462 mA, 88%, charging flag 1 and 4.373 V,
+    // 0 mA, 100%, flag 0. Temperature is a guess (31.0 / 46.0 °C).
+    name: 'streaming_status', flags: FLAG.NOTIFY, cmdSet: CMD_SET.BATTERY, cmdId: BATTERY_CMD.STATUS,
+    telemetry: true, direction: 'device→app', description: 'Battery/power push (~1Hz)',
+    fields: [
+      { type: 'uint8' },
+      { name: 'voltage', type: 'uint16', scale: 0.001 }, // V
+      { type: 'uint16' },
+      { name: 'current', type: 'int16' },                // mA, > 0 while charging
+      { type: 'bytes', length: 10 },
+      { name: 'temperature', type: 'uint16', scale: 0.1 }, // °C
+      { type: 'uint8' },
+      { name: 'percent', type: 'uint8' },
+      { type: 'bytes', length: 11 },
+      { name: 'charging', type: 'bool' },
+      ...REST,
+    ],
+  },
+
+  // ─── Unclassified ─────────────────────────────────────────────────────────
+  {
+    name: 'unknown_80EE03', flags: 0x80, cmdSet: 0xEE, cmdId: 0x03,
+    direction: 'device→app', fields: REST,
+  },
+];
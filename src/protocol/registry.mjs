@@ -0,0 +1,289 @@
+// ============================================================================
+// DUML Message Registry — Schema-driven payload decoder / encoder
+// Every known message type is one entry in messages.mjs, keyed by
+// (flags, cmdSet, cmdId). Controllers and tools decode and build payloads
+// through here instead of hand-rolling offsets.
+// ============================================================================
+
+import { MESSAGES } from './messages.mjs';
+
+// ─── Field types ────────────────────────────────────────────────────────────
+// Numeric types are little-endian unless noted.
+const NUMERIC = {
+  uint8:  { size: 1, read: 'readUInt8',    write: 'writeUInt8' },
+  int8:   { size: 1, read: 'readInt8',     write: 'writeInt8' },
+  uint16: { size: 2, read: 'readUInt16LE', write: 'writeUInt16LE' },
+  int16:  { size: 2, read: 'readInt16LE',  write: 'writeInt16LE' },
+  uint32: { size: 4, read: 'readUInt32LE', write: 'writeUInt32LE' },
+  int32:  { size: 4, read: 'readInt32LE',  write: 'writeInt32LE' },
+  float:  { size: 4, read: 'readFloatLE',  write: 'writeFloatLE' },
+};
+
+// Shorthand types
+const ALIASES = {
+  angle: { type: 'int16', scale: 0.1 }, // int16 LE × 0.1°
+  bool:  { type: 'uint8', bool: true },
+};
+
+// Field spec:
+//   { name, type, scale?, values?, length?, default?, optional? }
+//   type: uint8 | int8 | uint16 | int16 | uint32 | int32 | float
+//         angle    int16 LE × 0.1°
+//         bool     uint8, 0/1
+//         string   PackString — [len: uint8] [utf8]
+//         string16 [len: uint16 LE] [utf8]
+//         ascii    fixed `length`, NUL-padded
+//         bytes    fixed `length`, or the rest of the payload
+//         bits     `size` 1|2 bytes split into `bits: { name: [shift, width, values?] }`;
+//                  sub-fields are flattened into the decoded object
+//   values: { raw: 'name' } enum map — decoded to names, names accepted on encode
+//   optional: when encoding without a value, the payload ends before this field
+//   Fields past the end of a short payload are omitted from the result.
+
+// ─── Message type helpers ───────────────────────────────────────────────────
+// Only the top two flag bits identify a type: 0xC0 / 0x80 = response,
+// 0x40 = request, 0x00 = push/notify.
+export function typeKey(flags, cmdSet, cmdId) {
+  return ((flags & 0xC0) << 16) | (cmdSet << 8) | cmdId;
+}
+
+// Dissector notation: flags, cmdSet, cmdId as one BE hex number (0xC00745)
+export function typeName(flags, cmdSet, cmdId) {
+  const hex = (n) => n.toString(16).toUpperCase().padStart(2, '0');
+  return `${hex(flags)}${hex(cmdSet)}${hex(cmdId)}`;
+}
+
+export class MessageRegistry {
+  constructor(entries = []) {
+    this._byKey = new Map();
+    this._byName = new Map();
+    for (const entry of entries) this.register(entry);
+  }
+
+  // ─── Add a message definition ─────────────────────────────────────────────
+  // entry: { name, flags, cmdSet, cmdId, direction, target?, description?,
+  //         telemetry?, fields }
+  // telemetry: true marks periodic pushes (status, keepalives) that monitors
+  // may want to hide
+  register(entry) {
+    if (this._byName.has(entry.name)) throw new Error(`Duplicate message name: ${entry.name}`);
+    const key = typeKey(entry.flags, entry.cmdSet, entry.cmdId);
+    if (this._byKey.has(key)) {
+      throw new Error(`Duplicate message type 0x${typeName(entry.flags, entry.cmdSet, entry.cmdId)}`);
+    }
+    const def = { fields: [], ...entry };
+    this._byKey.set(key, def);
+    this._byName.set(def.name, def);
+    return def;
+  }
+
+  get names() {
+    return [...this._byName.keys()];
+  }
+
+  // ─── Find a definition by name or by (flags, cmdSet, cmdId) ───────────────
+  get(name) {
+    return this._byName.get(name) || null;
+  }
+
+  // Responses fall back to the other response flag (0x80 ↔ 0xC0), since most
+  // types are only defined for one of them.
+  lookup(flags, cmdSet, cmdId) {
+    if (typeof flags === 'object') ({ flags, cmdSet, cmdId } = flags);
+    const def = this._byKey.get(typeKey(flags, cmdSet, cmdId));
+    if (def || !(flags & 0x80)) return def || null;
+    return this._byKey.get(typeKey(flags ^ 0x40, cmdSet, cmdId)) || null;
+  }
+
+  // ─── Decode a parsed message ──────────────────────────────────────────────
+  // Returns { name, type, direction, known, fields }. Unknown types get the
+  // dissector-style name unknown_<TYPE> and no fields.
+  decode(msg) {
+    const type = typeName(msg.flags, msg.cmdSet, msg.cmdId);
+    const def = this.lookup(msg);
+    if (!def) {
+      return { name: `unknown_${type}`, type, direction: null, known: false, fields: {} };
+    }
+    return {
+      name: def.name,
+      type,
+      direction: def.direction,
+      known: true,
+      fields: decodeFields(def.fields, msg.payload),
+    };
+  }
+
+  // ─── Build a message from a named definition ──────────────────────────────
+  // Returns { target, flags, cmdSet, cmdId, payload } ready for
+  // DumlCodec.encode() or OsmoConnection.send()/request().
+  encode(name, fields = {}) {
+    const def = this.get(name);
+    if (!def) throw new Error(`Unknown message: ${name}`);
+    return {
+      target: def.target,
+      flags: def.flags,
+      cmdSet: def.cmdSet,
+      cmdId: def.cmdId,
+      payload: encodeFields(def.fields, fields, name),
+    };
+  }
+}
+
+// ─── Payload decoding ───────────────────────────────────────────────────────
+export function decodeFields(specs, payload) {
+  const out = {};
+  let off = 0;
+
+  for (const raw of specs) {
+    const spec = resolve(raw);
+    const remaining = payload.length - off;
+    if (remaining <= 0) break;
+
+    if (NUMERIC[spec.type]) {
+      const { size, read } = NUMERIC[spec.type];
+      if (remaining < size) break;
+      let value = payload[read](off);
+      off += size;
+      if (spec.name) out[spec.name] = fromRaw(spec, value);
+    } else if (spec.type === 'string' || spec.type === 'string16') {
+      const lenSize = spec.type === 'string' ? 1 : 2;
+      if (remaining < lenSize) break;
+      const len = lenSize === 1 ? payload[off] : payload.readUInt16LE(off);
+      off += lenSize;
+      out[spec.name] = payload.subarray(off, off + len).toString('utf8');
+      off += len;
+    } else if (spec.type === 'ascii') {
+      const str = payload.subarray(off, off + spec.length).toString('latin1');
+      out[spec.name] = str.replace(/\0[\s\S]*$/, '');
+      off += spec.length;
+    } else if (spec.type === 'bytes') {
+      const len = spec.length ?? remaining;
+      if (spec.name) out[spec.name] = payload.subarray(off, off + len);
+      off += len;
+    } else if (spec.type === 'bits') {
+      const size = spec.size || 1;
+      if (remaining < size) break;
+      const word = size === 1 ? payload[off] : payload.readUInt16LE(off);
+      off += size;
+      for (const [name, [shift, width, values]] of Object.entries(spec.bits)) {
+        const v = (word >> shift) & ((1 << width) - 1);
+        out[name] = values ? (values[v] ?? v) : (width === 1 ? Boolean(v) : v);
+      }
+    } else {
+      throw new Error(`Unknown field type: ${spec.type}`);
+    }
+  }
+  return out;
+}
+
+// ─── Payload encoding ───────────────────────────────────────────────────────
+export function encodeFields(specs, fields, context = 'message') {
+  const parts = [];
+
+  for (const raw of specs) {
+    const spec = resolve(raw);
+    const value = spec.name in fields ? fields[spec.name] : spec.default;
+    if (spec.optional && value === undefined) break;
+
+    if (NUMERIC[spec.type]) {
+      const { size, write } = NUMERIC[spec.type];
+      const buf = Buffer.alloc(size);
+      buf[write](toRaw(spec, value ?? 0, context), 0);
+      parts.push(buf);
+    } else if (spec.type === 'string' || spec.type === 'string16') {
+      if (value === undefined) throw new Error(`${context}: missing field ${spec.name}`);
+      const str = Buffer.from(String(value), 'utf8');
+      const len = Buffer.alloc(spec.type === 'string' ? 1 : 2);
+      if (spec.type === 'string') {
+        if (str.length > 0xFF) throw new Error(`${context}: ${spec.name} longer than 255 bytes`);
+        len[0] = str.length;
+      } else {
+        len.writeUInt16LE(str.length, 0);
+      }
+      parts.push(len, str);
+    } else if (spec.type === 'ascii') {
+      const buf = Buffer.alloc(spec.length);
+      buf.write(String(value ?? ''), 0, spec.length, 'latin1');
+      parts.push(buf);
+    } else if (spec.type === 'bytes') {
+      const data = value ? Buffer.from(value) : Buffer.alloc(0);
+      if (spec.length !== undefined) {
+        const buf = Buffer.alloc(spec.length);
+        data.copy(buf, 0, 0, spec.length);
+        parts.push(buf);
+      } else {
+        parts.push(data);
+      }
+    } else if (spec.type === 'bits') {
+      const size = spec.size || 1;
+      let word = 0;
+      for (const [name, [shift, width, values]] of Object.entries(spec.bits)) {
+        let v = fields[name] ?? 0;
+        if (values && isEnumName(values, v)) v = enumValue(values, v, `${context}.${name}`);
+        word |= (Number(v) & ((1 << width) - 1)) << shift;
+      }
+      const buf = Buffer.alloc(size);
+      if (size === 1) buf[0] = word;
+      else buf.writeUInt16LE(word, 0);
+      parts.push(buf);
+    } else {
+      throw new Error(`Unknown field type: ${spec.type}`);
+    }
+  }
+  return Buffer.concat(parts);
+}
+
+function resolve(spec) {
+  const alias = ALIASES[spec.type];
+  return alias ? { ...spec, ...alias, scale: spec.scale ?? alias.scale } : spec;
+}
+
+function fromRaw(spec, value) {
+  if (spec.bool) return Boolean(value);
+  if (spec.values) return spec.values[value] ?? value;
+  return spec.scale ? Math.round(value * spec.scale * 1000) / 1000 : value;
+}
+
+function toRaw(spec, value, context) {
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (spec.values && (typeof value === 'string' || isEnumName(spec.values, value))) {
+    return enumValue(spec.values, value, `${context}.${spec.name}`);
+  }
+  const raw = spec.scale ? value / spec.scale : value;
+  return spec.type === 'float' ? raw : Math.round(raw);
+}
+
+// Enum names may be numbers too (fps: { 3: 30 }), so match loosely
+function isEnumName(values, name) {
+  return Object.values(values).some((v) => String(v) === String(name));
+}
+
+function enumValue(values, name, context) {
+  const entry = Object.entries(values).find(([, v]) => String(v) === String(name));
+  if (!entry) throw new Error(`${context}: unknown value "${name}"`);
+  return Number(entry[0]);
+}
+
+// ─── Render decoded fields for logs / JSON (Buffers as hex) ─────────────────
+export function formatFields(fields) {
+  const out = {};
+  for (const [name, value] of Object.entries(fields)) {
+    out[name] = Buffer.isBuffer(value) ? value.toString('hex') : value;
+  }
+  return out;
+}
+
+// ─── Default registry with every known message ──────────────────────────────
+export const registry = new MessageRegistry(MESSAGES);
+
+export function decode(msg) {
+  return registry.decode(msg);
+}
+
+export function encode(name, fields) {
+  return registry.encode(name, fields);
+}
+
+export function lookup(flags, cmdSet, cmdId) {
+  return registry.lookup(flags, cmdSet, cmdId);
+}
@@ -0,0 +1,102 @@
+// ============================================================================
+// Responder — Acknowledges requests the device sends to the app
+// ============================================================================
+//
+// Some device messages carry the request flag (0x40) and expect the app to
+// answer, as the Mimo app does, with a 0xC0 reply that reuses the request's
+// msgId and swaps sender and receiver. Handlers are registered per
+// (cmdSet, cmdId) and return the reply payload.
+//
+// Built-ins only cover replies seen in the reference captures
+// (reference/xaionaro-message-types.md); register more to experiment.
+
+import { EventEmitter } from 'events';
+import { FLAG, CMD_SET, WIFI_CMD } from './protocol/constants.mjs';
+import { encode } from './protocol/registry.mjs';
+
+// Handler that replies with a lone result byte
+export function ack(result = 0x00) {
+  return () => Buffer.from([result]);
+}
+
+// Handler that replies with a registry message's payload
+export function replyWith(name, fields = {}) {
+  return () => encode(name, fields).payload;
+}
+
+// Replies the Mimo app sends, keyed by what they answer
+export const BUILTIN_RESPONDERS = [
+  // pairing_pin_approved (0x400746) → pairing_stage1 (0xC00746) [00], same
+  // msgId — captured right after the PIN was accepted on the camera
+  { cmdSet: CMD_SET.WIFI, cmdId: WIFI_CMD.PAIRING_APPROVED, handler: replyWith('pairing_stage1', { result: 0 }) },
+  // wifi_scan_results (0x4007AC) → 0xC007AC. The capture shows the reply
+  // type but its payload doesn't read as an ACK; a result byte is assumed.
+  { cmdSet: CMD_SET.WIFI, cmdId: WIFI_CMD.SCAN_RESULTS, handler: replyWith('unknown_C007AC', { result: 0 }) },
+];
+
+export class Responder extends EventEmitter {
+  // send: async (target, cmdSet, cmdId, payload, { flags, msgId }) => msgId
+  // options:
+  //   builtins  Register BUILTIN_RESPONDERS (default true)
+  constructor(send, options = {}) {
+    super();
+    this._send = send;
+    this._handlers = new Map(); // (cmdSet << 8 | cmdId) → handler
+    if (options.builtins ?? true) {
+      for (const { cmdSet, cmdId, handler } of BUILTIN_RESPONDERS) this.register(cmdSet, cmdId, handler);
+    }
+  }
+
+  // [{ cmdSet, cmdId }] with a registered handler
+  get registered() {
+    return [...this._handlers.keys()].map((key) => ({ cmdSet: key >> 8, cmdId: key & 0xFF }));
+  }
+
+  // ─── Register / remove a handler ──────────────────────────────────────────
+  // handler: (msg) => Buffer | null, or a Promise of one. null/undefined
+  // sends nothing; a Buffer is used as-is for every request. Replaces any
+  // handler for the same type. Returns a function that removes it again.
+  register(cmdSet, cmdId, handler) {
+    if (typeof handler !== 'function' && !Buffer.isBuffer(handler)) {
+      throw new TypeError('Responder handler must be a function or a Buffer');
+    }
+    const key = (cmdSet << 8) | cmdId;
+    this._handlers.set(key, handler);
+    return () => {
+      if (this._handlers.get(key) === handler) this._handlers.delete(key);
+    };
+  }
+
+  unregister(cmdSet, cmdId) {
+    return this._handlers.delete((cmdSet << 8) | cmdId);
+  }
+
+  has(cmdSet, cmdId) {
+    return this._handlers.has((cmdSet << 8) | cmdId);
+  }
+
+  // ─── Handle incoming DUML message (call from transport layer) ──────────────
+  // Replies to device requests that have a handler. Emits 'reply'
+  // ({ request, payload }) once sent and 'failed' ({ request, error }) when
+  // the handler or the write throws. Returns true when a handler ran.
+  handleMessage(msg) {
+    if (!msg || (msg.flags & 0x80) || !(msg.flags & 0x40)) return false;
+    const handler = this._handlers.get((msg.cmdSet << 8) | msg.cmdId);
+    if (!handler) return false;
+    this._reply(msg, handler);
+    return true;
+  }
+
+  async _reply(msg, handler) {
+    try {
+      const payload = typeof handler === 'function' ? await handler(msg) : handler;
+      if (payload == null) return;
+      // Reply goes back the way the request came: sender and receiver swap
+      const target = msg.receiver | (msg.sender << 8);
+      await this._send(target, msg.cmdSet, msg.cmdId, payload, { flags: FLAG.RESPONSE, msgId: msg.msgId });
+      this.emit('reply', { request: msg, payload });
+    } catch (error) {
+      this.emit('failed', { request: msg, error });
+    }
+  }
+}
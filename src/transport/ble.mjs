@@ -3,18 +3,30 @@
 // ============================================================================
 
 import { EventEmitter } from 'events';
-import noble from '@stoprocent/noble';
-import { parseStream } from '../protocol/duml.mjs';
+import { DumlStreamParser } from '../protocol/duml.mjs';
 import { BLE, DEFAULTS } from '../protocol/constants.mjs';
+import { CaptureRecorder } from './capture.mjs';
+import { sharedScanner } from './scanner.mjs';
 
 export class BleTransport extends EventEmitter {
-  constructor() {
+  // options:
+  //   record: path of a JSONL capture file (or a CaptureRecorder) that every
+  //           raw notification and write is appended to
+  //   scanner: BleScanner to discover devices with (default: the process-wide
+  //            one, so several transports never stop each other's scans)
+  constructor(options = {}) {
     super();
+    this._scanner = options.scanner || sharedScanner();
+    this._recorder = typeof options.record === 'string'
+      ? new CaptureRecorder(options.record)
+      : options.record || null;
     this._peripheral = null;
     this._fff4 = null;
     this._fff5 = null;
-    this._receiveBuffer = Buffer.alloc(0);
+    this._parser = new DumlStreamParser();
+    this._parser.on('frameError', (err) => this.emit('frameError', err));
     this._connected = false;
+    this._stopScan = null;
   }
 
   get isConnected() {
@@ -25,118 +37,134 @@ export class BleTransport extends EventEmitter {
     return this._peripheral;
   }
 
+  get recorder() {
+    return this._recorder;
+  }
+
+  get scanner() {
+    return this._scanner;
+  }
+
+  // Frame counters: { frames, crc8Errors, crc16Errors, lengthErrors, bytesDiscarded, buffered }
+  get linkStats() {
+    return this._parser.stats;
+  }
+
   // ─── Scan for DJI devices ──────────────────────────────────────────────────
+  // filter:  (name, peripheral) => boolean, default matches Osmo/DJI/Pocket
+  // timeout: ms, or 0 to scan until stopScan()
+  // Emits 'discovered' once per device, 'updated' each time a known device
+  // advertises again (fresh RSSI) and 'adapterState' with the adapter state.
   async scan(filter, timeout = DEFAULTS.SCAN_TIMEOUT) {
     const found = new Map();
 
-    return new Promise((resolve, reject) => {
-      const timer = setTimeout(() => {
-        noble.stopScanning();
-        noble.removeAllListeners('discover');
-        resolve([...found.values()]);
-      }, timeout);
-
-      noble.on('stateChange', (state) => {
-        if (state === 'poweredOn') noble.startScanningAsync([], true);
-      });
+    return new Promise((resolve) => {
+      const onStateChange = (state) => this.emit('adapterState', state);
 
-      noble.on('discover', (p) => {
+      const onDiscover = (p) => {
         const name = p.advertisement?.localName || '';
         const match = filter
           ? filter(name, p)
           : (name.includes('Osmo') || name.includes('DJI') || name.includes('Pocket'));
-
-        if (match && !found.has(p.id)) {
-          found.set(p.id, {
-            id: p.id,
-            name,
-            rssi: p.rssi,
-            peripheral: p,
-          });
-          this.emit('discovered', found.get(p.id));
+        if (!match) return;
+
+        const known = found.get(p.id);
+        if (known) {
+          known.rssi = p.rssi;
+          known.lastSeen = Date.now();
+          this.emit('updated', known);
+          return;
         }
-      });
 
-      if (noble.state === 'poweredOn') {
-        noble.startScanningAsync([], true);
+        const device = {
+          id: p.id,
+          name,
+          rssi: p.rssi,
+          manufacturerData: p.advertisement?.manufacturerData || null,
+          serviceUuids: p.advertisement?.serviceUuids || [],
+          lastSeen: Date.now(),
+          peripheral: p,
+        };
+        found.set(p.id, device);
+        this.emit('discovered', device);
+      };
+
+      const finish = () => {
+        clearTimeout(timer);
+        this._stopScan = null;
+        release();
+        this._scanner.removeListener('adapterState', onStateChange);
+        resolve([...found.values()]);
+      };
+      const timer = timeout > 0 ? setTimeout(finish, timeout) : null;
+      this._stopScan = finish;
+
+      this._scanner.on('adapterState', onStateChange);
+      const release = this._scanner.acquire(onDiscover);
+      if (this._scanner.adapterState !== 'poweredOn') {
+        this.emit('adapterState', this._scanner.adapterState);
       }
     });
   }
 
+  // ─── End a running scan early; its promise resolves with what was found ────
+  stopScan() {
+    this._stopScan?.();
+  }
+
   // ─── Connect to a specific device ─────────────────────────────────────────
-  async connect(deviceId, timeout = DEFAULTS.SCAN_TIMEOUT) {
-    return new Promise((resolve, reject) => {
-      const timer = setTimeout(() => {
-        noble.stopScanning();
-        noble.removeAllListeners('discover');
-        reject(new Error(`Device ${deviceId} not found within ${timeout / 1000}s`));
-      }, timeout);
-
-      const onDiscover = async (p) => {
-        if (p.id !== deviceId) return;
-        clearTimeout(timer);
-        noble.stopScanning();
-        noble.removeListener('discover', onDiscover);
-
-        try {
-          this._peripheral = p;
-          this.emit('found', { id: p.id, name: p.advertisement?.localName, rssi: p.rssi });
-
-          await p.connectAsync();
-
-          const services = await new Promise((res) =>
-            p.discoverServices([BLE.SERVICE_UUID], (err, s) => res(s || []))
-          );
-          const svc = services[0];
-          if (!svc) throw new Error(`Service ${BLE.SERVICE_UUID} not found`);
-
-          const chars = await new Promise((res) =>
-            svc.discoverCharacteristics([], (err, c) => res(c || []))
-          );
-          for (const c of chars) {
-            if (c.uuid === BLE.CHAR_FFF4) this._fff4 = c;
-            if (c.uuid === BLE.CHAR_FFF5) this._fff5 = c;
-          }
-          if (!this._fff4 || !this._fff5) {
-            throw new Error('Required BLE characteristics (fff4/fff5) not found');
-          }
-
-          // Subscribe to notifications
-          await new Promise((res) => this._fff5.subscribe((err) => res()));
-          await new Promise((res) => this._fff4.subscribe((err) => res()));
-
-          this._fff4.on('data', (data) => this._processIncoming(data));
-          this._fff5.on('data', (data) => this._processIncoming(data));
-
-          this._connected = true;
-
-          p.once('disconnect', () => {
-            this._connected = false;
-            this.emit('disconnected');
-          });
-
-          this.emit('connected', { id: p.id, name: p.advertisement?.localName });
-          resolve();
-        } catch (err) {
-          reject(err);
-        }
-      };
+  // signal: optional AbortSignal that cancels the scan
+  async connect(deviceId, timeout = DEFAULTS.SCAN_TIMEOUT, signal) {
+    const p = await this._scanner.waitFor(deviceId, timeout, signal);
+
+    // noble hands out the same characteristic objects on a reconnect;
+    // drop listeners from the previous session so data isn't doubled
+    this._releaseCharacteristics();
+    this._peripheral = p;
+    this._parser.reset();
+    this.emit('found', { id: p.id, name: p.advertisement?.localName, rssi: p.rssi });
+
+    await p.connectAsync();
+
+    const services = await new Promise((res) =>
+      p.discoverServices([BLE.SERVICE_UUID], (err, s) => res(s || []))
+    );
+    const svc = services[0];
+    if (!svc) throw new Error(`Service ${BLE.SERVICE_UUID} not found`);
+
+    const chars = await new Promise((res) =>
+      svc.discoverCharacteristics([], (err, c) => res(c || []))
+    );
+    for (const c of chars) {
+      if (c.uuid === BLE.CHAR_FFF4) this._fff4 = c;
+      if (c.uuid === BLE.CHAR_FFF5) this._fff5 = c;
+    }
+    if (!this._fff4 || !this._fff5) {
+      throw new Error('Required BLE characteristics (fff4/fff5) not found');
+    }
 
-      noble.on('discover', onDiscover);
+    // Subscribe to notifications
+    await new Promise((res) => this._fff5.subscribe((err) => res()));
+    await new Promise((res) => this._fff4.subscribe((err) => res()));
 
-      noble.on('stateChange', (state) => {
-        if (state === 'poweredOn') noble.startScanningAsync([], false);
-      });
+    this._fff4.on('data', (data) => this._processIncoming(data, BLE.CHAR_FFF4));
+    this._fff5.on('data', (data) => this._processIncoming(data, BLE.CHAR_FFF5));
 
-      if (noble.state === 'poweredOn') {
-        noble.startScanningAsync([], false);
-      }
+    this._connected = true;
+
+    p.once('disconnect', () => {
+      this._connected = false;
+      this._releaseCharacteristics();
+      this.emit('disconnected');
     });
+
+    this.emit('connected', { id: p.id, name: p.advertisement?.localName });
   }
 
   // ─── Write raw data to fff5 ────────────────────────────────────────────────
   async write(data) {
     if (!this._fff5) throw new Error('Not connected');
+    this._recorder?.record('tx', BLE.CHAR_FFF5, data);
     return new Promise((resolve, reject) => {
       this._fff5.write(data, true, (err) => err ? reject(err) : resolve());
     });
@@ -145,12 +173,15 @@ export class BleTransport extends EventEmitter {
   // ─── Write raw data to fff4 (for pairing trigger) ─────────────────────────
   async writeFff4(data) {
     if (!this._fff4) throw new Error('Not connected');
+    this._recorder?.record('tx', BLE.CHAR_FFF4, data);
     return new Promise((resolve, reject) => {
       this._fff4.write(data, false, (err) => err ? reject(err) : resolve());
     });
   }
 
   // ─── Disconnect ────────────────────────────────────────────────────────────
+  // Tears down the link only: reconnects and dropped links reuse this, so a
+  // capture keeps recording across them (see close())
   async disconnect() {
     if (this._peripheral) {
       try {
@@ -160,13 +191,30 @@ export class BleTransport extends EventEmitter {
     this._connected = false;
   }
 
-  // ─── Process incoming BLE data ─────────────────────────────────────────────
-  _processIncoming(data) {
-    this._receiveBuffer = Buffer.concat([this._receiveBuffer, data]);
-    const { messages, remaining } = parseStream(this._receiveBuffer);
-    this._receiveBuffer = remaining;
+  // ─── Close: disconnect and finish the capture file ────────────────────────
+  async close() {
+    await this.disconnect();
+    if (this._recorder) {
+      await this._recorder.close();
+      this._recorder = null;
+    }
+  }
+
+  // ─── Forget the characteristics of a closed link ──────────────────────────
+  // Writes fail with 'Not connected' instead of going to a dead handle, and
+  // half a frame from the old link never prefixes the new one
+  _releaseCharacteristics() {
+    this._fff4?.removeAllListeners('data');
+    this._fff5?.removeAllListeners('data');
+    this._fff4 = null;
+    this._fff5 = null;
+    this._parser.reset();
+  }
 
-    for (const msg of messages) {
+  // ─── Process incoming BLE data ─────────────────────────────────────────────
+  _processIncoming(data, char) {
+    this._recorder?.record('rx', char, data);
+    for (const msg of this._parser.push(data)) {
       this.emit('message', msg);
     }
   }
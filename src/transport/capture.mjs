@@ -0,0 +1,69 @@
+// ============================================================================
+// Session Captures — JSONL recording of raw BLE traffic
+// ============================================================================
+//
+// One JSON object per line, in the order the bytes crossed the link:
+//
+//   {"ts":1739531443120,"dir":"rx","char":"fff4","data":"551504a9..."}
+//   {"ts":1739531443322,"dir":"tx","char":"fff5","data":"552204ea..."}
+//
+//   ts    Milliseconds since the Unix epoch
+//   dir   'rx' = notification from the device, 'tx' = write from the app
+//   char  Characteristic UUID ('fff4' or 'fff5')
+//   data  Raw bytes as hex — exactly one notification or write, not
+//         reassembled into DUML frames
+
+import fs from 'fs';
+
+export class CaptureRecorder {
+  constructor(path) {
+    this._path = path;
+    this._stream = fs.createWriteStream(path, { flags: 'a' });
+    this._stream.on('error', () => {}); // surfaced through close()
+    this._count = 0;
+  }
+
+  get path() {
+    return this._path;
+  }
+
+  get count() {
+    return this._count;
+  }
+
+  // ─── Append one raw notification or write ──────────────────────────────────
+  record(dir, char, data) {
+    const entry = { ts: Date.now(), dir, char, data: data.toString('hex') };
+    this._stream.write(JSON.stringify(entry) + '\n');
+    this._count++;
+  }
+
+  // ─── Flush and close the file ─────────────────────────────────────────────
+  async close() {
+    return new Promise((resolve, reject) => {
+      this._stream.end((err) => err ? reject(err) : resolve());
+    });
+  }
+}
+
+// ─── Read a capture file into entries with Buffer data ──────────────────────
+export function readCapture(path) {
+  return parseCapture(fs.readFileSync(path, 'utf8'));
+}
+
+export function parseCapture(text) {
+  const entries = [];
+  const lines = text.split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line) continue;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (err) {
+      throw new Error(`Invalid capture line ${i + 1}: ${err.message}`);
+    }
+    entries.push({ ...entry, data: Buffer.from(entry.data, 'hex') });
+  }
+  return entries;
+}
@@ -0,0 +1,49 @@
+// ============================================================================
+// Transport Interface — what OsmoConnection needs from a link to the camera
+// ============================================================================
+//
+// A transport is an EventEmitter that carries raw DUML frames. BleTransport
+// is the real one; SimulatedOsmo and friends implement the same surface so
+// the whole stack can run without a Bluetooth adapter.
+//
+// Methods:
+//   connect(deviceId, timeout, signal?) → Promise
+//                                        Find, connect, subscribe fff4/fff5;
+//                                        an aborted signal rejects with its reason
+//   write(buffer)              → Promise   Write a DUML frame to fff5
+//   writeFff4(buffer)          → Promise   Write to fff4 (pairing trigger)
+//   disconnect()               → Promise   Tear down the link
+//   close()                    → Promise   Tear down the link for good and
+//                                          release resources such as a
+//                                          capture file (optional)
+//   scan(filter, timeout)      → Promise<[{ id, name, rssi }]>   (optional)
+//   stopScan()                 End a scan started with timeout 0  (optional)
+//
+// Properties:
+//   isConnected                boolean
+//   linkStats                  DumlStreamParser counters (optional)
+//
+// Events:
+//   'message'      (msg)             Parsed DUML message (see parseMessage)
+//   'connected'    ({ id, name })
+//   'disconnected' ()
+//   'found'        ({ id, name, rssi })
+//   'discovered'   ({ id, name, rssi })   During scan()
+//   'updated'      ({ id, name, rssi })   Known device seen again during scan()
+//   'frameError'   ({ type, bytes, data })  Rejected bytes (see parseStream)
+//   'error'        (err)
+
+export const TRANSPORT_METHODS = ['connect', 'write', 'writeFff4', 'disconnect'];
+
+// ─── Check that an object implements the transport interface ────────────────
+export function assertTransport(transport) {
+  if (!transport || typeof transport.on !== 'function' || typeof transport.emit !== 'function') {
+    throw new TypeError('Transport must be an EventEmitter');
+  }
+  for (const name of TRANSPORT_METHODS) {
+    if (typeof transport[name] !== 'function') {
+      throw new TypeError(`Transport is missing ${name}()`);
+    }
+  }
+  return transport;
+}
@@ -0,0 +1,148 @@
+// ============================================================================
+// ReplayTransport — Feeds a recorded JSONL capture back into OsmoConnection
+// Implements the transport interface. Recorded notifications are re-emitted
+// at their original pace (scaled by `speed`) and reassembled through
+// DumlStreamParser exactly as BleTransport would.
+// ============================================================================
+
+import { EventEmitter } from 'events';
+import { DumlStreamParser } from '../protocol/duml.mjs';
+import { readCapture } from './capture.mjs';
+
+export class ReplayTransport extends EventEmitter {
+  // options:
+  //   capture       Path to a JSONL capture, or an array of parsed entries
+  //   speed         Playback rate: 1 = real time, 10 = 10× faster,
+  //                 0 = as fast as possible (default 1)
+  //   waitForWrites Pause at each recorded app write until the app under test
+  //                 has written too, so replies never arrive before their
+  //                 requests (default true)
+  //   id, name      Identity reported on connect
+  constructor(options = {}) {
+    super();
+    if (!options.capture) throw new Error('ReplayTransport requires a capture');
+    this._options = {
+      speed: 1,
+      waitForWrites: true,
+      id: 'replay',
+      name: 'Osmo (replay)',
+      ...options,
+    };
+    this._entries = null;
+    this._index = 0;
+    this._writes = 0;
+    this._txReplayed = 0;
+    this._timer = null;
+    this._waiting = false;
+    this._parser = new DumlStreamParser();
+    this._parser.on('frameError', (err) => this.emit('frameError', err));
+    this._connected = false;
+  }
+
+  get isConnected() {
+    return this._connected;
+  }
+
+  // Frame counters, same shape as BleTransport.linkStats
+  get linkStats() {
+    return this._parser.stats;
+  }
+
+  // Progress through the capture
+  get position() {
+    return { index: this._index, total: this._entries ? this._entries.length : 0 };
+  }
+
+  // ─── Scan ──────────────────────────────────────────────────────────────────
+  async scan() {
+    const { id, name } = this._options;
+    this.emit('discovered', { id, name, rssi: null });
+    return [{ id, name, rssi: null }];
+  }
+
+  // ─── Connect: load the capture and start playback ─────────────────────────
+  async connect() {
+    const { capture, id, name } = this._options;
+    this._entries = typeof capture === 'string' ? readCapture(capture) : capture;
+    this._index = 0;
+    this._writes = 0;
+    this._txReplayed = 0;
+    this._parser.reset();
+    this._connected = true;
+
+    this.emit('found', { id, name, rssi: null });
+    this.emit('connected', { id, name });
+    this._schedule(0);
+  }
+
+  // ─── Writes from the app are counted, not sent anywhere ───────────────────
+  async write(data) {
+    if (!this._connected) throw new Error('Not connected');
+    this._onWrite('fff5', data);
+  }
+
+  async writeFff4(data) {
+    if (!this._connected) throw new Error('Not connected');
+    this._onWrite('fff4', data);
+  }
+
+  // ─── Disconnect: stop playback ────────────────────────────────────────────
+  async disconnect() {
+    if (!this._connected) return;
+    clearTimeout(this._timer);
+    this._timer = null;
+    this._connected = false;
+    this.emit('disconnected');
+  }
+
+  // ─── Playback ─────────────────────────────────────────────────────────────
+  _onWrite(char, data) {
+    this._writes++;
+    this.emit('write', { char, data });
+    if (this._waiting) {
+      this._waiting = false;
+      this._schedule(0);
+    }
+  }
+
+  _schedule(delay) {
+    this._timer = setTimeout(() => this._step(), delay);
+  }
+
+  _step() {
+    this._timer = null;
+    if (!this._connected) return;
+
+    const entries = this._entries;
+    while (this._index < entries.length) {
+      const entry = entries[this._index];
+
+      if (entry.dir === 'tx') {
+        if (this._options.waitForWrites && this._txReplayed >= this._writes) {
+          this._waiting = true;
+          return;
+        }
+        this._txReplayed++;
+      } else {
+        this._feed(entry.data);
+      }
+      this._index++;
+
+      const next = entries[this._index];
+      if (!next) break;
+      const gap = this._options.speed > 0 ? (next.ts - entry.ts) / this._options.speed : 0;
+      if (gap >= 1) {
+        this._schedule(gap);
+        return;
+      }
+    }
+
+    this.emit('end');
+  }
+
+  _feed(data) {
+    for (const msg of this._parser.push(data)) {
+      this.emit('message', msg);
+    }
+  }
+}
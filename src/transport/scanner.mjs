@@ -0,0 +1,117 @@
+// ============================================================================
+// BleScanner — One shared noble scan for every BleTransport in the process
+// ============================================================================
+//
+// noble is a process-wide singleton: one adapter, one scan, one set of
+// 'discover'/'stateChange' listeners. Transports that start and stop that scan
+// themselves cut each other off — connecting camera A stopped the scan camera
+// B was still waiting on. The scanner keeps a list of interested parties and
+// scans (with duplicates, for fresh RSSI) while at least one is left.
+//
+// Events:
+//   'adapterState' (state)        noble adapter state changes
+//   'discover'     (peripheral)   Every advertisement while scanning
+//   'error'        (err)          Scan failed to start (only if listened to)
+
+import { EventEmitter } from 'events';
+import noble from '@stoprocent/noble';
+
+export class BleScanner extends EventEmitter {
+  // adapter: the noble instance (default: the @stoprocent/noble singleton)
+  constructor(adapter = noble) {
+    super();
+    this._noble = adapter;
+    this._listeners = new Set();
+    this._scanning = false;
+    this._attached = false;
+  }
+
+  get adapterState() {
+    return this._noble.state;
+  }
+
+  get isScanning() {
+    return this._scanning;
+  }
+
+  // ─── Receive advertisements until the returned release() is called ────────
+  // onDiscover: (peripheral) => void
+  acquire(onDiscover) {
+    this._attach();
+    this._listeners.add(onDiscover);
+    this._update();
+
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      this._listeners.delete(onDiscover);
+      this._update();
+    };
+  }
+
+  // ─── Wait for one device to advertise ─────────────────────────────────────
+  // Resolves with its noble peripheral. Rejects after `timeout` ms, or with
+  // the abort reason when `signal` fires.
+  waitFor(deviceId, timeout, signal) {
+    signal?.throwIfAborted();
+    return new Promise((resolve, reject) => {
+      const finish = (settle, value) => {
+        clearTimeout(timer);
+        release();
+        signal?.removeEventListener('abort', onAbort);
+        settle(value);
+      };
+      const onAbort = () => finish(reject, signal.reason);
+
+      const timer = setTimeout(() => {
+        finish(reject, new Error(`Device ${deviceId} not found within ${timeout / 1000}s`));
+      }, timeout);
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      const release = this.acquire((p) => {
+        if (p.id === deviceId) finish(resolve, p);
+      });
+    });
+  }
+
+  // ─── noble wiring ─────────────────────────────────────────────────────────
+  // Attached once on first use so importing the module touches no adapter
+  _attach() {
+    if (this._attached) return;
+    this._attached = true;
+
+    this._noble.on('discover', (p) => {
+      this.emit('discover', p);
+      for (const listener of [...this._listeners]) listener(p);
+    });
+    this._noble.on('stateChange', (state) => {
+      this.emit('adapterState', state);
+      if (state !== 'poweredOn') this._scanning = false;
+      this._update();
+    });
+  }
+
+  // Start scanning while anyone is listening, stop once nobody is
+  _update() {
+    const wanted = this._listeners.size > 0;
+    if (wanted && !this._scanning && this._noble.state === 'poweredOn') {
+      this._scanning = true;
+      this._noble.startScanningAsync([], true).catch((err) => {
+        this._scanning = false;
+        if (this.listenerCount('error') > 0) this.emit('error', err);
+      });
+    } else if (!wanted && this._scanning) {
+      this._scanning = false;
+      this._noble.stopScanning();
+    }
+  }
+}
+
+// ─── Process-wide default, used by every BleTransport without a scanner ─────
+let shared = null;
+
+export function sharedScanner() {
+  shared ??= new BleScanner();
+  return shared;
+}
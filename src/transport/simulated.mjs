@@ -0,0 +1,481 @@
+// ============================================================================
+// SimulatedOsmo — In-memory Osmo Pocket 3 implementing the transport interface
+// Emulates the device side of the link so OsmoConnection, the controllers and
+// the CLI can run without a camera or a Bluetooth adapter. Replies mirror the
+// payloads seen in the verified run and the reference captures.
+// ============================================================================
+
+import { EventEmitter } from 'events';
+import { DumlCodec, DumlStreamParser, parseStream, unpackString } from '../protocol/duml.mjs';
+import {
+  ADDR, FLAG, CMD_SET, GIMBAL_CMD, GIMBAL_SUSPEND, CAMERA_CMD, BATTERY_CMD, WIFI_CMD, GENERAL_CMD, STREAM_CMD,
+} from '../protocol/constants.mjs';
+
+// Device → App targets (sender | receiver << 8)
+const FROM_GIMBAL = ADDR.GIMBAL | (ADDR.APP << 8);
+const FROM_CAMERA = ADDR.CAMERA | (ADDR.APP << 8);
+const FROM_WIFI = ADDR.WIFI | (ADDR.APP << 8);
+const FROM_DM36X = ADDR.DM36X | (ADDR.APP << 8);
+const FROM_CENTER_BOARD = ADDR.CENTER_BOARD | (ADDR.APP << 8);
+
+// Value of the 1-byte 0x04/0x1C push; the real Pocket 3 value isn't captured
+const GIMBAL_TYPE = 0x01;
+
+// Made-up identity for the version queries, which have no captured replies
+const SERIAL = '3SPHSIM0000001';
+const FIRMWARE = '01.02.03.00';
+
+// Captured replies (reference/xaionaro-message-types.md, PROTOCOL.md)
+const PREPARE_STAGE2_RESULT = Buffer.from('0000011c0009030900000000000020', 'hex');
+const BATTERY_STATUS = Buffer.from(
+  '00' + '8610' + '0000' + 'ce01' + '00'.repeat(10) + '36' + '0100' + '58' + '0000000000002004000000' + '0101',
+  'hex'
+);
+const CAMERA_STATUS = Buffer.from(
+  '010480000100000000000000000000000000000000000000000000000000000002460000010000000000000000000000000000000000000000010000',
+  'hex'
+);
+const DEVICE_INFO = Buffer.from('6867323132' + '00'.repeat(27) + '0208000000000000'.repeat(2) + '00'.repeat(16), 'hex');
+const CAMERA_VARIANT = Buffer.from('00120100000200000000000000000000000000000000', 'hex');
+const WIFI_SCAN_RESULTS = Buffer.from(
+  '0111000018010100010064736c6d6f64656d2e64782e63656e7465721d0101000000736c6f772e64736c6d6f64656d2e64782e63656e7465720f0101010000564d383136343933300f0101010000564d3737303438313411010102000065697232333031323934321101010201',
+  'hex'
+);
+
+export class SimulatedOsmo extends EventEmitter {
+  // options:
+  //   id, name         Advertised identity
+  //   rssi             Reported signal strength (default -50)
+  //   paired           Already paired with this app (default false)
+  //   approve          Approve pairing on the "screen" (default true)
+  //   approveDelay     ms before the approval arrives (default 500)
+  //   latency          ms before each reply (default 20)
+  //   telemetry        Push gimbal/keepalive/status/battery (default true)
+  //   battery          Battery percentage (default 88)
+  //   charging         Charger connected (default false)
+  //   wifi             { ssid: password } the device can join; omitted = any
+  //   gimbal           'ignore' (like the real Pocket 3 over BLE), 'ack', or
+  //                    'move' (ACK and apply speed/angle commands)
+  constructor(options = {}) {
+    super();
+    this._options = {
+      id: 'sim-osmo-pocket3',
+      name: 'Osmo Pocket 3 (simulated)',
+      rssi: -50,
+      paired: false,
+      approve: true,
+      approveDelay: 500,
+      latency: 20,
+      telemetry: true,
+      battery: 88,
+      charging: false,
+      wifi: null,
+      gimbal: 'ignore',
+      ...options,
+    };
+    this._codec = new DumlCodec({ seqStart: 0x4000 });
+    this._connected = false;
+    this._paired = this._options.paired;
+    this._txBuffer = Buffer.alloc(0); // app → device
+    this._rxParser = new DumlStreamParser(); // device → app
+    this._rxParser.on('frameError', (err) => this.emit('frameError', err));
+    this._timers = [];
+    this._downUntil = 0;
+    this._stalledUntil = 0;
+
+    // Gimbal state in 0.1° units; yaw -1000 = forward
+    this._gimbal = { pitch: 0, roll: 0, yaw: -1000, mode: 1 };
+    this._velocity = { pitch: 0, roll: 0, yaw: 0 };
+    this._target = null;
+    this._suspended = false; // motors suspended through 0x0D
+    this._limits = 0;      // push-position limit bits, set while clamped
+    this._clickBits = 0;   // push-position click bits, set by click()
+    this._clickPushes = 0; // pushes left before the click bits clear
+
+    // Camera: recording start time (null = idle), pushes left showing a photo
+    this._recordingSince = null;
+    this._photoPushes = 0;
+  }
+
+  get isConnected() {
+    return this._connected;
+  }
+
+  get isPaired() {
+    return this._paired;
+  }
+
+  // Frame counters, same shape as BleTransport.linkStats
+  get linkStats() {
+    return this._rxParser.stats;
+  }
+
+  // Gimbal attitude in degrees, as the simulated device sees it
+  get gimbal() {
+    return {
+      pitch: this._gimbal.pitch / 10,
+      roll: this._gimbal.roll / 10,
+      yaw: this._gimbal.yaw / 10,
+    };
+  }
+
+  // ─── Scan ──────────────────────────────────────────────────────────────────
+  async scan(filter, timeout) {
+    const { id, name, rssi } = this._options;
+    const device = { id, name, rssi };
+    if (filter && !filter(name, device)) return [];
+    this.emit('discovered', device);
+    return [device];
+  }
+
+  // ─── Connect ───────────────────────────────────────────────────────────────
+  async connect(deviceId, timeout) {
+    const { id, name, rssi } = this._options;
+    if ((deviceId && deviceId !== id) || Date.now() < this._downUntil) {
+      throw new Error(`Device ${deviceId ?? id} not found within ${(timeout || 0) / 1000}s`);
+    }
+    this.emit('found', { id, name, rssi });
+
+    this._connected = true;
+    this._txBuffer = Buffer.alloc(0);
+    this._rxParser.reset();
+    if (this._options.telemetry) this._startTelemetry();
+
+    this.emit('connected', { id, name });
+  }
+
+  // ─── Disconnect ────────────────────────────────────────────────────────────
+  async disconnect() {
+    if (!this._connected) return;
+    this._stalledUntil = 0;
+    this._stopTimers();
+    this._connected = false;
+    this.emit('disconnected');
+  }
+
+  // ─── Simulate link loss ────────────────────────────────────────────────────
+  // Drops the link as a BLE glitch would: 'disconnected' without the app
+  // asking, and connect() fails for `downtime` ms. Pairing is remembered.
+  drop(downtime = 0) {
+    if (!this._connected) return;
+    this._downUntil = Date.now() + downtime;
+    this.disconnect();
+  }
+
+  // ─── Simulate a half-dead link ────────────────────────────────────────────
+  // Nothing reaches the app for `duration` ms (default: until disconnect),
+  // yet the link still counts as connected — a BLE link that stopped
+  // delivering before the stack noticed
+  stall(duration = Infinity) {
+    this._stalledUntil = Date.now() + duration;
+  }
+
+  // ─── Simulate a press of the camera's button ──────────────────────────────
+  // type: 'single' | 'double' | 'triple' — the click bit stays set for a few
+  // telemetry pushes, like on the device
+  click(type = 'single') {
+    const bit = { double: 0x20, triple: 0x40, single: 0x80 }[type];
+    if (!bit) throw new Error(`Unknown click type: ${type}`);
+    this._clickBits = bit;
+    this._clickPushes = 3;
+  }
+
+  // ─── Simulate battery drain / charging ────────────────────────────────────
+  // Shows up in the next ~1Hz battery push
+  setBattery(percent, charging = this._options.charging) {
+    this._options.battery = percent;
+    this._options.charging = charging;
+  }
+
+  // ─── App → fff5: DUML commands ─────────────────────────────────────────────
+  async write(data) {
+    if (!this._connected) throw new Error('Not connected');
+    this._txBuffer = Buffer.concat([this._txBuffer, data]);
+    const { messages, remaining } = parseStream(this._txBuffer);
+    this._txBuffer = remaining;
+    for (const msg of messages) this._handleCommand(msg);
+  }
+
+  // ─── App → fff4: pairing trigger (accepted, nothing to emulate) ────────────
+  async writeFff4(data) {
+    if (!this._connected) throw new Error('Not connected');
+  }
+
+  // ─── Device-side command handling ─────────────────────────────────────────
+  _handleCommand(msg) {
+    // ACKs from the app to our own requests need no reply
+    if (msg.flags & 0x80) return;
+
+    const { cmdSet, cmdId } = msg;
+
+    if (cmdSet === CMD_SET.WIFI && cmdId === WIFI_CMD.SET_PAIRING_PIN) {
+      this._reply(msg, FROM_WIFI, Buffer.from([0x00, this._paired ? 0x01 : 0x02]));
+      if (!this._paired && this._options.approve) {
+        this._later(this._options.approveDelay, () => {
+          this._paired = true;
+          this._push(FROM_WIFI, FLAG.REQUEST, CMD_SET.WIFI, WIFI_CMD.PAIRING_APPROVED, Buffer.from([0x01]));
+        });
+      }
+      return;
+    }
+
+    if (cmdSet === CMD_SET.WIFI && cmdId === WIFI_CMD.WIFI_CONNECT) {
+      this._reply(msg, FROM_WIFI, this._wifiResult(msg.payload));
+      return;
+    }
+
+    if (cmdSet === CMD_SET.WIFI && cmdId === WIFI_CMD.SCAN) {
+      this._reply(msg, FROM_WIFI, Buffer.from([0x00]));
+      this._later(300, () => {
+        this._push(FROM_WIFI, FLAG.REQUEST, CMD_SET.WIFI, WIFI_CMD.SCAN_RESULTS, WIFI_SCAN_RESULTS);
+      });
+      return;
+    }
+
+    if (cmdSet === CMD_SET.GENERAL && cmdId === GENERAL_CMD.VERSION_INQUIRY) {
+      const version = this._versionInquiry(msg.receiver);
+      if (version) this._reply(msg, msg.receiver | (ADDR.APP << 8), version);
+      return;
+    }
+
+    if (cmdSet === CMD_SET.GENERAL && cmdId === GENERAL_CMD.DEVICE_INFO) {
+      this._reply(msg, FROM_DM36X, Buffer.concat([Buffer.from([0x00]), DEVICE_INFO]));
+      return;
+    }
+
+    if (cmdSet === CMD_SET.GENERAL && cmdId === GENERAL_CMD.DEVICE_VERSION) {
+      this._reply(msg, FROM_DM36X, Buffer.from(`\0${SERIAL}\0${FIRMWARE}\0`, 'latin1'));
+      return;
+    }
+
+    if (cmdSet === CMD_SET.STREAM && cmdId === CAMERA_CMD.RECORD) {
+      const start = msg.payload[0] === 0x01;
+      if (start !== (this._recordingSince !== null)) this._recordingSince = start ? Date.now() : null;
+      this._reply(msg, FROM_CAMERA, Buffer.from([0x00]));
+      return;
+    }
+
+    if (cmdSet === CMD_SET.STREAM && cmdId === CAMERA_CMD.TAKE_PHOTO) {
+      // Busy while recording, like most DJI cameras
+      const busy = this._recordingSince !== null;
+      if (!busy) this._photoPushes = 5;
+      this._reply(msg, FROM_CAMERA, Buffer.from([busy ? 0x01 : 0x00]));
+      return;
+    }
+
+    if (cmdSet === CMD_SET.STREAM && cmdId === STREAM_CMD.PREPARE) {
+      this._reply(msg, FROM_DM36X, Buffer.from([0x00]));
+      return;
+    }
+
+    if (cmdSet === CMD_SET.STREAM && cmdId === STREAM_CMD.START_STOP) {
+      const isPrepare = msg.payload[0] === 0x00;
+      this._reply(msg, FROM_DM36X, isPrepare ? PREPARE_STAGE2_RESULT : Buffer.from([0x00]));
+      return;
+    }
+
+    // ConfigureLiveStream: no response in the verified run
+    if (cmdSet === CMD_SET.DM36X && cmdId === STREAM_CMD.CONFIGURE) return;
+
+    if (cmdSet === CMD_SET.GIMBAL) {
+      this._handleGimbal(msg);
+    }
+  }
+
+  _handleGimbal(msg) {
+    const behaviour = this._options.gimbal;
+    if (behaviour === 'ignore') return;
+    this._reply(msg, FROM_GIMBAL, this._gimbalReply(msg));
+    if (behaviour !== 'move') return;
+
+    const p = msg.payload;
+    switch (msg.cmdId) {
+      case GIMBAL_CMD.SUSPEND_RESUME:
+        if (p.length < 2) return;
+        this._suspended = p.readUInt16LE(0) === GIMBAL_SUSPEND.SUSPEND;
+        if (this._suspended) {
+          this._velocity = { pitch: 0, roll: 0, yaw: 0 };
+          this._target = null;
+        }
+        break;
+      case GIMBAL_CMD.SPEED_CTRL:
+        if (p.length < 6 || this._suspended) return;
+        this._target = null;
+        this._velocity = { pitch: p.readInt16LE(0), roll: p.readInt16LE(2), yaw: p.readInt16LE(4) };
+        break;
+      case GIMBAL_CMD.ANGLE_SET:
+      case GIMBAL_CMD.ABS_ANGLE:
+        if (p.length < 6 || this._suspended) return;
+        this._velocity = { pitch: 0, roll: 0, yaw: 0 };
+        this._target = { pitch: p.readInt16LE(0), roll: p.readInt16LE(2), yaw: p.readInt16LE(4) };
+        break;
+      case GIMBAL_CMD.SET_MODE:
+        this._gimbal.mode = p[0];
+        break;
+    }
+  }
+
+  // Result byte, plus the data the queries ask for (layouts as assumed in
+  // messages.mjs)
+  _gimbalReply(msg) {
+    const g = this._gimbal;
+    switch (msg.cmdId) {
+      case GIMBAL_CMD.GET_POSITION: {
+        const payload = Buffer.alloc(7);
+        payload.writeInt16LE(Math.round(g.pitch), 1);
+        payload.writeInt16LE(Math.round(g.roll), 3);
+        payload.writeInt16LE(Math.round(g.yaw), 5);
+        return payload;
+      }
+      case GIMBAL_CMD.TYPE_GET:
+        return Buffer.from([0x00, GIMBAL_TYPE]);
+      case GIMBAL_CMD.EXT_CTRL_STATUS:
+        return Buffer.from([0x00, this._suspended ? 0x01 : 0x00]);
+      default:
+        return Buffer.from([0x00]);
+    }
+  }
+
+  _wifiResult(payload) {
+    const ssid = unpackString(payload, 0);
+    const password = unpackString(payload, ssid.bytesRead).value;
+    const known = this._options.wifi;
+    if (!known) return Buffer.from([0x00, 0x00]);
+    if (!(ssid.value in known)) return Buffer.from([0x01, 0x00]);
+    return known[ssid.value] === password ? Buffer.from([0x00, 0x00]) : Buffer.from([0x02, 0x00]);
+  }
+
+  // ─── Telemetry pushes ─────────────────────────────────────────────────────
+  _startTelemetry() {
+    this._every(50, () => this._pushGimbal());
+    this._every(100, () => {
+      this._push(FROM_GIMBAL, FLAG.NOTIFY, CMD_SET.GIMBAL, GIMBAL_CMD.KEEPALIVE, Buffer.alloc(5));
+    });
+    this._every(100, () => {
+      this._push(FROM_CAMERA, FLAG.NOTIFY, CMD_SET.STREAM, CAMERA_CMD.STATUS, this._cameraStatus());
+    });
+    this._every(500, () => {
+      this._push(FROM_GIMBAL, FLAG.NOTIFY, CMD_SET.GIMBAL, GIMBAL_CMD.TYPE_GET, Buffer.from([GIMBAL_TYPE]));
+      this._push(FROM_CAMERA, FLAG.NOTIFY, CMD_SET.STREAM, CAMERA_CMD.VARIANT, CAMERA_VARIANT);
+    });
+    this._every(1000, () => {
+      this._push(FROM_GIMBAL, FLAG.NOTIFY, CMD_SET.GENERAL, GENERAL_CMD.STATUS, Buffer.alloc(8));
+      this._push(FROM_DM36X, FLAG.REQUEST, CMD_SET.GENERAL, GENERAL_CMD.DEVICE_INFO, DEVICE_INFO);
+      this._push(FROM_CENTER_BOARD, FLAG.NOTIFY, CMD_SET.BATTERY, BATTERY_CMD.STATUS, this._batteryPayload());
+    });
+  }
+
+  // 12-byte push-position layout from PROTOCOL.md (0.1° units)
+  _pushGimbal() {
+    this._stepGimbal(0.05);
+    const g = this._gimbal;
+    const payload = Buffer.alloc(12);
+    payload.writeInt16LE(Math.round(g.pitch), 0);
+    payload.writeInt16LE(Math.round(g.roll), 2);
+    payload.writeInt16LE(Math.round(g.yaw), 4);
+    payload[6] = (g.mode & 0x03) << 6;
+    payload[10] = this._limits;
+    payload[11] = this._clickBits;
+    if (this._clickPushes > 0 && --this._clickPushes === 0) this._clickBits = 0;
+    this._push(FROM_GIMBAL, FLAG.NOTIFY, CMD_SET.GIMBAL, GIMBAL_CMD.PARAMS_GET, payload);
+  }
+
+  _stepGimbal(dt) {
+    const g = this._gimbal;
+    // Positions stay fractional so slow speeds still move between pushes
+    const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+    if (this._target) {
+      const maxStep = 900 * dt; // 90°/s
+      for (const axis of ['pitch', 'roll', 'yaw']) {
+        const delta = this._target[axis] - g[axis];
+        g[axis] += Math.sign(delta) * Math.min(Math.abs(delta), maxStep);
+      }
+    } else {
+      for (const axis of ['pitch', 'roll', 'yaw']) g[axis] += this._velocity[axis] * dt;
+    }
+    // Limit bits: pitch, roll and yaw ranges from PROTOCOL.md
+    const ranges = { pitch: [-900, 470], roll: [-410, 410], yaw: [-1460, -540] };
+    this._limits = 0;
+    Object.entries(ranges).forEach(([axis, [lo, hi]], bit) => {
+      g[axis] = clamp(g[axis], lo, hi);
+      if (g[axis] === lo || g[axis] === hi) this._limits |= 1 << bit;
+    });
+  }
+
+  // Captured 0x0280 payload with the record/photo bits and record time set
+  // (A_status in messages.mjs)
+  _cameraStatus() {
+    const payload = Buffer.from(CAMERA_STATUS);
+    let word = payload.readUInt16LE(0);
+    if (this._recordingSince !== null) word |= 1 << 6;
+    if (this._photoPushes > 0) {
+      word |= 1 << 3;
+      this._photoPushes--;
+    }
+    payload.writeUInt16LE(word, 0);
+    const seconds = this._recordingSince === null ? 0 : Math.floor((Date.now() - this._recordingSince) / 1000);
+    payload.writeUInt16LE(seconds, 28);
+    return payload;
+  }
+
+  // version_inquiry_result for the modules a Pocket 3 has, null otherwise
+  _versionInquiry(module) {
+    if (![ADDR.CAMERA, ADDR.GIMBAL, ADDR.WIFI, ADDR.DM36X].includes(module)) return null;
+    const payload = Buffer.alloc(26);
+    payload.write('HG212', 2, 'latin1');
+    payload.writeUInt32LE(0x01000000, 18);
+    payload.writeUInt32LE(parseInt(FIRMWARE.replace(/\./g, ''), 16), 22);
+    return payload;
+  }
+
+  // Layout of the captured 0x0D02 payload: byte 20 is the charge percentage,
+  // current (5) and the charging flag (32) follow the charger
+  _batteryPayload() {
+    const { battery, charging } = this._options;
+    const payload = Buffer.from(BATTERY_STATUS);
+    payload[20] = battery;
+    payload.writeInt16LE(charging ? 462 : 0, 5);
+    payload[32] = charging ? 0x01 : 0x00;
+    return payload;
+  }
+
+  // ─── Frame helpers ────────────────────────────────────────────────────────
+  _reply(request, target, payload) {
+    this._later(this._options.latency, () => {
+      this._notify(this._codec.encode({
+        target, flags: FLAG.RESPONSE, cmdSet: request.cmdSet, cmdId: request.cmdId,
+        payload, msgId: request.msgId,
+      }));
+    });
+  }
+
+  _push(target, flags, cmdSet, cmdId, payload) {
+    this._notify(this._codec.encode({ target, flags, cmdSet, cmdId, payload }));
+  }
+
+  // Device → fff4 notification, reassembled exactly like BleTransport does
+  _notify(frame) {
+    if (!this._connected || Date.now() < this._stalledUntil) return;
+    for (const msg of this._rxParser.push(frame)) this.emit('message', msg);
+  }
+
+  _later(ms, fn) {
+    const timer = setTimeout(() => {
+      this._timers.splice(this._timers.indexOf(timer), 1);
+      fn();
+    }, ms);
+    this._timers.push(timer);
+  }
+
+  _every(ms, fn) {
+    this._timers.push(setInterval(fn, ms));
+  }
+
+  _stopTimers() {
+    for (const timer of this._timers) {
+      clearTimeout(timer);
+      clearInterval(timer);
+    }
+    this._timers = [];
+  }
+}
@@ -0,0 +1,90 @@
+// ============================================================================
+// CameraController — status push decoding and record/photo commands
+// ============================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import { CameraController } from '../src/controllers/camera.mjs';
+import { OsmoConnection } from '../src/connection.mjs';
+import { SimulatedOsmo } from '../src/transport/simulated.mjs';
+
+// 0x02/0x80 push from the Pocket 3 captures (streaming, so video mode)
+const CAPTURED = Buffer.from(
+  '010480000100000000000000000000000000000000000000000000000000000002460000010000000000000000000000000000000000000000010000',
+  'hex'
+);
+
+const statusPush = (payload) => ({ flags: 0x00, cmdSet: 0x02, cmdId: 0x80, payload });
+
+// Captured payload with the record bit, card bits and record time set
+function recording(seconds) {
+  const payload = Buffer.from(CAPTURED);
+  payload.writeUInt16LE(payload.readUInt16LE(0) | (1 << 6) | (1 << 9), 0);
+  payload.writeUInt32LE(59000, 5);
+  payload.writeUInt32LE(41000, 9);
+  payload.writeUInt16LE(seconds, 28);
+  return payload;
+}
+
+test('the captured status push decodes into state', () => {
+  const camera = new CameraController();
+  assert.equal(camera.state.mode, null);
+  assert.equal(camera.handleMessage(statusPush(CAPTURED)), true);
+  assert.deepEqual(camera.state, {
+    mode: 'video', recordState: 'idle', recordTime: 0, photoState: 0,
+    sdInserted: false, sdState: 1, sdTotal: 0, sdFree: 0, remainingShots: 0, remainingTime: 0,
+    storing: false, overheated: false, sensorError: false, recording: false,
+  });
+});
+
+test('record bit, card sizes and record time are picked up, repeats stay quiet', () => {
+  const camera = new CameraController();
+  const states = [];
+  camera.on('state', (state) => states.push(state));
+
+  camera.handleMessage(statusPush(recording(12)));
+  camera.handleMessage(statusPush(recording(12)));
+  assert.equal(states.length, 1);
+  assert.equal(camera.isRecording, true);
+  assert.deepEqual(
+    [states[0].recordState, states[0].recordTime, states[0].sdInserted, states[0].sdTotal, states[0].sdFree],
+    ['recording', 12, true, 59000, 41000],
+  );
+
+  camera.handleMessage(statusPush(recording(13)));
+  assert.equal(states.length, 2);
+  assert.equal(states[1].recordTime, 13);
+});
+
+test('other pushes are left alone, the 0xDC push is kept raw', () => {
+  const camera = new CameraController();
+  assert.equal(camera.handleMessage({ ...statusPush(CAPTURED), flags: 0xC0 }), false);
+  assert.equal(camera.handleMessage({ ...statusPush(CAPTURED), cmdSet: 0x04 }), false);
+  assert.equal(camera.handleMessage(statusPush(Buffer.alloc(2))), true);
+  assert.equal(camera.state.mode, null);
+
+  const variant = Buffer.from('0012010000020000', 'hex');
+  assert.equal(camera.handleMessage({ ...statusPush(variant), cmdId: 0xDC }), true);
+  assert.deepEqual(camera.variant, variant);
+});
+
+// Resolves once a status push reports `recording`
+async function recordingIs(conn, recording) {
+  const signal = AbortSignal.timeout(2000);
+  while (conn.camera.isRecording !== recording) await once(conn, 'cameraState', { signal });
+}
+
+test('recording on a simulated camera shows in its status, a photo meanwhile is refused', async (t) => {
+  const sim = new SimulatedOsmo({ paired: true, latency: 5 });
+  const conn = new OsmoConnection({ transport: sim, store: false });
+  t.after(() => conn.disconnect());
+  await conn.connect();
+
+  await conn.camera.startRecording();
+  await recordingIs(conn, true);
+
+  await assert.rejects(conn.camera.takePhoto(), { code: 'EREJECTED', result: 0x01 });
+  await conn.camera.stopRecording();
+  await recordingIs(conn, false);
+});
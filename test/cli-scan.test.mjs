@@ -0,0 +1,27 @@
+// ============================================================================
+// dji-osmo scan — argument parsing
+// ============================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseScanArgs } from '../src/cli/cmd-scan.mjs';
+import { DEFAULTS } from '../src/protocol/constants.mjs';
+
+test('a number right after scan is the timeout', () => {
+  assert.equal(parseScanArgs(['30']).timeout, 30000);
+  assert.equal(parseScanArgs(['2.5', '--json']).timeout, 2500);
+  assert.equal(parseScanArgs(['30', '--timeout', '5']).timeout, 5000);
+});
+
+test('a numeric flag value is not taken as the timeout', () => {
+  const { timeout, name } = parseScanArgs(['--name', '3']);
+  assert.equal(timeout, DEFAULTS.SCAN_TIMEOUT);
+  assert.equal(name, '3');
+  assert.equal(parseScanArgs(['--json', '--name', '3']).timeout, DEFAULTS.SCAN_TIMEOUT);
+});
+
+test('--watch scans until Ctrl-C unless given a timeout', () => {
+  assert.deepEqual(parseScanArgs(['--watch']), { timeout: 0, name: null, json: false, watch: true });
+  assert.equal(parseScanArgs(['10', '--watch']).timeout, 10000);
+  assert.throws(() => parseScanArgs(['--timeout', 'soon']), /Invalid timeout: soon/);
+});
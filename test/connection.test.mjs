@@ -0,0 +1,125 @@
+// ============================================================================
+// OsmoConnection against SimulatedOsmo — connect, pair and reconnect
+// ============================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import { OsmoConnection } from '../src/connection.mjs';
+import { SimulatedOsmo } from '../src/transport/simulated.mjs';
+
+const RECONNECT = { initialDelay: 50, maxDelay: 200, jitter: 0, maxAttempts: 10 };
+
+function connection(t, simOptions = {}, options = {}) {
+  const sim = new SimulatedOsmo({ approveDelay: 50, latency: 5, ...simOptions });
+  const conn = new OsmoConnection({ transport: sim, store: false, reconnect: RECONNECT, ...options });
+  t.after(() => conn.disconnect());
+  return { sim, conn };
+}
+
+// Resolves with the event's argument, rejects after `ms`
+function next(emitter, event, ms = 5000) {
+  return once(emitter, event, { signal: AbortSignal.timeout(ms) }).then(([arg]) => arg);
+}
+
+test('first connect asks for approval, then pairs', async (t) => {
+  const { sim, conn } = connection(t);
+  const states = [];
+  conn.on('stateChange', ({ state }) => states.push(state));
+  let prompted = false;
+  conn.on('pairingRequired', () => { prompted = true; });
+
+  assert.equal(await conn.connect(), 'paired');
+  assert.ok(prompted);
+  assert.ok(sim.isPaired);
+  assert.ok(conn.isPaired);
+  assert.deepEqual(states, ['connecting', 'waitingForDevice', 'checkingIfPaired', 'pairing', 'paired']);
+});
+
+test('an already paired device connects without a prompt', async (t) => {
+  const { conn } = connection(t, { paired: true });
+  let paired = null;
+  conn.on('pairingRequired', () => assert.fail('prompted'));
+  conn.on('paired', (info) => { paired = info; });
+
+  assert.equal(await conn.connect(), 'paired');
+  assert.deepEqual(paired, { alreadyPaired: true });
+});
+
+test('an unapproved pairing rejects with the final state', async (t) => {
+  const { sim, conn } = connection(t, { approve: false }, { approvalTimeout: 300 });
+  await assert.rejects(conn.connect(), (err) => {
+    assert.equal(err.code, 'ETIMEDOUT');
+    assert.equal(err.state, 'timedOut');
+    return true;
+  });
+  assert.equal(conn.isPaired, false);
+  assert.equal(sim.isConnected, false);
+});
+
+test('allowUnpaired resolves with the final state instead', async (t) => {
+  const { conn } = connection(t, { approve: false }, { approvalTimeout: 300, allowUnpaired: true });
+  assert.equal(await conn.connect(), 'timedOut');
+});
+
+test('aborting while pairing rejects and disconnects', async (t) => {
+  const { sim, conn } = connection(t, { approve: false });
+  const controller = new AbortController();
+  conn.on('pairingRequired', () => setTimeout(() => controller.abort(), 20));
+
+  await assert.rejects(conn.connect({ signal: controller.signal }), (err) => err.state === 'pairing');
+  assert.equal(sim.isConnected, false);
+});
+
+test('a dropped link reconnects and pairs again', async (t) => {
+  const { sim, conn } = connection(t, { paired: true });
+  await conn.connect();
+
+  const disconnected = next(conn, 'disconnected');
+  const reconnected = next(conn, 'reconnected');
+  sim.drop(150);
+  await disconnected;
+  assert.ok(conn.isReconnecting);
+
+  const { attempts } = await reconnected;
+  assert.ok(attempts >= 1);
+  assert.ok(conn.isPaired);
+  assert.equal(conn.isReconnecting, false);
+});
+
+test('disconnect() stops reconnecting, a later connect() re-arms it', async (t) => {
+  const { sim, conn } = connection(t, { paired: true });
+  await conn.connect();
+  await conn.disconnect();
+  assert.equal(conn.isReconnecting, false);
+
+  await conn.connect();
+  const reconnected = next(conn, 'reconnected');
+  sim.drop(0);
+  await reconnected;
+  assert.ok(conn.isPaired);
+});
+
+test('restoreStream restarts a stream the drop interrupted', async (t) => {
+  const { sim, conn } = connection(t, { paired: true }, { reconnect: { ...RECONNECT, restoreStream: true } });
+  await conn.connect();
+  await conn.stream.start({ ssid: 'Home', password: 'secret', rtmpUrl: 'rtmp://example.com/live/key' });
+
+  const interrupted = next(conn.stream, 'interrupted');
+  const reconnected = next(conn, 'reconnected');
+  sim.drop(50);
+  assert.equal((await interrupted).ssid, 'Home');
+
+  const { restored, failed } = await reconnected;
+  assert.deepEqual(restored, ['stream']);
+  assert.deepEqual(failed, []);
+  assert.equal(conn.stream.state, 'streaming');
+});
+
+test('without reconnect a dropped link stays down', async (t) => {
+  const { sim, conn } = connection(t, { paired: true }, { reconnect: false });
+  await conn.connect();
+  sim.drop();
+  assert.equal(conn.isReconnecting, false);
+  assert.equal(conn.state, 'idle');
+});
@@ -0,0 +1,85 @@
+// ============================================================================
+// CredentialStore — paired devices and the host identifier on disk
+// ============================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CredentialStore } from '../src/credentials.mjs';
+import { OsmoConnection } from '../src/connection.mjs';
+import { SimulatedOsmo } from '../src/transport/simulated.mjs';
+import { parseMessage } from '../src/protocol/duml.mjs';
+import { decode } from '../src/protocol/registry.mjs';
+import { CMD_SET, WIFI_CMD, DEFAULTS } from '../src/protocol/constants.mjs';
+
+function storePath(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'osmo-store-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'devices.json');
+}
+
+test('the host identifier is made once and can be read without creating it', async (t) => {
+  const file = storePath(t);
+  const store = new CredentialStore(file);
+  assert.equal(await store.hostIdentifier({ create: false }), null);
+  assert.equal(fs.existsSync(file), false);
+
+  const id = await store.hostIdentifier();
+  assert.match(id, /^\d{15}$/);
+  assert.equal(await store.hostIdentifier(), id);
+  assert.equal(await new CredentialStore(file).hostIdentifier({ create: false }), id);
+});
+
+test('remember() keeps stored fields it is not given', async (t) => {
+  const store = new CredentialStore(storePath(t));
+  await store.remember('aa:bb', { name: 'Desk', pin: '1234', model: 'hg212' });
+  const entry = await store.remember('aa:bb', { pin: '5678', model: undefined });
+  assert.equal(entry.name, 'Desk');
+  assert.equal(entry.pin, '5678');
+  assert.equal(entry.model, 'hg212');
+  assert.equal((await store.get('desk')).id, 'aa:bb');
+});
+
+test('two stores on one file in one process do not clash', async (t) => {
+  const file = storePath(t);
+  const a = new CredentialStore(file);
+  const b = new CredentialStore(file);
+  await Promise.all([
+    a.remember('one', { pin: '1' }),
+    b.remember('two', { pin: '2' }),
+    a.hostIdentifier(),
+    b.hostIdentifier(),
+  ]);
+  assert.deepEqual(fs.readdirSync(path.dirname(file)), ['devices.json']);
+  assert.doesNotThrow(() => JSON.parse(fs.readFileSync(file, 'utf8')));
+});
+
+// Connection to a paired SimulatedOsmo that keeps the set_pairing_pin fields it was sent
+function connection(t, options) {
+  const sim = new SimulatedOsmo({ paired: true, latency: 5 });
+  const sent = [];
+  const write = sim.write.bind(sim);
+  sim.write = async (buffer) => {
+    const msg = parseMessage(buffer);
+    if (msg.cmdSet === CMD_SET.WIFI && msg.cmdId === WIFI_CMD.SET_PAIRING_PIN) sent.push(decode(msg).fields);
+    return write(buffer);
+  };
+  const conn = new OsmoConnection({ transport: sim, ...options });
+  t.after(() => conn.disconnect());
+  return { conn, sent };
+}
+
+test('a corrupt store is reported, and connect() falls back to the options and defaults', async (t) => {
+  const file = storePath(t);
+  fs.writeFileSync(file, '{ not json');
+  const { conn, sent } = connection(t, { store: file, pin: 'abcd' });
+  const errors = [];
+  conn.on('storeError', (err) => errors.push(err));
+
+  assert.equal(await conn.connect(), 'paired');
+  assert.match(errors[0].message, /Invalid credential store/);
+  assert.deepEqual(sent, [{ identifier: DEFAULTS.IDENTIFIER, pin: 'abcd' }]);
+  assert.equal(fs.readFileSync(file, 'utf8'), '{ not json');
+});
@@ -0,0 +1,125 @@
+// ============================================================================
+// DeviceController — pushed model, version queries and the info reported on connect
+// ============================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DeviceController, compareVersions, formatVersion } from '../src/controllers/device.mjs';
+import { OsmoConnection } from '../src/connection.mjs';
+import { SimulatedOsmo } from '../src/transport/simulated.mjs';
+import { parseMessage } from '../src/protocol/duml.mjs';
+import { CMD_SET, GENERAL_CMD, FLAG, DEFAULTS } from '../src/protocol/constants.mjs';
+
+const MODEL = Buffer.concat([Buffer.from('hg212'), Buffer.alloc(43)]);
+const push = (payload) => ({ flags: FLAG.REQUEST, cmdSet: CMD_SET.GENERAL, cmdId: GENERAL_CMD.DEVICE_INFO, payload });
+
+// request() that records what was asked and never gets an answer
+function silent() {
+  const asked = [];
+  const request = async (target, cmdSet, cmdId, payload) => {
+    asked.push({ target, cmdId, payload });
+    throw Object.assign(new Error('Request timed out'), { code: 'ETIMEDOUT' });
+  };
+  return { asked, request };
+}
+
+test('a pushed device_info fills in the model without asking', () => {
+  const { asked, request } = silent();
+  const device = new DeviceController(request);
+  assert.equal(device.info, null);
+
+  assert.ok(device.handleMessage(push(MODEL)));
+  assert.equal(device.model, 'hg212');
+  assert.equal(device.info.modelName, 'Osmo Pocket 3');
+  assert.deepEqual(device.info.subsystems, {});
+  assert.equal(asked.length, 0);
+});
+
+test('getInfo() asks for device_info with an empty payload, only while no model was pushed', async () => {
+  const { asked, request } = silent();
+  const device = new DeviceController(request);
+
+  await device.getInfo({ timeout: 10 });
+  const info = asked.filter((a) => a.cmdId === GENERAL_CMD.DEVICE_INFO);
+  assert.equal(info.length, 1);
+  assert.equal(info[0].payload.length, 0);
+
+  asked.length = 0;
+  device.handleMessage(push(MODEL));
+  await device.getInfo({ refresh: true, timeout: 10 });
+  assert.equal(asked.filter((a) => a.cmdId === GENERAL_CMD.DEVICE_INFO).length, 0);
+  assert.equal(asked.filter((a) => a.cmdId === GENERAL_CMD.VERSION_INQUIRY).length, 4);
+});
+
+test('getInfo() is cached until refresh', async () => {
+  const { asked, request } = silent();
+  const device = new DeviceController(request);
+  await device.getInfo({ timeout: 10 });
+  const count = asked.length;
+  await device.getInfo();
+  assert.equal(asked.length, count);
+  await device.getInfo({ refresh: true, timeout: 10 });
+  assert.ok(asked.length > count);
+});
+
+// Connected to a paired SimulatedOsmo, with the GENERAL commands it asked for
+async function connected(t, options = {}) {
+  const sim = new SimulatedOsmo({ paired: true, latency: 5 });
+  const conn = new OsmoConnection({ transport: sim, store: false, ...options });
+  t.after(() => conn.disconnect());
+  const queries = [];
+  const request = conn.request.bind(conn);
+  conn.request = (target, cmdSet, cmdId, ...rest) => {
+    if (cmdSet === CMD_SET.GENERAL) queries.push(cmdId);
+    return request(target, cmdSet, cmdId, ...rest);
+  };
+  const event = new Promise((resolve) => conn.once('connected', resolve));
+  await conn.connect();
+  return { sim, conn, queries, event: await event };
+}
+
+test('connect() reports the device info and caches it on the connection', async (t) => {
+  const { conn, queries, event } = await connected(t);
+  const { device } = event;
+  assert.equal(device.model, 'hg212');
+  assert.equal(device.serial, '3SPHSIM0000001');
+  assert.deepEqual(Object.keys(device.subsystems), ['camera', 'gimbal', 'wifi', 'dm36x']);
+  assert.ok(queries.includes(GENERAL_CMD.VERSION_INQUIRY));
+  assert.deepEqual(conn.deviceInfo, device);
+
+  queries.length = 0;
+  assert.deepEqual(await conn.getDeviceInfo(), device);
+  assert.deepEqual(queries, []);
+});
+
+test('connect() waits for the device info queries only briefly', async (t) => {
+  const sim = new SimulatedOsmo({ paired: true, latency: 5 });
+  const conn = new OsmoConnection({ transport: sim, store: false });
+  t.after(() => conn.disconnect());
+  // A camera that pairs but never answers a GENERAL query
+  const write = sim.write.bind(sim);
+  sim.write = async (buffer) => {
+    if (parseMessage(buffer).cmdSet !== CMD_SET.GENERAL) return write(buffer);
+  };
+
+  const started = Date.now();
+  await conn.connect();
+  assert.ok(Date.now() - started < DEFAULTS.DEVICE_INFO_TIMEOUT + 1500);
+  assert.deepEqual(conn.deviceInfo.subsystems, {});
+});
+
+test('deviceInfo: false connects without asking', async (t) => {
+  const { conn, queries, event } = await connected(t, { deviceInfo: false });
+  assert.deepEqual(queries, []);
+  assert.equal(event.device, null);
+
+  const info = await conn.getDeviceInfo();
+  assert.equal(info.serial, '3SPHSIM0000001');
+  assert.ok(queries.includes(GENERAL_CMD.VERSION_INQUIRY));
+});
+
+test('version helpers', () => {
+  assert.equal(formatVersion(0x01020304), '01.02.03.04');
+  assert.ok(compareVersions('01.02.03.00', '01.10.00.00') < 0);
+  assert.equal(compareVersions('1.2', '01.02.00.00'), 0);
+});
@@ -0,0 +1,124 @@
+// ============================================================================
+// DUML framing — DumlCodec sequence space, wrap-around and stream resync
+// ============================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DumlCodec, DumlStreamParser, computeCrc8, computeCrc16, parseMessage, parseStream } from '../src/protocol/duml.mjs';
+
+const FRAME = { target: 0x0402, flags: 0x40, cmdSet: 0x04, cmdId: 0x0C, payload: Buffer.from([1, 2, 3]) };
+
+const msgIds = (codec, n) => Array.from({ length: n }, () => parseMessage(codec.encode(FRAME)).msgId);
+
+// ─── Encoding ───────────────────────────────────────────────────────────────
+test('encode round-trips through parseMessage with valid CRCs', () => {
+  const frame = new DumlCodec().encode(FRAME);
+  assert.equal(frame.length, 16);
+  assert.equal(frame[3], computeCrc8(frame.subarray(0, 3)));
+  assert.equal(frame.readUInt16LE(14), computeCrc16(frame.subarray(0, 14)));
+
+  const msg = parseMessage(frame);
+  assert.equal(frame[2] >> 2, 1);
+  assert.equal(msg.sender, 0x02);
+  assert.equal(msg.receiver, 0x04);
+  assert.equal(msg.msgId, 0x0100);
+  assert.deepEqual([msg.flags, msg.cmdSet, msg.cmdId], [0x40, 0x04, 0x0C]);
+  assert.deepEqual(msg.payload, FRAME.payload);
+});
+
+test('an explicit msgId does not advance the sequence', () => {
+  const codec = new DumlCodec();
+  assert.equal(parseMessage(codec.encode({ ...FRAME, msgId: 0x1234 })).msgId, 0x1234);
+  assert.equal(codec.sequence, 0x0100);
+});
+
+test('codecs keep separate sequence spaces', () => {
+  const a = new DumlCodec();
+  const b = new DumlCodec({ seqStart: 0x2000 });
+  assert.deepEqual(msgIds(a, 2), [0x0100, 0x0101]);
+  assert.deepEqual(msgIds(b, 1), [0x2000]);
+  assert.deepEqual(msgIds(a, 1), [0x0102]);
+});
+
+// ─── Wrap-around ────────────────────────────────────────────────────────────
+test("wrap 'restart' goes back to seqStart", () => {
+  const codec = new DumlCodec({ seqStart: 0x10, seqMax: 0x11 });
+  assert.deepEqual(msgIds(codec, 4), [0x10, 0x11, 0x10, 0x11]);
+});
+
+test("wrap 'zero' goes back to 0x0000", () => {
+  const codec = new DumlCodec({ seqStart: 0x10, seqMax: 0x11, wrap: 'zero' });
+  assert.deepEqual(msgIds(codec, 4), [0x10, 0x11, 0x00, 0x01]);
+});
+
+test("wrap 'error' throws once the space is used up", () => {
+  const codec = new DumlCodec({ seqStart: 0xFFFE, wrap: 'error' });
+  assert.deepEqual(msgIds(codec, 2), [0xFFFE, 0xFFFF]);
+  assert.throws(() => codec.encode(FRAME), RangeError);
+});
+
+test('rejects an unknown wrap policy and a version over 6 bits', () => {
+  assert.throws(() => new DumlCodec({ wrap: 'loop' }), /Unknown wrap policy/);
+  assert.throws(() => new DumlCodec({ version: 0x40 }), RangeError);
+});
+
+// ─── parseStream resync ─────────────────────────────────────────────────────
+function frames(n) {
+  const codec = new DumlCodec();
+  return Array.from({ length: n }, () => codec.encode(FRAME));
+}
+
+function parse(buffer) {
+  const errors = [];
+  const { messages, remaining } = parseStream(buffer, (err) => errors.push(err));
+  return { msgIds: messages.map((m) => m.msgId), remaining, types: errors.map((e) => e.type) };
+}
+
+test('parses back-to-back frames and keeps a partial one', () => {
+  const [a, b, c] = frames(3);
+  const { msgIds, remaining, types } = parse(Buffer.concat([a, b, c.subarray(0, 5)]));
+  assert.deepEqual(msgIds, [0x0100, 0x0101]);
+  assert.deepEqual(remaining, c.subarray(0, 5));
+  assert.deepEqual(types, []);
+});
+
+test('drops stray bytes before a frame', () => {
+  const [a] = frames(1);
+  const { msgIds, types } = parse(Buffer.concat([Buffer.from([0x01, 0x02, 0x03]), a]));
+  assert.deepEqual(msgIds, [0x0100]);
+  assert.deepEqual(types, ['discarded']);
+});
+
+test('a stray 0x55 with a bad header CRC does not swallow the next frame', () => {
+  const [a] = frames(1);
+  const { msgIds, types } = parse(Buffer.concat([Buffer.from([0x55, 0x20, 0x04, 0x00]), a]));
+  assert.deepEqual(msgIds, [0x0100]);
+  assert.equal(types[0], 'crc8');
+});
+
+test('a frame with a bad CRC16 is skipped, the one behind it parsed', () => {
+  const [a, b] = frames(2);
+  const bad = Buffer.from(a);
+  bad[bad.length - 1] ^= 0xFF;
+  const { msgIds, types } = parse(Buffer.concat([bad, b]));
+  assert.deepEqual(msgIds, [0x0101]);
+  assert.ok(types.includes('crc16'));
+});
+
+test('DumlStreamParser reassembles split notifications and counts errors', () => {
+  const [a, b] = frames(2);
+  const bad = Buffer.from(a);
+  bad[bad.length - 1] ^= 0xFF;
+  const data = Buffer.concat([bad, b]);
+  const parser = new DumlStreamParser();
+  const errors = [];
+  parser.on('frameError', (err) => errors.push(err.type));
+
+  const got = [];
+  for (let i = 0; i < data.length; i += 7) got.push(...parser.push(data.subarray(i, i + 7)));
+  assert.deepEqual(got.map((m) => m.msgId), [0x0101]);
+  assert.equal(parser.stats.frames, 1);
+  assert.equal(parser.stats.crc16Errors, 1);
+  assert.equal(parser.stats.buffered, 0);
+  assert.ok(errors.includes('crc16'));
+});
@@ -0,0 +1,72 @@
+// ============================================================================
+// GimbalProbe — matrix expansion and one probe run on a simulated gimbal
+// ============================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GimbalProbe, GIMBAL_PROBE_MATRIX, expandMatrix, formatProbeTable } from '../src/gimbal-probe.mjs';
+import { OsmoConnection } from '../src/connection.mjs';
+import { SimulatedOsmo } from '../src/transport/simulated.mjs';
+
+const SPEED = { name: 'speed', cmdId: '0x0C', payloads: [{ label: 'yaw30', message: 'speed_control', fields: { yaw: 30, enable: 1 } }] };
+
+// ─── expandMatrix ───────────────────────────────────────────────────────────
+test('every target × flags × payload × precondition set becomes a variant', () => {
+  const variants = expandMatrix([{
+    ...SPEED,
+    targets: ['gimbal', 0x08],
+    flags: ['request', 0x00],
+    preconditions: [[], ['resume', 'mode:follow']],
+    payloads: [...SPEED.payloads, { hex: '00 00' }],
+  }]);
+  assert.equal(variants.length, 2 * 2 * 2 * 2);
+  assert.equal(variants[0].id, 'speed/gimbal/request/yaw30');
+  assert.equal(variants[1].id, 'speed/gimbal/request/yaw30/resume+mode:follow');
+  assert.equal(variants[2].id, 'speed/gimbal/request/0000');
+  assert.equal(variants.at(-1).id, 'speed/0x08/noAck/0000/resume+mode:follow');
+
+  const [first] = variants;
+  assert.deepEqual([first.cmdSet, first.cmdId, first.target, first.flags], [0x04, 0x0C, 0x0402, 0x40]);
+  assert.deepEqual(first.repeat, { count: 1, interval: 0 });
+  assert.equal(variants.at(-1).target, 0x0802);
+});
+
+test('the default matrix expands to unique variant ids', () => {
+  const ids = expandMatrix(GIMBAL_PROBE_MATRIX).map((v) => v.id);
+  assert.equal(ids.length, 108);
+  assert.equal(new Set(ids).size, ids.length);
+});
+
+test('matrix mistakes are reported with the entry name', () => {
+  assert.throws(() => expandMatrix({ variants: [] }), /is an array of entries/);
+  assert.throws(() => expandMatrix([{ ...SPEED, cmdId: 0x100 }]), /speed\.cmdId: invalid value 256/);
+  assert.throws(() => expandMatrix([{ ...SPEED, cmdSet: 'gimbal' }]), /speed\.cmdSet: invalid value gimbal/);
+  assert.throws(() => expandMatrix([{ ...SPEED, targets: ['drone'] }]), /speed: unknown target "drone"/);
+  assert.throws(() => expandMatrix([{ ...SPEED, flags: ['ack'] }]), /speed: unknown flags "ack"/);
+  assert.throws(() => expandMatrix([{ ...SPEED, preconditions: [['warmup']] }]), /speed: unknown precondition "warmup"/);
+  assert.throws(() => expandMatrix([{ ...SPEED, payloads: [{ hex: '0g' }] }]), /speed: invalid payload hex "0g"/);
+  assert.throws(() => expandMatrix([{ ...SPEED, payloads: [{ label: 'x' }] }]), /needs "hex" or "message"/);
+});
+
+// ─── Probe run ──────────────────────────────────────────────────────────────
+test('a speed command on a simulated gimbal is ACKed, moves it and is undone', async (t) => {
+  const sim = new SimulatedOsmo({ paired: true, latency: 5, gimbal: 'move' });
+  const conn = new OsmoConnection({ transport: sim, store: false });
+  t.after(() => conn.disconnect());
+  await conn.connect();
+
+  const probe = new GimbalProbe(conn, { baseline: 200, settle: 300, rest: 50, restore: 600 });
+  const [result] = await probe.run(expandMatrix([{ ...SPEED, preconditions: [['resume']] }]));
+  assert.equal(result.id, 'speed/gimbal/request/yaw30/resume');
+  assert.deepEqual(result.preconditions, { resume: 'ack' });
+  assert.equal(result.acked, true);
+  assert.equal(result.sent, 1);
+  assert.deepEqual(result.moved, ['yaw']);
+  assert.ok(result.delta.yaw > 5);
+  assert.equal(result.restored, true);
+  assert.equal(result.error, null);
+
+  const table = formatProbeTable([result]).split('\n');
+  assert.match(table[0], /^VARIANT\s+RESPONSE\s+MOVED/);
+  assert.match(table[1], /^speed\/gimbal\/request\/yaw30\/resume\s+0x04: 00\s+yaw \+\d/);
+});
@@ -0,0 +1,79 @@
+// ============================================================================
+// GimbalController — yaw normalisation, telemetry and commands
+// ============================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GimbalController, normalizeYaw, YAW_FORWARD } from '../src/controllers/gimbal.mjs';
+import { encode } from '../src/protocol/registry.mjs';
+import { OsmoConnection } from '../src/connection.mjs';
+import { SimulatedOsmo } from '../src/transport/simulated.mjs';
+
+test('normalizeYaw measures from the forward yaw', () => {
+  assert.equal(normalizeYaw(YAW_FORWARD), 0);
+  assert.equal(normalizeYaw(YAW_FORWARD + 45), 45);
+  assert.equal(normalizeYaw(YAW_FORWARD + 12.34), 12.3);
+});
+
+test('normalizeYaw wraps into -180..180', () => {
+  assert.equal(normalizeYaw(YAW_FORWARD + 270), -90);
+  assert.equal(normalizeYaw(YAW_FORWARD - 270), 90);
+  assert.equal(normalizeYaw(YAW_FORWARD + 720 + 10), 10);
+  assert.equal(normalizeYaw(YAW_FORWARD + 180), -180);
+  assert.equal(normalizeYaw(YAW_FORWARD - 180), -180);
+});
+
+test('telemetry pushes update state with the normalised yaw', () => {
+  const gimbal = new GimbalController(async () => null, async () => 0);
+  const states = [];
+  gimbal.on('state', (state) => states.push(state));
+
+  gimbal.handleMessage(encode('push_position', { pitch: -5, roll: 0.5, yaw: YAW_FORWARD + 30 }));
+  assert.equal(states.length, 1);
+  assert.deepEqual(
+    { pitch: states[0].pitch, roll: states[0].roll, yawNormalized: states[0].yawNormalized },
+    { pitch: -5, roll: 0.5, yawNormalized: 30 },
+  );
+});
+
+// ─── Commands against SimulatedOsmo ─────────────────────────────────────────
+async function connected(t) {
+  const sim = new SimulatedOsmo({ paired: true, latency: 5, gimbal: 'move' });
+  const conn = new OsmoConnection({ transport: sim, store: false });
+  t.after(() => conn.disconnect());
+  await conn.connect();
+  return { sim, gimbal: conn.gimbal };
+}
+
+test('getPosition() and getType() read the gimbal', async (t) => {
+  const { gimbal } = await connected(t);
+  assert.deepEqual(await gimbal.getPosition(), { pitch: 0, roll: 0, yaw: YAW_FORWARD, yawNormalized: 0 });
+  assert.equal(await gimbal.getType(), 0x01);
+  assert.equal(gimbal.type, 0x01);
+});
+
+test('a suspended gimbal ignores speed control until resumed', async (t) => {
+  const { sim, gimbal } = await connected(t);
+  await gimbal.suspend();
+  assert.deepEqual(await gimbal.getControlStatus(), Buffer.from([0x01]));
+  await gimbal.setSpeed(0, 30, 0);
+  await new Promise((resolve) => setTimeout(resolve, 150));
+  assert.equal(sim.gimbal.yaw, YAW_FORWARD);
+
+  await gimbal.resume();
+  assert.deepEqual(await gimbal.getControlStatus(), Buffer.from([0x00]));
+  await gimbal.setSpeed(0, 30, 0);
+  await new Promise((resolve) => setTimeout(resolve, 150));
+  assert.ok(sim.gimbal.yaw > YAW_FORWARD);
+});
+
+test('a non-zero result byte rejects with EREJECTED', async () => {
+  const reply = { flags: 0xC0, payload: Buffer.from([0x03]) };
+  const gimbal = new GimbalController(async () => reply, async () => 0);
+  await assert.rejects(gimbal.lock(), { code: 'EREJECTED', result: 0x03 });
+});
+
+test('rotateCamera() only takes 90 or 180', async () => {
+  const gimbal = new GimbalController(async () => assert.fail('sent'), async () => 0);
+  await assert.rejects(gimbal.rotateCamera(45), /must be 90 or 180/);
+});
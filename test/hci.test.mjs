@@ -0,0 +1,143 @@
+// ============================================================================
+// HCI capture import — btsnoop / pcap parsing down to DUML messages
+// ============================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseHciPackets, extractAttValues, decodeAttValues, toCaptureEntries, ATT_OP,
+} from '../src/protocol/hci.mjs';
+import { DumlCodec } from '../src/protocol/duml.mjs';
+
+const FFF4 = 0x002D;
+const FFF5 = 0x0030;
+const codec = new DumlCodec();
+const duml = (cmdId) => codec.encode({ target: 0x0402, flags: 0x40, cmdSet: 0x04, cmdId, payload: Buffer.from([cmdId]) });
+
+// ─── Synthetic packets ──────────────────────────────────────────────────────
+// H4 ACL packet; pb 0x02 starts an L2CAP frame, 0x01 continues one
+function acl(data, pb = 0x02, conn = 0x0040) {
+  const head = Buffer.alloc(5);
+  head[0] = 0x02;
+  head.writeUInt16LE(conn | (pb << 12), 1);
+  head.writeUInt16LE(data.length, 3);
+  return Buffer.concat([head, data]);
+}
+
+// L2CAP frame on the ATT channel carrying one attribute value
+function att(opcode, handle, value) {
+  const pdu = Buffer.concat([Buffer.from([opcode, handle & 0xFF, handle >> 8]), value]);
+  const l2 = Buffer.alloc(4);
+  l2.writeUInt16LE(pdu.length, 0);
+  l2.writeUInt16LE(0x0004, 2);
+  return Buffer.concat([l2, pdu]);
+}
+
+function btsnoop(records) {
+  const head = Buffer.alloc(16);
+  head.write('btsnoop\0', 'latin1');
+  head.writeUInt32BE(1, 8);
+  head.writeUInt32BE(1002, 12); // H4
+  const parts = [head];
+  records.forEach(({ packet, received }, i) => {
+    const rec = Buffer.alloc(24);
+    rec.writeUInt32BE(packet.length, 0);
+    rec.writeUInt32BE(packet.length, 4);
+    rec.writeUInt32BE(received ? 1 : 0, 8);
+    rec.writeBigInt64BE(0x00DCDDB30F2F8000n + BigInt(1700000000000 + i) * 1000n, 16);
+    parts.push(rec, packet);
+  });
+  return Buffer.concat(parts);
+}
+
+function pcap(linktype, records) {
+  const head = Buffer.alloc(24);
+  head.writeUInt32LE(0xA1B2C3D4, 0);
+  head.writeUInt16LE(2, 4);
+  head.writeUInt16LE(4, 6);
+  head.writeUInt32LE(0xFFFF, 16);
+  head.writeUInt32LE(linktype, 20);
+  const parts = [head];
+  records.forEach((data, i) => {
+    const rec = Buffer.alloc(16);
+    rec.writeUInt32LE(1700000000 + i, 0);
+    rec.writeUInt32LE(data.length, 8);
+    rec.writeUInt32LE(data.length, 12);
+    parts.push(rec, data);
+  });
+  return Buffer.concat(parts);
+}
+
+// LINKTYPE 201 record: 4-byte BE direction, then the H4 packet
+const phdr = (packet, received) => Buffer.concat([Buffer.from([0, 0, 0, received ? 1 : 0]), packet]);
+
+// ─── Tests ──────────────────────────────────────────────────────────────────
+test('btsnoop: writes and notifications become DUML messages per handle', () => {
+  const write = duml(0x01);
+  const notify = duml(0x02);
+  const packets = parseHciPackets(btsnoop([
+    { packet: acl(att(ATT_OP.WRITE_COMMAND, FFF5, write)) },
+    { packet: acl(att(ATT_OP.NOTIFICATION, FFF4, notify)), received: true },
+  ]));
+  assert.deepEqual(packets.map((p) => p.direction), ['sent', 'received']);
+  assert.equal(packets[0].ts, 1700000000000);
+
+  const values = extractAttValues(packets);
+  assert.deepEqual(values.map((v) => [v.dir, v.handle]), [['tx', FFF5], ['rx', FFF4]]);
+
+  const decoded = decodeAttValues(values);
+  assert.deepEqual(decoded.map((d) => d.msg.cmdId), [0x01, 0x02]);
+  assert.deepEqual(decodeAttValues(values, { handles: [FFF4] }).map((d) => d.msg.cmdId), [0x02]);
+
+  const entries = toCaptureEntries(values);
+  assert.deepEqual(entries.map((e) => [e.dir, e.char]), [['tx', 'fff5'], ['rx', 'fff4']]);
+  assert.deepEqual(entries[1].data, notify);
+});
+
+test('fragmented ACL data is reassembled before ATT parsing', () => {
+  const frame = att(ATT_OP.NOTIFICATION, FFF4, duml(0x03));
+  const packets = parseHciPackets(btsnoop([
+    { packet: acl(frame.subarray(0, 10)), received: true },
+    { packet: acl(frame.subarray(10), 0x01), received: true },
+  ]));
+  const decoded = decodeAttValues(extractAttValues(packets));
+  assert.deepEqual(decoded.map((d) => d.msg.cmdId), [0x03]);
+});
+
+test('a DUML frame split over two notifications is joined', () => {
+  const frame = duml(0x04);
+  const packets = parseHciPackets(btsnoop([
+    { packet: acl(att(ATT_OP.NOTIFICATION, FFF4, frame.subarray(0, 6))), received: true },
+    { packet: acl(att(ATT_OP.NOTIFICATION, FFF4, frame.subarray(6))), received: true },
+  ]));
+  assert.deepEqual(decodeAttValues(extractAttValues(packets)).map((d) => d.msg.cmdId), [0x04]);
+});
+
+test('pcap H4 with phdr reads the direction header', () => {
+  const packets = parseHciPackets(pcap(201, [
+    phdr(acl(att(ATT_OP.WRITE_REQUEST, FFF5, duml(0x05)))),
+    phdr(acl(att(ATT_OP.INDICATION, FFF4, duml(0x06))), true),
+  ]));
+  assert.deepEqual(packets.map((p) => p.direction), ['sent', 'received']);
+  assert.equal(packets[0].packet[0], 0x02);
+  assert.deepEqual(decodeAttValues(extractAttValues(packets)).map((d) => d.msg.cmdId), [0x05, 0x06]);
+});
+
+test('plain pcap H4 has no direction', () => {
+  const packets = parseHciPackets(pcap(187, [acl(att(ATT_OP.NOTIFICATION, FFF4, duml(0x08)))]));
+  assert.equal(packets[0].direction, null);
+});
+
+test('unsupported formats and linktypes are refused', () => {
+  assert.throws(() => parseHciPackets(Buffer.from('not a capture at all, just text')), /Unrecognised capture format/);
+  assert.throws(() => parseHciPackets(pcap(1, [])), /Unsupported pcap linktype 1/);
+});
+
+test('pcap H4 with phdr skips records too short for the header', () => {
+  const packets = parseHciPackets(pcap(201, [
+    Buffer.from([0x00, 0x01]),
+    phdr(acl(att(ATT_OP.NOTIFICATION, FFF4, duml(0x07))), true),
+  ]));
+  assert.equal(packets.length, 1);
+  assert.deepEqual(decodeAttValues(extractAttValues(packets)).map((d) => d.msg.cmdId), [0x07]);
+});
@@ -0,0 +1,105 @@
+// ============================================================================
+// HealthMonitor — stale/recovered timing, silence and the snapshot
+// ============================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import { HealthMonitor } from '../src/health.mjs';
+import { OsmoConnection } from '../src/connection.mjs';
+import { SimulatedOsmo } from '../src/transport/simulated.mjs';
+import { CMD_SET, GIMBAL_CMD } from '../src/protocol/constants.mjs';
+
+const TELEMETRY = { flags: 0x00, cmdSet: CMD_SET.GIMBAL, cmdId: GIMBAL_CMD.PARAMS_GET, payload: Buffer.alloc(12) };
+const KEEPALIVE = { ...TELEMETRY, cmdId: GIMBAL_CMD.KEEPALIVE };
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Watches telemetry and keepalive only, going stale after 100 ms
+function monitor(t, options = {}) {
+  const health = new HealthMonitor({
+    interval: 10,
+    streams: { telemetry: { staleAfter: 100 }, keepalive: { staleAfter: 100 }, status: null },
+    ...options,
+  });
+  const events = [];
+  for (const name of ['stale', 'recovered', 'silent']) health.on(name, (e) => events.push({ name, ...e }));
+  health.start();
+  t.after(() => health.stop());
+  return { health, events };
+}
+
+test('a stream goes stale once after staleAfter and recovers on the next push', async (t) => {
+  const { health, events } = monitor(t);
+  health.handleMessage(TELEMETRY);
+  await sleep(60);
+  assert.deepEqual(events, []);
+
+  await sleep(150);
+  assert.equal(events.length, 1);
+  assert.deepEqual([events[0].name, events[0].stream, events[0].staleAfter], ['stale', 'telemetry', 100]);
+  assert.ok(events[0].gap > 100);
+  assert.equal(health.snapshot().streams.telemetry.stale, true);
+
+  health.handleMessage(TELEMETRY);
+  assert.equal(events.length, 2);
+  assert.deepEqual([events[1].name, events[1].stream], ['recovered', 'telemetry']);
+  assert.ok(events[1].gap >= 200);
+  assert.equal(health.snapshot().streams.telemetry.stale, false);
+});
+
+test('streams never seen and replies raise nothing', async (t) => {
+  const { health, events } = monitor(t);
+  health.handleMessage({ ...KEEPALIVE, flags: 0xC0 });
+  await sleep(150);
+  assert.deepEqual(events, []);
+  assert.equal(health.isSilent, false);
+  assert.equal(health.snapshot().messages.total, 1);
+  assert.equal(health.snapshot().streams.keepalive.count, 0);
+});
+
+test("'silent' fires once every seen stream has been stale for silentAfter", async (t) => {
+  const { health, events } = monitor(t, { silentAfter: 50 });
+  health.handleMessage(TELEMETRY);
+  health.handleMessage(KEEPALIVE);
+  await sleep(300);
+  assert.deepEqual(events.map((e) => e.name), ['stale', 'stale', 'silent']);
+  assert.ok(events[2].gap >= 150);
+  assert.equal(health.isSilent, true);
+});
+
+test('the snapshot counts pushes and frame errors', (t) => {
+  const { health } = monitor(t);
+  for (let i = 0; i < 3; i++) health.handleMessage(TELEMETRY);
+  health.handleFrameError({ type: 'crc16' });
+  health.handleFrameError({ type: 'crc16' });
+  health.handleFrameError({ type: 'bogus' });
+
+  const snap = health.snapshot();
+  assert.equal(snap.streams.telemetry.count, 3);
+  assert.equal(snap.streams.telemetry.expectedRate, 20);
+  assert.equal(snap.streams.keepalive.lastSeen, null);
+  assert.deepEqual(snap.frameErrors, { crc8: 0, crc16: 2, length: 0, discarded: 0 });
+  assert.equal(snap.streams.status, undefined);
+});
+
+test('a stalled simulated link is reported and dropped', async (t) => {
+  const sim = new SimulatedOsmo({ paired: true, latency: 5 });
+  const conn = new OsmoConnection({
+    transport: sim, store: false,
+    health: { interval: 50, silentAfter: 100, streams: { telemetry: { staleAfter: 300 }, keepalive: { staleAfter: 300 }, status: null } },
+  });
+  t.after(() => conn.disconnect());
+  await conn.connect();
+  assert.ok(conn.health.streams.telemetry.count > 0);
+
+  const signal = AbortSignal.timeout(3000);
+  const stale = once(conn, 'stale', { signal });
+  const silent = once(conn, 'silent', { signal });
+  const disconnected = once(conn, 'disconnected', { signal });
+  sim.stall();
+  await stale;
+  await silent;
+  await disconnected;
+  assert.equal(sim.isConnected, false);
+});
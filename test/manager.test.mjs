@@ -0,0 +1,53 @@
+// ============================================================================
+// OsmoManager — several simulated cameras, group commands and event tagging
+// ============================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OsmoManager } from '../src/manager.mjs';
+import { SimulatedOsmo } from '../src/transport/simulated.mjs';
+
+function manager(t) {
+  const mgr = new OsmoManager({ store: false });
+  t.after(() => mgr.disconnectAll());
+  const add = (id, simOptions = {}, options = {}) => mgr.add(id, {
+    transport: new SimulatedOsmo({ id, approveDelay: 50, latency: 5, ...simOptions }),
+    ...options,
+  });
+  return { mgr, add };
+}
+
+test('all() reports every camera even when one fails', async (t) => {
+  const { mgr, add } = manager(t);
+  add('cam-a', { paired: true }, { alias: 'left' });
+  add('cam-b', { approve: false }, { alias: 'right', approvalTimeout: 200 });
+
+  const results = await mgr.connectAll();
+  assert.deepEqual(results.map((r) => [r.id, r.alias, r.ok]), [['cam-a', 'left', true], ['cam-b', 'right', false]]);
+  assert.equal(results[0].value, 'paired');
+  assert.equal(results[1].error.state, 'timedOut');
+  assert.ok(mgr.get('left').isPaired);
+});
+
+test('connection events are re-emitted tagged with the device', async (t) => {
+  const { mgr, add } = manager(t);
+  add('cam-a', { paired: true }, { alias: 'left' });
+  const paired = [];
+  mgr.on('paired', (device, info) => paired.push([device, info]));
+
+  await mgr.get('cam-a').connect();
+  assert.deepEqual(paired, [[{ id: 'cam-a', alias: 'left' }, { alreadyPaired: true }]]);
+});
+
+test('ids and aliases must be unique, remove() frees them', async (t) => {
+  const { mgr, add } = manager(t);
+  add('cam-a', {}, { alias: 'left' });
+  assert.throws(() => add('cam-a'), /already added/);
+  assert.throws(() => add('cam-b', {}, { alias: 'left' }), /Alias "left" already used/);
+
+  assert.equal(await mgr.remove('left'), true);
+  assert.equal(mgr.size, 0);
+  assert.equal(await mgr.remove('left'), false);
+  add('cam-b', {}, { alias: 'left' });
+  assert.equal(mgr.get('left'), mgr.get('cam-b'));
+});
@@ -0,0 +1,143 @@
+// ============================================================================
+// MotionPlanner — keyframe plans, settling, pause/abort and a simulated pan
+// ============================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter, once } from 'events';
+import { MotionPlanner, EASINGS, buildPlan } from '../src/controllers/motion.mjs';
+import { OsmoConnection } from '../src/connection.mjs';
+import { SimulatedOsmo } from '../src/transport/simulated.mjs';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Gimbal stand-in: records speed commands, reports whatever position it is
+// told to with report()
+function gimbal() {
+  const g = new EventEmitter();
+  g.commands = [];
+  g.setSpeed = async (pitch, yaw, roll) => { g.commands.push({ pitch, yaw, roll }); };
+  g.report = ({ pitch = 0, yaw = 0, roll = 0 } = {}) => g.emit('state', { pitch, roll, yawNormalized: yaw });
+  return g;
+}
+
+// ─── buildPlan ──────────────────────────────────────────────────────────────
+test('plans interpolate between keyframes with each segment\'s easing', () => {
+  const plan = buildPlan([
+    { at: 0, yaw: 0 },
+    { at: 2000, yaw: 30, easing: 'easeIn' },
+    { at: 1000, yaw: 10 },
+  ]);
+  assert.deepEqual(plan.axes, ['yaw']);
+  assert.equal(plan.duration, 2000);
+  assert.equal(plan.positionAt(500).yaw, 5);
+  assert.equal(plan.positionAt(1500).yaw, 10 + 20 * 0.125);
+  assert.equal(plan.positionAt(5000).yaw, 30);
+  assert.ok(Math.abs(plan.velocityAt(500).yaw - 10) < 1e-9);
+});
+
+test('a plan without a keyframe at 0 starts from the current position', () => {
+  const plan = buildPlan([{ at: 1000, pitch: -20 }], { pitch: 10, yaw: 45, roll: 0 });
+  assert.deepEqual(plan.axes, ['pitch']);
+  assert.deepEqual(plan.positionAt(0), { pitch: 10, yaw: 45, roll: 0 });
+  assert.deepEqual(plan.positionAt(500), { pitch: -5, yaw: 45, roll: 0 });
+});
+
+test('easings run from 0 to 1, easeInOut through the middle', () => {
+  for (const [name, ease] of Object.entries(EASINGS)) {
+    assert.equal(ease(0), 0, name);
+    assert.equal(ease(1), 1, name);
+  }
+  assert.equal(EASINGS.easeInOut(0.5), 0.5);
+  assert.ok(EASINGS.easeIn(0.5) < 0.5 && EASINGS.easeOut(0.5) > 0.5);
+});
+
+test('bad keyframes are refused', () => {
+  assert.throws(() => buildPlan([]), /at least one keyframe/);
+  assert.throws(() => buildPlan([{ at: -1, yaw: 0 }]), /Invalid keyframe time/);
+  assert.throws(() => buildPlan([{ at: 100, yaw: 0, easing: 'bounce' }]), /Unknown easing: bounce/);
+  assert.throws(() => buildPlan([{ at: 100 }]), /no pitch, yaw or roll/);
+});
+
+// ─── Control loop ───────────────────────────────────────────────────────────
+test('a target within tolerance settles', async () => {
+  const g = gimbal();
+  const planner = new MotionPlanner(g, { rate: 50, tolerance: 0.5 });
+  g.report({ yaw: 0.3 });
+  const result = await planner.moveTo({ yaw: 0 }, { duration: 40 });
+  assert.equal(result.settled, true);
+  assert.deepEqual(result.error, { yaw: -0.3 });
+  assert.deepEqual(g.commands.at(-1), { pitch: 0, yaw: 0, roll: 0 });
+  assert.equal(planner.state, 'idle');
+});
+
+test('a gimbal that never gets there resolves unsettled after settleTimeout', async () => {
+  const g = gimbal();
+  const planner = new MotionPlanner(g, { rate: 50, settleTimeout: 100 });
+  const report = setInterval(() => g.report(), 20);
+  g.report();
+  try {
+    const result = await planner.moveTo({ yaw: 10 }, { duration: 40 });
+    assert.equal(result.settled, false);
+    assert.deepEqual(result.error, { yaw: 10 });
+    assert.ok(result.duration >= 140);
+  } finally {
+    clearInterval(report);
+  }
+});
+
+test('pause stops the gimbal and freezes the path clock', async () => {
+  const g = gimbal();
+  const planner = new MotionPlanner(g, { rate: 50 });
+  const startedAt = Date.now();
+  // Long enough that a busy machine still pauses it halfway
+  const moving = planner.moveTo({ yaw: 10 }, { duration: 400, easing: 'linear' });
+
+  await sleep(30);
+  const paused = once(planner, 'pause');
+  planner.pause();
+  assert.equal(planner.state, 'paused');
+  assert.deepEqual(g.commands.at(-1), { pitch: 0, yaw: 0, roll: 0 });
+  const sent = g.commands.length;
+
+  await sleep(200); // timers may fire a ms early: leave room over the 150 below
+  const resumed = once(planner, 'resume');
+  planner.resume();
+  const [{ elapsed }] = await resumed;
+  assert.equal(elapsed, (await paused)[0].elapsed);
+  assert.equal(g.commands.length, sent);
+
+  const result = await moving;
+  assert.equal(result.settled, false); // no telemetry: open loop
+  assert.ok(result.duration >= 400);
+  assert.ok(result.duration <= Date.now() - startedAt - 150, 'paused time counted');
+});
+
+test('abort rejects with EABORTED and stops the gimbal', async () => {
+  const g = gimbal();
+  const planner = new MotionPlanner(g, { rate: 50 });
+  g.report();
+  const moving = planner.pan({ yaw: 10 }, 1000);
+  await assert.rejects(planner.path([{ at: 10, yaw: 0 }]), /Motion already running/);
+
+  planner.abort();
+  await assert.rejects(moving, { code: 'EABORTED', message: 'Motion aborted' });
+  assert.equal(planner.isMoving, false);
+  assert.deepEqual(g.commands.at(-1), { pitch: 0, yaw: 0, roll: 0 });
+});
+
+// ─── Against SimulatedOsmo ──────────────────────────────────────────────────
+test('a pan on a simulated gimbal ends where it was planned', async (t) => {
+  const sim = new SimulatedOsmo({ paired: true, latency: 5, gimbal: 'move' });
+  const conn = new OsmoConnection({ transport: sim, store: false });
+  t.after(() => conn.disconnect());
+  await conn.connect();
+  await once(conn.gimbal, 'state');
+  const start = conn.motion.position.yaw;
+
+  // 20°/s for half a second
+  const result = await conn.motion.pan({ yaw: 20 }, 500);
+  assert.equal(result.settled, true);
+  const moved = conn.motion.position.yaw - start;
+  assert.ok(Math.abs(moved - 10) <= 0.5, `moved ${moved}°`);
+});
@@ -0,0 +1,91 @@
+// ============================================================================
+// PowerController — battery push decoding and the low-battery warning
+// ============================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import { PowerController } from '../src/controllers/power.mjs';
+import { OsmoConnection } from '../src/connection.mjs';
+import { SimulatedOsmo } from '../src/transport/simulated.mjs';
+
+// The two 0x0D/0x02 pushes in reference/xaionaro-message-types.md
+const CHARGING = Buffer.from('0086100000ce01000000000000000000003601005800000000000020040000000101', 'hex');
+const FULL = Buffer.from('0015110000000000000000000000000000cc01006400000000000020040000000001', 'hex');
+
+const push = (payload) => ({ flags: 0x00, cmdSet: 0x0D, cmdId: 0x02, payload });
+
+// Captured push with another percentage and the charger unplugged
+function discharging(percent) {
+  const payload = Buffer.from(CHARGING);
+  payload[20] = percent;
+  payload.writeInt16LE(-310, 5);
+  payload[32] = 0x00;
+  return push(payload);
+}
+
+test('the captured pushes decode to percentage, charging, voltage, current and temperature', () => {
+  const power = new PowerController();
+  assert.equal(power.handleMessage(push(CHARGING)), true);
+  assert.deepEqual(power.state, { percent: 88, charging: true, voltage: 4.23, current: 462, temperature: 31 });
+  assert.ok(power.isCharging);
+
+  power.handleMessage(push(FULL));
+  assert.deepEqual(power.state, { percent: 100, charging: false, voltage: 4.373, current: 0, temperature: 46 });
+});
+
+test('other messages are not taken for battery pushes', () => {
+  const power = new PowerController();
+  assert.equal(power.handleMessage({ ...push(CHARGING), cmdSet: 0x06 }), false);
+  assert.equal(power.handleMessage({ ...push(CHARGING), flags: 0xC0 }), false);
+  assert.equal(power.handleMessage(push(Buffer.alloc(4))), true);
+  assert.equal(power.percent, null);
+});
+
+test("'battery' fires only when percentage or charging changes", () => {
+  const power = new PowerController();
+  const seen = [];
+  power.on('battery', ({ percent, charging }) => seen.push([percent, charging]));
+  power.handleMessage(push(CHARGING));
+  power.handleMessage(push(CHARGING));
+  power.handleMessage(discharging(88));
+  power.handleMessage(discharging(87));
+  assert.deepEqual(seen, [[88, true], [88, false], [87, false]]);
+});
+
+test("'lowBattery' fires once per crossing and re-arms after charging", () => {
+  const power = new PowerController({ lowBattery: 20 });
+  const warnings = [];
+  power.on('lowBattery', (event) => warnings.push(event));
+
+  for (const percent of [22, 21, 20, 19, 18, 20, 17]) power.handleMessage(discharging(percent));
+  assert.deepEqual(warnings, [{ percent: 20, threshold: 20 }]);
+
+  power.handleMessage(push(CHARGING));
+  power.handleMessage(discharging(15));
+  assert.deepEqual(warnings.map((w) => w.percent), [20, 15]);
+});
+
+test('lowBattery: false never warns, a new threshold checks right away', () => {
+  const power = new PowerController({ lowBattery: false });
+  const warnings = [];
+  power.on('lowBattery', (event) => warnings.push(event));
+  power.handleMessage(discharging(5));
+  assert.deepEqual(warnings, []);
+
+  power.lowBatteryThreshold = 10;
+  assert.deepEqual(warnings, [{ percent: 5, threshold: 10 }]);
+});
+
+test('a draining simulated camera warns through the connection', async (t) => {
+  const sim = new SimulatedOsmo({ paired: true, latency: 5, battery: 30 });
+  const conn = new OsmoConnection({ transport: sim, store: false, power: { lowBattery: 25 } });
+  t.after(() => conn.disconnect());
+  await conn.connect();
+
+  const low = once(conn, 'lowBattery', { signal: AbortSignal.timeout(3000) });
+  sim.setBattery(24);
+  const [event] = await low;
+  assert.deepEqual(event, { percent: 24, threshold: 25 });
+  assert.equal(conn.battery, 24);
+});
@@ -0,0 +1,82 @@
+// ============================================================================
+// Message registry — encode/decode round trips through the schemas
+// ============================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MessageRegistry, registry, encode, decode, typeName } from '../src/protocol/registry.mjs';
+import { MESSAGES } from '../src/protocol/messages.mjs';
+import { FLAG, CMD_SET, WIFI_CMD, TARGET } from '../src/protocol/constants.mjs';
+
+// encode() output as the parsed message decode() expects
+const roundTrip = (name, fields) => decode(encode(name, fields));
+
+test('set_pairing_pin packs both strings and keeps its target', () => {
+  const msg = encode('set_pairing_pin', { identifier: '001749319286102', pin: '5160' });
+  assert.equal(msg.target, TARGET.APP_TO_WIFI);
+  assert.deepEqual([msg.flags, msg.cmdSet, msg.cmdId], [FLAG.REQUEST, CMD_SET.WIFI, WIFI_CMD.SET_PAIRING_PIN]);
+  assert.equal(msg.payload.toString('hex'), '0f' + Buffer.from('001749319286102').toString('hex') + '04' + Buffer.from('5160').toString('hex'));
+
+  const { name, known, fields } = decode(msg);
+  assert.equal(name, 'set_pairing_pin');
+  assert.ok(known);
+  assert.deepEqual(fields, { identifier: '001749319286102', pin: '5160' });
+});
+
+test('angles round-trip with 0.1° resolution', () => {
+  const { fields } = roundTrip('speed_control', { pitch: -12.5, roll: 0, yaw: 30.1, enable: 1 });
+  assert.deepEqual(fields, { pitch: -12.5, roll: 0, yaw: 30.1, enable: true });
+});
+
+test('enum names are accepted on encode and returned on decode', () => {
+  const msg = encode('reset_and_set_mode', { mode: 'fpv' });
+  assert.deepEqual(msg.payload, Buffer.from([0x02, 0x00]));
+  assert.deepEqual(decode(msg).fields, { mode: 'fpv' });
+  assert.throws(() => encode('reset_and_set_mode', { mode: 'sport' }), /unknown value "sport"/);
+});
+
+test('optional fields end the payload when left out', () => {
+  const short = encode('start_stop_streaming', { enable: true });
+  const full = encode('start_stop_streaming', { enable: true, action: 'start' });
+  assert.equal(full.payload.length, short.payload.length + 2);
+  assert.equal(decode(full).fields.action, 'start');
+  assert.equal(decode(short).fields.action, undefined);
+});
+
+test('ascii fields are NUL-padded and trimmed again', () => {
+  const msg = { flags: FLAG.REQUEST, cmdSet: CMD_SET.GENERAL, cmdId: 0x81, payload: Buffer.alloc(48) };
+  msg.payload.write('hg212', 'latin1');
+  assert.equal(decode(msg).fields.model, 'hg212');
+});
+
+test('responses fall back to the other response flag', () => {
+  const msg = encode('connect_to_wifi_result', { status: 0 });
+  assert.equal(decode({ ...msg, flags: 0x80 }).name, 'connect_to_wifi_result');
+  assert.equal(decode({ ...msg, flags: 0xC0 }).name, 'connect_to_wifi_result');
+});
+
+test('unknown types decode to their dissector name', () => {
+  const { name, known, fields } = decode({ flags: 0x40, cmdSet: 0xEE, cmdId: 0x01, payload: Buffer.alloc(2) });
+  assert.equal(name, `unknown_${typeName(0x40, 0xEE, 0x01)}`);
+  assert.equal(known, false);
+  assert.deepEqual(fields, {});
+});
+
+test('every message with encodable defaults round-trips to its own name', () => {
+  for (const entry of MESSAGES) {
+    let msg;
+    try {
+      msg = encode(entry.name, {});
+    } catch {
+      continue; // needs fields (strings) — covered above
+    }
+    assert.equal(registry.lookup(msg).name, entry.name, entry.name);
+  }
+});
+
+test('duplicate names and types are refused', () => {
+  const entry = { name: 'a', flags: FLAG.REQUEST, cmdSet: 0x01, cmdId: 0x02 };
+  const reg = new MessageRegistry([entry]);
+  assert.throws(() => reg.register({ ...entry, cmdId: 0x03 }), /Duplicate message name/);
+  assert.throws(() => reg.register({ ...entry, name: 'b' }), /Duplicate message type/);
+});
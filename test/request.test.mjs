@@ -0,0 +1,182 @@
+// ============================================================================
+// OsmoConnection.request() — response matching, timeouts, retries
+// Runs against SimulatedOsmo; gimbal commands are ignored by default (like the
+// real Pocket 3 over BLE) or ACKed with gimbal: 'ack'.
+// ============================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as delay } from 'timers/promises';
+import { OsmoConnection } from '../src/connection.mjs';
+import { SimulatedOsmo } from '../src/transport/simulated.mjs';
+import { parseMessage } from '../src/protocol/duml.mjs';
+import { TARGET, CMD_SET } from '../src/protocol/constants.mjs';
+
+const CMD = 0x26; // any gimbal command
+
+// Connected OsmoConnection whose writes are captured; inject() plays a
+// response from the device that the simulator would not send by itself
+async function connection(t, options = {}) {
+  const sim = new SimulatedOsmo({ telemetry: false, latency: 5, ...options });
+  const conn = new OsmoConnection({ transport: sim, store: false });
+  const writes = [];
+  const write = sim.write.bind(sim);
+  sim.write = async (buffer) => {
+    writes.push(parseMessage(buffer));
+    return write(buffer);
+  };
+  await sim.connect();
+  t.after(() => sim.disconnect());
+
+  const inject = (msg, overrides = {}) => sim.emit('message', {
+    ...msg, flags: 0x80, payload: Buffer.from([0x00]), ...overrides,
+  });
+  const ask = (options, cmdId = CMD) => conn.request(TARGET.APP_TO_GIMBAL, CMD_SET.GIMBAL, cmdId, Buffer.alloc(0), options);
+  return { sim, writes, inject, ask };
+}
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+// Writes that take `ms` to complete, then pass through or fail like `outcome`
+function slowWrites(sim, ms, outcome = 'pass') {
+  const write = sim.write;
+  sim.write = async (buffer) => {
+    await delay(ms);
+    if (outcome === 'fail') throw new Error('Write failed');
+    if (outcome === 'pass') return write(buffer);
+  };
+}
+
+// Collects unhandled rejections while the test runs
+function unhandled(t) {
+  const reasons = [];
+  const listener = (reason) => reasons.push(reason);
+  process.on('unhandledRejection', listener);
+  t.after(() => process.off('unhandledRejection', listener));
+  return reasons;
+}
+
+test('an ACKed request resolves with the response', async (t) => {
+  const { writes, ask } = await connection(t, { gimbal: 'ack' });
+  const resp = await ask();
+  assert.equal(resp.msgId, writes[0].msgId);
+  assert.deepEqual([resp.cmdSet, resp.cmdId], [CMD_SET.GIMBAL, CMD]);
+  assert.deepEqual(resp.payload, Buffer.from([0x00]));
+});
+
+test('a response is matched to its request by msgId', async (t) => {
+  const { writes, inject, ask } = await connection(t);
+  const first = ask();
+  const second = ask();
+  await tick();
+
+  inject(writes[1], { payload: Buffer.from([0x02]) });
+  inject(writes[0], { payload: Buffer.from([0x01]) });
+  assert.deepEqual((await first).payload, Buffer.from([0x01]));
+  assert.deepEqual((await second).payload, Buffer.from([0x02]));
+});
+
+test('without a known msgId the response falls back to cmdSet/cmdId', async (t) => {
+  const { writes, inject, ask } = await connection(t);
+  const other = ask({}, 0x27);
+  const pending = ask();
+  await tick();
+
+  inject(writes[1], { msgId: 0xBEEF });
+  assert.equal((await pending).cmdId, CMD);
+  inject(writes[0]);
+  await other;
+});
+
+test('a msgId match with another cmdSet is not taken', async (t) => {
+  const { writes, inject, ask } = await connection(t);
+  const pending = ask({ timeout: 100 });
+  await tick();
+
+  inject(writes[0], { cmdSet: CMD_SET.WIFI });
+  await assert.rejects(pending, { code: 'ETIMEDOUT' });
+});
+
+test('requests are not resolved by pushes or requests from the device', async (t) => {
+  const { writes, inject, ask } = await connection(t);
+  const pending = ask({ timeout: 100 });
+  await tick();
+
+  inject(writes[0], { flags: 0x40 });
+  inject(writes[0], { flags: 0x00 });
+  await assert.rejects(pending, { code: 'ETIMEDOUT' });
+});
+
+test('an unanswered request is sent 1 + retries times, then rejects ETIMEDOUT', async (t) => {
+  const { writes, ask } = await connection(t);
+  await assert.rejects(ask({ timeout: 30, retries: 2 }), (err) => {
+    assert.equal(err.code, 'ETIMEDOUT');
+    assert.match(err.message, /No response to 0x04\/0x26/);
+    return true;
+  });
+  assert.equal(writes.length, 3);
+  assert.equal(new Set(writes.map((m) => m.msgId)).size, 3);
+});
+
+test('a late reply to the first attempt resolves the retry', async (t) => {
+  const { writes, ask } = await connection(t, { gimbal: 'ack', latency: 50 });
+  const resp = await ask({ timeout: 30, retries: 2 });
+  assert.equal(writes.length, 2);
+  assert.equal(resp.msgId, writes[0].msgId);
+});
+
+test('a disconnect rejects every pending request', async (t) => {
+  const { sim, ask } = await connection(t);
+  const a = ask();
+  const b = ask({}, 0x27);
+  await tick();
+
+  await sim.disconnect();
+  await assert.rejects(a, /Disconnected/);
+  await assert.rejects(b, /Disconnected/);
+});
+
+test('a failed write rejects with the write error', async (t) => {
+  const { sim, ask } = await connection(t);
+  await sim.disconnect();
+  await assert.rejects(ask(), /Not connected/);
+});
+
+test('a write slower than the timeout rejects ETIMEDOUT, nothing unhandled', async (t) => {
+  const reasons = unhandled(t);
+  const { sim, ask } = await connection(t);
+  slowWrites(sim, 80);
+  await assert.rejects(ask({ timeout: 20 }), { code: 'ETIMEDOUT' });
+  await tick();
+  assert.deepEqual(reasons, []);
+});
+
+test('a write that fails rejects with its error', async (t) => {
+  const { sim, ask } = await connection(t);
+  slowWrites(sim, 10, 'fail');
+  await assert.rejects(ask(), /Write failed/);
+});
+
+test('a disconnect during the write rejects the request', async (t) => {
+  const reasons = unhandled(t);
+  const { sim, ask } = await connection(t);
+  slowWrites(sim, 50, 'ignore');
+  const pending = ask();
+  await tick();
+  await sim.disconnect();
+  await assert.rejects(pending, /Disconnected/);
+  await tick();
+  assert.deepEqual(reasons, []);
+});
+
+test('a write that fails after a disconnect rejects with the write error', async (t) => {
+  const reasons = unhandled(t);
+  const { sim, ask } = await connection(t);
+  slowWrites(sim, 50);
+  const pending = ask();
+  await tick();
+  await sim.disconnect();
+  await assert.rejects(pending, /Not connected/);
+  await tick();
+  assert.deepEqual(reasons, []);
+});
@@ -0,0 +1,102 @@
+// ============================================================================
+// Responder — automatic replies to requests from the device
+// ============================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import { Responder, ack } from '../src/responder.mjs';
+import { OsmoConnection } from '../src/connection.mjs';
+import { SimulatedOsmo } from '../src/transport/simulated.mjs';
+import { parseMessage } from '../src/protocol/duml.mjs';
+import { ADDR, CMD_SET, WIFI_CMD } from '../src/protocol/constants.mjs';
+
+// A request from the gimbal to the app
+const REQUEST = { sender: ADDR.GIMBAL, receiver: ADDR.APP, msgId: 0x1234, flags: 0x40, cmdSet: 0x04, cmdId: 0x99, payload: Buffer.alloc(0) };
+
+function responder(options) {
+  const sent = [];
+  const r = new Responder(async (target, cmdSet, cmdId, payload, opts) => {
+    sent.push({ target, cmdSet, cmdId, payload, ...opts });
+    return opts.msgId;
+  }, options);
+  return { r, sent };
+}
+
+test('a registered request is answered with its msgId, sender and receiver swapped', async () => {
+  const { r, sent } = responder({ builtins: false });
+  r.register(0x04, 0x99, ack(0x00));
+  const replied = once(r, 'reply');
+
+  assert.equal(r.handleMessage(REQUEST), true);
+  const [{ request, payload }] = await replied;
+  assert.equal(request, REQUEST);
+  assert.deepEqual(payload, Buffer.from([0x00]));
+  assert.deepEqual(sent, [{ target: 0x0402, cmdSet: 0x04, cmdId: 0x99, payload, flags: 0xC0, msgId: 0x1234 }]);
+});
+
+test('responses, pushes and unregistered requests get no reply', () => {
+  const { r, sent } = responder({ builtins: false });
+  r.register(0x04, 0x99, Buffer.from([0x01]));
+  assert.equal(r.handleMessage({ ...REQUEST, flags: 0xC0 }), false);
+  assert.equal(r.handleMessage({ ...REQUEST, flags: 0x00 }), false);
+  assert.equal(r.handleMessage({ ...REQUEST, cmdId: 0x98 }), false);
+  assert.deepEqual(sent, []);
+});
+
+test('a handler can decline, and a throwing one is reported', async () => {
+  const { r, sent } = responder({ builtins: false });
+  r.register(0x04, 0x99, () => null);
+  r.handleMessage(REQUEST);
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.deepEqual(sent, []);
+
+  r.register(0x04, 0x99, async () => { throw new Error('no idea'); });
+  const failed = once(r, 'failed');
+  r.handleMessage(REQUEST);
+  const [{ request, error }] = await failed;
+  assert.equal(request, REQUEST);
+  assert.equal(error.message, 'no idea');
+});
+
+test('register() returns a remover; builtins cover the captured replies', () => {
+  const { r } = responder();
+  assert.deepEqual(r.registered, [
+    { cmdSet: CMD_SET.WIFI, cmdId: WIFI_CMD.PAIRING_APPROVED },
+    { cmdSet: CMD_SET.WIFI, cmdId: WIFI_CMD.SCAN_RESULTS },
+  ]);
+  const remove = r.register(0x04, 0x99, ack());
+  assert.ok(r.has(0x04, 0x99));
+  remove();
+  assert.equal(r.has(0x04, 0x99), false);
+  assert.equal(r.unregister(CMD_SET.WIFI, WIFI_CMD.SCAN_RESULTS), true);
+  assert.throws(() => r.register(0x04, 0x99, 'ok'), TypeError);
+});
+
+test('the pairing approval from a simulated camera is ACKed like the Mimo app does', async (t) => {
+  const sim = new SimulatedOsmo({ approveDelay: 50, latency: 5 });
+  const conn = new OsmoConnection({ transport: sim, store: false });
+  t.after(() => conn.disconnect());
+  const replies = [];
+  const write = sim.write.bind(sim);
+  sim.write = async (buffer) => {
+    const msg = parseMessage(buffer);
+    if (msg.flags & 0x80) replies.push(msg);
+    return write(buffer);
+  };
+  const approvals = [];
+  conn.on('message', (msg) => {
+    if (msg.cmdId === WIFI_CMD.PAIRING_APPROVED && msg.flags === 0x40) approvals.push(msg);
+  });
+
+  const replied = once(conn.responder, 'reply');
+  await conn.connect();
+  await replied;
+  assert.equal(approvals.length, 1);
+  assert.equal(replies.length, 1);
+  assert.deepEqual(
+    [replies[0].sender, replies[0].receiver, replies[0].msgId, replies[0].flags, replies[0].cmdSet, replies[0].cmdId],
+    [ADDR.APP, ADDR.WIFI, approvals[0].msgId, 0xC0, CMD_SET.WIFI, WIFI_CMD.PAIRING_APPROVED],
+  );
+  assert.deepEqual(replies[0].payload, Buffer.from([0x00]));
+});
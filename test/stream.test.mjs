@@ -0,0 +1,88 @@
+// ============================================================================
+// StreamController — stage order, failures and link loss of the livestream flow
+// ============================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { StreamController, STREAM_STAGES } from '../src/controllers/stream.mjs';
+import { CMD_SET, WIFI_CMD, STREAM_CMD } from '../src/protocol/constants.mjs';
+
+const CONFIG = { ssid: 'Home', password: 'secret', rtmpUrl: 'rtmp://example.com/live/key' };
+
+// A camera that answers every request; ConfigureLiveStream is only sent,
+// since the verified run never saw a reply to it. replies: { 'cmdSet/cmdId': payload }
+function camera(replies = {}) {
+  const sent = [];
+  const send = async (target, cmdSet, cmdId, payload) => {
+    sent.push({ cmdSet, cmdId, payload });
+  };
+  const request = async (target, cmdSet, cmdId, payload) => {
+    sent.push({ cmdSet, cmdId, payload });
+    return { flags: 0xC0, cmdSet, cmdId, payload: replies[`${cmdSet}/${cmdId}`] ?? Buffer.from([0x00, 0x00]) };
+  };
+  return { stream: new StreamController(request, send), sent };
+}
+
+test('start() runs the stages in order and ends streaming', async () => {
+  const { stream, sent } = camera();
+  const stages = [];
+  stream.on('progress', ({ stage, status }) => { if (status === 'sent') stages.push(stage); });
+
+  await stream.start(CONFIG);
+  assert.deepEqual(stages, STREAM_STAGES);
+  assert.deepEqual(sent.map((m) => [m.cmdSet, m.cmdId]), [
+    [CMD_SET.STREAM, STREAM_CMD.PREPARE],
+    [CMD_SET.STREAM, STREAM_CMD.START_STOP],
+    [CMD_SET.WIFI, WIFI_CMD.WIFI_CONNECT],
+    [CMD_SET.DM36X, STREAM_CMD.CONFIGURE],
+    [CMD_SET.STREAM, STREAM_CMD.START_STOP],
+  ]);
+  assert.ok(stream.isStreaming);
+  assert.equal(stream.config.rtmpUrl, CONFIG.rtmpUrl);
+});
+
+test('the configure payload carries resolution, bitrate, fps and URL', async () => {
+  const { stream, sent } = camera();
+  await stream.start({ ...CONFIG, bitrate: 4000 });
+  const payload = sent[3].payload;
+  assert.equal(payload.readUInt16LE(4), 4000);
+  assert.equal(payload.readUInt16LE(12), CONFIG.rtmpUrl.length);
+  assert.equal(payload.subarray(14).toString(), CONFIG.rtmpUrl);
+});
+
+test('a failed WiFi join stops the flow and leaves the stream failed', async () => {
+  const { stream, sent } = camera({ [`${CMD_SET.WIFI}/${WIFI_CMD.WIFI_CONNECT}`]: Buffer.from([0x02, 0x00]) });
+  await assert.rejects(stream.start(CONFIG), /WiFi connect to "Home" failed/);
+  assert.equal(stream.state, 'failed');
+  assert.equal(sent.length, 3);
+});
+
+test('start() checks its options before sending anything', async () => {
+  const { stream, sent } = camera();
+  await assert.rejects(stream.start({ ...CONFIG, rtmpUrl: undefined }), /Missing RTMP URL/);
+  await assert.rejects(stream.start({ ...CONFIG, fps: 29 }), /Unsupported frame rate/);
+  assert.equal(sent.length, 0);
+});
+
+test('a lost link interrupts a running stream and keeps its config for a restart', async () => {
+  const { stream, sent } = camera();
+  await stream.start(CONFIG);
+  let interrupted = null;
+  stream.on('interrupted', (config) => { interrupted = config; });
+
+  stream.handleDisconnect();
+  assert.equal(stream.state, 'interrupted');
+  assert.equal(interrupted.rtmpUrl, CONFIG.rtmpUrl);
+  assert.deepEqual(stream.config, interrupted);
+
+  sent.length = 0;
+  await stream.start(stream.config);
+  assert.equal(stream.state, 'streaming');
+  assert.equal(sent.length, STREAM_STAGES.length);
+});
+
+test('a lost link leaves an idle stream alone', () => {
+  const { stream } = camera();
+  stream.handleDisconnect();
+  assert.equal(stream.state, 'idle');
+});
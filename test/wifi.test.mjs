@@ -0,0 +1,90 @@
+// ============================================================================
+// WifiController — scan and join, on SimulatedOsmo and a silent camera
+// ============================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as delay } from 'timers/promises';
+import { WifiController, parseScanResults } from '../src/controllers/wifi.mjs';
+import { OsmoConnection } from '../src/connection.mjs';
+import { SimulatedOsmo } from '../src/transport/simulated.mjs';
+import { CMD_SET, WIFI_CMD } from '../src/protocol/constants.mjs';
+
+async function paired(t, simOptions = {}) {
+  const conn = new OsmoConnection({ transport: new SimulatedOsmo({ paired: true, latency: 5, ...simOptions }), store: false });
+  t.after(() => conn.disconnect());
+  await conn.connect();
+  return conn;
+}
+
+test('scan collects the networks the camera sends', async (t) => {
+  const conn = await paired(t);
+  const networks = await conn.wifi.scan({ idle: 200 });
+  assert.ok(networks.length > 0);
+  assert.ok(networks.every((n) => typeof n.ssid === 'string' && n.ssid.length > 0));
+  assert.deepEqual(conn.wifi.networks, networks);
+  assert.equal(conn.wifi.isScanning, false);
+});
+
+test('connect resolves on status 0 and rejects a wrong password', async (t) => {
+  const conn = await paired(t, { wifi: { Home: 'secret' } });
+  assert.deepEqual(await conn.wifi.connect('Home', 'secret'), { ssid: 'Home', status: 0 });
+  await assert.rejects(conn.wifi.connect('Home', 'wrong'), { code: 'EREJECTED' });
+});
+
+test('the scan deadline rejects while ScanWiFi still waits for its reply', async () => {
+  // A camera that never answers: the request only times out after the deadline
+  const wifi = new WifiController(async () => {
+    await delay(300);
+    throw Object.assign(new Error('Request timed out'), { code: 'ETIMEDOUT' });
+  });
+  const started = Date.now();
+  await assert.rejects(wifi.scan({ timeout: 50 }), { code: 'ETIMEDOUT', message: /No WiFi scan results/ });
+  assert.ok(Date.now() - started < 250);
+  assert.equal(wifi.isScanning, false);
+  await delay(350); // the late request failure must not surface anywhere
+});
+
+test('a refused scan rejects with EREJECTED', async () => {
+  const wifi = new WifiController(async () => ({ payload: Buffer.from([0x01]) }));
+  await assert.rejects(wifi.scan({ timeout: 1000 }), { code: 'EREJECTED', result: 1 });
+});
+
+// One network's record in a wifi_scan_results page, and a page with one network
+const record = (ssid) => Buffer.concat([Buffer.from([ssid.length + 6, 1, 1, 2, 0, 0]), Buffer.from(ssid)]);
+const page = (ssid) => ({
+  flags: 0x40, cmdSet: CMD_SET.WIFI, cmdId: WIFI_CMD.SCAN_RESULTS, payload: Buffer.concat([Buffer.alloc(4), record(ssid)]),
+});
+
+test('an unanswered ScanWiFi does not end a scan that is receiving pages', async () => {
+  let wifi = null;
+  wifi = new WifiController(async () => {
+    wifi.handleMessage(page('Home'));
+    await delay(20);
+    throw Object.assign(new Error('Request timed out'), { code: 'ETIMEDOUT' });
+  });
+  const networks = await wifi.scan({ timeout: 1000, idle: 100 });
+  assert.deepEqual(networks.map((n) => n.ssid), ['Home']);
+});
+
+test('an unanswered ScanWiFi without pages ends the scan early', async () => {
+  const wifi = new WifiController(async () => {
+    await delay(20);
+    throw Object.assign(new Error('Request timed out'), { code: 'ETIMEDOUT' });
+  });
+  const started = Date.now();
+  await assert.rejects(wifi.scan({ timeout: 1000 }), { message: 'Request timed out' });
+  assert.ok(Date.now() - started < 500);
+});
+
+test('other ScanWiFi failures are left to the deadline', async () => {
+  const wifi = new WifiController(async () => {
+    throw new Error('Disconnected');
+  });
+  await assert.rejects(wifi.scan({ timeout: 50 }), { code: 'ETIMEDOUT', message: /No WiFi scan results/ });
+});
+
+test('parseScanResults drops a record cut off by the frame end', () => {
+  const payload = Buffer.concat([Buffer.alloc(4), record('Home'), record('Office').subarray(0, 8)]);
+  assert.deepEqual(parseScanResults(payload), [{ ssid: 'Home', signal: 2, security: null, flags: '0101020000' }]);
+});
@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+// HCI Capture Importer for DJI DUML Traffic
+// Usage: node tools/import-hci.mjs <btsnoop_hci.log|capture.pcap|capture.pcapng> [--json] [--jsonl <out>]
+// Extracts ATT writes/notifications, reassembles DUML frames per handle and
+// prints one message per line, named from the message registry. --jsonl
+// writes a session capture that ReplayTransport can play back.
+
+import fs from 'fs';
+import {
+  readHciPackets, extractAttValues, decodeAttValues, toCaptureEntries,
+} from '../src/protocol/hci.mjs';
+import { decode, formatFields } from '../src/protocol/registry.mjs';
+
+const args = process.argv.slice(2);
+const file = args.find((a, i) => !a.startsWith('--') && args[i - 1] !== '--jsonl');
+if (!file) {
+  console.error('Usage: node import-hci.mjs <capture> [--json] [--jsonl <out.jsonl>]');
+  console.error('Accepts Android btsnoop_hci.log, pcap and pcapng (Bluetooth HCI H4).');
+  process.exit(1);
+}
+
+const jsonOut = args.includes('--json');
+const jsonlIdx = args.indexOf('--jsonl');
+
+const values = extractAttValues(readHciPackets(file));
+const decoded = decodeAttValues(values);
+
+if (jsonlIdx !== -1) {
+  const out = args[jsonlIdx + 1];
+  const lines = toCaptureEntries(values).map((e) => JSON.stringify({ ...e, data: e.data.toString('hex') }));
+  fs.writeFileSync(out, lines.join('\n') + '\n');
+  console.error(`Wrote ${lines.length} entries to ${out}`);
+}
+
+const hex = (n, w = 2) => n.toString(16).padStart(w, '0');
+
+for (const { ts, dir, handle, msg } of decoded) {
+  const { name, fields } = decode(msg);
+  if (jsonOut) {
+    console.log(JSON.stringify({
+      ts, dir, handle,
+      sender: msg.sender, receiver: msg.receiver, msgId: msg.msgId,
+      flags: msg.flags, cmdSet: msg.cmdSet, cmdId: msg.cmdId,
+      name, fields: formatFields(fields),
+      payload: msg.payload.toString('hex'),
+    }));
+    continue;
+  }
+  const time = ts === null ? '-' : new Date(ts).toISOString();
+  const arrow = dir === 'tx' ? 'App→Dev' : 'Dev→App';
+  console.log(
+    `${time} ${arrow} h=0x${hex(handle, 4)} ` +
+    `type=0x${hex(msg.flags)}${hex(msg.cmdSet)}${hex(msg.cmdId)} ${name} ` +
+    `${hex(msg.sender)}→${hex(msg.receiver)} id=0x${hex(msg.msgId, 4)} ` +
+    `payload=${msg.payload.toString('hex') || '-'}`
+  );
+}
+
+if (!jsonOut) {
+  console.error(`\n${values.length} ATT values, ${decoded.length} DUML messages`);
+}